@@ -0,0 +1,25 @@
+#!/usr/bin/env node
+// Local Vector Indexing
+// Usage: node scripts/index-local-vectors.js <collection> <documents.json|.jsonl>
+// Each document is { id, content, ...payload }; the local store lives in LOCAL_VECTOR_DIR
+// (default RAG_STATE_DIR/vector_store) and is embedded with EMBEDDING_PROVIDER (default local).
+import { readFileSync } from 'fs';
+import { LocalVectorClient } from '../src/core/vector-store/local-vector-client.js';
+
+function readDocuments(file) {
+  const text = readFileSync(file, 'utf8');
+  const records = file.endsWith('.jsonl')
+    ? text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+    : JSON.parse(text);
+  return records.map(({ id, content, ...payload }) => ({ id, content, payload }));
+}
+
+const [collection, file] = process.argv.slice(2);
+if (!collection || !file) {
+  console.error('Usage: node scripts/index-local-vectors.js <collection> <documents.json|.jsonl>');
+  process.exit(1);
+}
+
+const client = new LocalVectorClient();
+const result = await client.upsertDocuments(collection, readDocuments(file));
+console.log(`✅ Indexed ${result.upserted} documents into '${collection}' (${client.store.dir})`);
@@ -0,0 +1,49 @@
+// Connection Session Module
+// Enterprise compliant - per-connection lifecycle and negotiated state
+
+import { v4 as uuidv4 } from 'uuid';
+
+// Methods a connection may use before initialize has completed
+export const PRE_INITIALIZE_METHODS = new Set(['initialize', 'ping']);
+
+// Tool argument that carries the RAG session id, per tool
+const RAG_SESSION_ARGUMENTS = {
+  boss_context_bridge: 'sessionId',
+  rag_superior_manager: 'session_id'
+};
+
+export class ConnectionSession {
+  constructor({ protocolVersion, capabilities = {}, clientInfo = {} }) {
+    this.initialized = true;
+    this.ready = false;
+    this.protocolVersion = protocolVersion;
+    this.capabilities = capabilities;
+    this.clientName = clientInfo.name || 'unknown';
+    this.clientVersion = clientInfo.version || 'unknown';
+    this.ragSessionId = `session_${uuidv4()}`;
+    this.initializedAt = new Date().toISOString();
+  }
+
+  // notifications/initialized: the client has finished its side of the handshake
+  markReady() {
+    this.ready = true;
+  }
+
+  /**
+   * Default a tool's session argument from this connection, and adopt an
+   * explicitly supplied session as the connection's active one
+   */
+  applyRagSession(toolName, args) {
+    const key = RAG_SESSION_ARGUMENTS[toolName];
+    if (!key) {
+      return args;
+    }
+    if (args[key]) {
+      this.ragSessionId = args[key];
+      return args;
+    }
+    return { ...args, [key]: this.ragSessionId };
+  }
+}
+
+export default { ConnectionSession, PRE_INITIALIZE_METHODS };
@@ -0,0 +1,86 @@
+// Database Registry Module
+// Enterprise compliant - searchMultiDatabase backends registered from configuration
+
+import { readFileSync } from 'fs';
+import { PostgresAdapter } from './postgres-adapter.js';
+import { MongoDBAdapter } from './mongodb-adapter.js';
+import { Neo4jAdapter } from './neo4j-adapter.js';
+import { QdrantAdapter } from './qdrant-adapter.js';
+
+export const ADAPTER_TYPES = {
+  postgres: PostgresAdapter,
+  mongodb: MongoDBAdapter,
+  neo4j: Neo4jAdapter,
+  qdrant: QdrantAdapter
+};
+
+function splitList(value) {
+  return value ? value.split(',').map(entry => entry.trim()).filter(Boolean) : undefined;
+}
+
+// Env-configured backends; qdrant and mongodb keep their historical defaults
+function backendsFromEnv(env) {
+  const backends = {
+    qdrant: { url: env.QDRANT_URL },
+    mongodb: { host: env.MONGODB_HOST, port: Number(env.MONGODB_PORT) || undefined, database: env.MONGODB_DATABASE }
+  };
+  if (env.POSTGRES_URL) {
+    backends.postgres = {
+      connectionString: env.POSTGRES_URL,
+      tables: [{ table: env.POSTGRES_SEARCH_TABLE || 'documents', columns: splitList(env.POSTGRES_SEARCH_COLUMNS) || ['title', 'content'] }]
+    };
+  }
+  if (env.NEO4J_URL) {
+    backends.neo4j = { url: env.NEO4J_URL, database: env.NEO4J_DATABASE, username: env.NEO4J_USER, password: env.NEO4J_PASSWORD };
+  }
+  return backends;
+}
+
+/**
+ * Backend configs come from env vars, overridden per name by MCP_DATABASES_FILE:
+ * a JSON object such as { "postgres": { "connectionString": "...", "tables": [...] } }.
+ * An entry's adapter is chosen by its `type`, defaulting to its name.
+ */
+export class DatabaseRegistry {
+  constructor(adapters = new Map()) {
+    this.adapters = adapters;
+  }
+
+  static fromConfig(env = process.env) {
+    const configs = backendsFromEnv(env);
+    if (env.MCP_DATABASES_FILE) {
+      Object.assign(configs, JSON.parse(readFileSync(env.MCP_DATABASES_FILE, 'utf8')));
+    }
+    const registry = new DatabaseRegistry();
+    Object.entries(configs).forEach(([name, config]) => {
+      const Adapter = ADAPTER_TYPES[config.type || name];
+      if (!Adapter) {
+        throw new Error(`Database '${name}' has unknown adapter type '${config.type || name}'`);
+      }
+      registry.register(name, new Adapter(config));
+    });
+    return registry;
+  }
+
+  register(name, adapter) {
+    if (typeof adapter?.search !== 'function' || typeof adapter.health !== 'function') {
+      throw new Error(`Database adapter '${name}' must implement search(query, limit, signal) and health()`);
+    }
+    this.adapters.set(name, adapter);
+    return this;
+  }
+
+  has(name) {
+    return this.adapters.has(name);
+  }
+
+  get(name) {
+    return this.adapters.get(name);
+  }
+
+  get names() {
+    return Array.from(this.adapters.keys());
+  }
+}
+
+export default { DatabaseRegistry, ADAPTER_TYPES };
@@ -0,0 +1,68 @@
+// Federated Search Module
+// Enterprise compliant - fans a query out to database adapters and merges the results
+
+import { performance } from 'perf_hooks';
+import { fuseResults } from '../rag-tools/result-fusion.js';
+
+/**
+ * Per-backend status is one of ok, error or not_configured; one failing
+ * backend never fails the whole search. Backends score on different scales
+ * (cosine similarity, keyword overlap, ...), so results are merged by
+ * reciprocal rank fusion rather than raw score.
+ */
+export class FederatedSearch {
+  constructor(registry) {
+    this.registry = registry;
+  }
+
+  async searchBackend(name, query, limit, signal) {
+    const adapter = this.registry.get(name);
+    if (!adapter) {
+      return { name, status: 'not_configured', count: 0, results: [] };
+    }
+    const startedAt = performance.now();
+    try {
+      const results = (await adapter.search(query, limit, signal)).slice(0, limit);
+      return { name, status: 'ok', count: results.length, latencyMs: Math.round(performance.now() - startedAt), results };
+    } catch (error) {
+      signal?.throwIfAborted();
+      return { name, status: 'error', count: 0, latencyMs: Math.round(performance.now() - startedAt), error: error.message, results: [] };
+    }
+  }
+
+  /**
+   * options.signal aborts every backend; options.onProgress(done, total, message)
+   * fires as each backend finishes
+   */
+  async search(query, { databases = this.registry.names, limit, signal, onProgress } = {}) {
+    let completed = 0;
+    const outcomes = await Promise.all(databases.map(name => this.searchBackend(name, query, limit, signal).then(outcome => {
+      completed++;
+      onProgress?.(completed, databases.length, `${name} search ${outcome.status}`);
+      return outcome;
+    })));
+
+    const backends = {};
+    outcomes.forEach(outcome => {
+      const status = { ...outcome };
+      delete status.name;
+      delete status.results;
+      backends[outcome.name] = status;
+    });
+    const results = fuseResults(Object.fromEntries(outcomes.map(outcome => [
+      outcome.name,
+      [...outcome.results].sort((a, b) => b.score - a.score)
+    ])));
+
+    return {
+      success: outcomes.some(outcome => outcome.status === 'ok'),
+      query,
+      backends,
+      total: results.length,
+      results,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+export default { FederatedSearch };
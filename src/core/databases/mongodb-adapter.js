@@ -0,0 +1,33 @@
+// MongoDB Adapter Module
+// Enterprise compliant - searchMultiDatabase backend for the admin message store
+
+import { MongoDBClient } from '../rag-tools/mongodb-client.js';
+import { probeTcp } from '../services/service-probes.js';
+import { normalizeResult } from './search-result.js';
+
+export class MongoDBAdapter {
+  constructor(config = {}) {
+    this.name = 'mongodb';
+    this.client = new MongoDBClient(config);
+  }
+
+  async search(query, limit, signal) {
+    const result = await this.client.searchDocuments(query, limit, { signal });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.documents.map(document => normalizeResult({
+      database: this.name,
+      source: `${this.client.database}.messages`,
+      id: document.id,
+      record: document,
+      query
+    }));
+  }
+
+  async health(timeout) {
+    return await probeTcp({ host: this.client.host, port: this.client.port }, timeout);
+  }
+}
+
+export default { MongoDBAdapter };
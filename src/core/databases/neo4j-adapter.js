@@ -0,0 +1,61 @@
+// Neo4j Adapter Module
+// Enterprise compliant - searchMultiDatabase backend over the Neo4j HTTP API
+
+import { probeHttp } from '../services/service-probes.js';
+import { normalizeResult } from './search-result.js';
+
+// Case-insensitive match against every string property of a node (Neo4j 5+ type predicate)
+const SEARCH_STATEMENT = `MATCH (n)
+WHERE any(key IN keys(n) WHERE n[key] IS :: STRING AND toLower(n[key]) CONTAINS toLower($query))
+RETURN elementId(n) AS id, labels(n) AS labels, properties(n) AS properties
+LIMIT $limit`;
+
+/**
+ * config: { url, database, username, password } - url is the HTTP endpoint,
+ * e.g. http://neo4j:7474
+ */
+export class Neo4jAdapter {
+  constructor(config = {}) {
+    this.name = 'neo4j';
+    this.url = config.url;
+    this.database = config.database || 'neo4j';
+    this.authorization = config.username
+      ? `Basic ${Buffer.from(`${config.username}:${config.password || ''}`).toString('base64')}`
+      : null;
+  }
+
+  async search(query, limit, signal) {
+    const response = await globalThis.fetch(`${this.url}/db/${encodeURIComponent(this.database)}/tx/commit`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+        ...(this.authorization ? { Authorization: this.authorization } : {})
+      },
+      body: JSON.stringify({ statements: [{ statement: SEARCH_STATEMENT, parameters: { query, limit } }] }),
+      signal
+    });
+    if (!response.ok) {
+      throw new Error(`Neo4j HTTP ${response.status}`);
+    }
+
+    const body = await response.json();
+    if (body.errors?.length) {
+      throw new Error(body.errors.map(error => error.message).join('; '));
+    }
+    const rows = body.results?.[0]?.data || [];
+    return rows.map(({ row: [id, labels, properties] }) => normalizeResult({
+      database: this.name,
+      source: labels.join(':'),
+      id,
+      record: properties,
+      query
+    }));
+  }
+
+  async health(timeout) {
+    return await probeHttp({ url: this.url, headers: this.authorization ? { Authorization: this.authorization } : {} }, timeout);
+  }
+}
+
+export default { Neo4jAdapter };
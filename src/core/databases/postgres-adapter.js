@@ -0,0 +1,89 @@
+// PostgreSQL Adapter Module
+// Enterprise compliant - searchMultiDatabase backend for configured tables
+
+import { URL } from 'url';
+import { probeTcp } from '../services/service-probes.js';
+import { normalizeResult } from './search-result.js';
+
+const DEFAULT_PORT = 5432;
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*(\.[A-Za-z_][A-Za-z0-9_]*)?$/;
+
+// Table and column names come from config, never from the query, but are still
+// validated and quoted since they cannot be bound as parameters
+function quoteIdentifier(name) {
+  if (!IDENTIFIER.test(name)) {
+    throw new Error(`Invalid PostgreSQL identifier: ${name}`);
+  }
+  return name.split('.').map(part => `"${part}"`).join('.');
+}
+
+// pg is an optionalDependency: installed by default, absent with --omit=optional
+async function loadDriver() {
+  try {
+    return (await import('pg')).default;
+  } catch {
+    throw new Error('PostgreSQL driver not installed (pg is an optional dependency: npm install pg)');
+  }
+}
+
+function validateTable(table, index) {
+  if (!table || typeof table.table !== 'string') {
+    throw new Error(`PostgreSQL tables[${index}] needs a table name`);
+  }
+  if (!Array.isArray(table.columns) || table.columns.length === 0) {
+    throw new Error(`PostgreSQL table ${table.table} needs a non-empty columns array to search`);
+  }
+  return table;
+}
+
+/**
+ * config: { connectionString, tables: [{ table, columns: ['title', 'content'], idColumn }] }
+ */
+export class PostgresAdapter {
+  constructor(config = {}) {
+    this.name = 'postgres';
+    this.connectionString = config.connectionString;
+    this.tables = (config.tables || []).map(validateTable).map(table => ({
+      table: table.table,
+      columns: table.columns,
+      idColumn: table.idColumn || 'id',
+      sql: `SELECT * FROM ${quoteIdentifier(table.table)} WHERE concat_ws(' ', ${table.columns.map(quoteIdentifier).join(', ')}) ILIKE $1 LIMIT $2`
+    }));
+  }
+
+  async search(query, limit, signal) {
+    signal?.throwIfAborted();
+    const { Client } = await loadDriver();
+    const client = new Client({ connectionString: this.connectionString });
+    // Ending the connection interrupts any in-flight query
+    const onAbort = () => client.end().catch(() => {});
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    try {
+      await client.connect();
+      const pattern = `%${query.replace(/[\\%_]/g, '\\$&')}%`;
+      const results = [];
+      for (const table of this.tables) {
+        const { rows } = await client.query(table.sql, [pattern, limit]);
+        results.push(...rows.map(row => normalizeResult({
+          database: this.name,
+          source: table.table,
+          id: row[table.idColumn],
+          record: row,
+          query
+        })));
+      }
+      return results;
+    } finally {
+      signal?.removeEventListener('abort', onAbort);
+      await client.end().catch(() => {});
+    }
+  }
+
+  async health(timeout) {
+    const url = new URL(this.connectionString);
+    return await probeTcp({ host: url.hostname, port: Number(url.port) || DEFAULT_PORT }, timeout);
+  }
+}
+
+export default { PostgresAdapter };
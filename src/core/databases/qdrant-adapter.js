@@ -0,0 +1,37 @@
+// Qdrant Adapter Module
+// Enterprise compliant - searchMultiDatabase backend for Qdrant collections
+
+import { createVectorClient } from '../vector-store/vector-client.js';
+import { normalizeResult } from './search-result.js';
+
+// config.store (or VECTOR_STORE) = 'local' searches the local vector store instead
+export class QdrantAdapter {
+  constructor(config = {}) {
+    this.name = 'qdrant';
+    this.client = createVectorClient({ baseUrl: config.url, store: config.store });
+    if (config.collections) {
+      this.client.collections = config.collections;
+    }
+  }
+
+  async search(query, limit, signal) {
+    const result = await this.client.searchVectors(query, limit, null, { signal });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.results.map(point => normalizeResult({
+      database: this.name,
+      source: point.collection,
+      id: point.id,
+      record: point.payload || {},
+      query,
+      score: point.score
+    }));
+  }
+
+  async health(timeout) {
+    return await this.client.health(timeout);
+  }
+}
+
+export default { QdrantAdapter };
@@ -0,0 +1,43 @@
+// Search Result Module
+// Enterprise compliant - one result schema for every database backend
+
+import { calculateTextScore } from '../text/text-score.js';
+
+const CONTENT_FIELDS = ['content', 'body', 'text', 'description', 'summary'];
+const TITLE_FIELDS = ['title', 'name', 'subject', 'heading'];
+const TIMESTAMP_FIELDS = ['timestamp', 'updated_at', 'updatedAt', 'created_at', 'createdAt', 'upload_timestamp'];
+
+function firstField(record, fields) {
+  const field = fields.find(key => record[key] !== undefined && record[key] !== null);
+  return field ? record[field] : undefined;
+}
+
+function toIsoTimestamp(value) {
+  if (value === undefined) {
+    return null;
+  }
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * { id, database, source, title, content, score, timestamp, metadata }
+ * source is the table, collection or label the record came from; score is the
+ * backend's own score when it has one, otherwise the shared keyword score.
+ */
+export function normalizeResult({ database, source, id, record, query, score }) {
+  const content = firstField(record, CONTENT_FIELDS);
+  const text = typeof content === 'string' ? content : JSON.stringify(content ?? record);
+  return {
+    id: id === undefined || id === null ? null : String(id),
+    database,
+    source,
+    title: firstField(record, TITLE_FIELDS) ?? null,
+    content: text,
+    score: score ?? calculateTextScore(query, text),
+    timestamp: toIsoTimestamp(firstField(record, TIMESTAMP_FIELDS)),
+    metadata: record
+  };
+}
+
+export default { normalizeResult };
@@ -0,0 +1,115 @@
+// Container Summary Module
+// Enterprise compliant - documentation-ready view of a docker inspect result
+
+const REDACTED = '***REDACTED***';
+const SECRET_NAME = /(pass|secret|token|key|credential|auth|private|cert)/i;
+const URL_CREDENTIALS = /(\w+:\/\/[^:/@\s]+:)[^@\s]+@/g;
+const NANOSECONDS_PER_SECOND = 1e9;
+const SHORT_ID_LENGTH = 12;
+
+const ASSIGNMENT = /^(-{0,2}[\w.-]+)=([\s\S]*)$/;
+
+// Secret-looking names are masked outright; credentials embedded in URLs are masked in place
+function redactValue(name, value) {
+  return SECRET_NAME.test(name) ? REDACTED : String(value).replace(URL_CREDENTIALS, `$1${REDACTED}@`);
+}
+
+export function redactEnv(env = []) {
+  return env.map(entry => {
+    const separator = entry.indexOf('=');
+    const name = separator === -1 ? entry : entry.slice(0, separator);
+    const value = separator === -1 ? '' : entry.slice(separator + 1);
+    return { name, value: redactValue(name, value) };
+  });
+}
+
+export function redactLabels(labels = {}) {
+  return Object.fromEntries(Object.entries(labels || {}).map(([name, value]) => [name, redactValue(name, value)]));
+}
+
+// --flag=value and NAME=value arguments are redacted by name, like env entries
+export function redactArgs(args = []) {
+  return args.map(arg => {
+    const match = ASSIGNMENT.exec(arg);
+    return match ? `${match[1]}=${redactValue(match[1], match[2])}` : redactValue('', arg);
+  });
+}
+
+function formatDuration(nanoseconds) {
+  return nanoseconds ? `${nanoseconds / NANOSECONDS_PER_SECOND}s` : null;
+}
+
+function summarizePorts(ports = {}) {
+  return Object.entries(ports || {}).map(([containerPort, bindings]) => {
+    const [port, protocol] = containerPort.split('/');
+    return {
+      containerPort: Number(port),
+      protocol,
+      bindings: (bindings || []).map(binding => ({ hostIp: binding.HostIp, hostPort: Number(binding.HostPort) }))
+    };
+  });
+}
+
+function summarizeHealthCheck(healthcheck, health) {
+  if (!healthcheck?.Test || healthcheck.Test[0] === 'NONE') {
+    return null;
+  }
+  return {
+    test: healthcheck.Test.slice(1).join(' '),
+    interval: formatDuration(healthcheck.Interval),
+    timeout: formatDuration(healthcheck.Timeout),
+    retries: healthcheck.Retries ?? null,
+    startPeriod: formatDuration(healthcheck.StartPeriod),
+    status: health?.Status ?? null,
+    failingStreak: health?.FailingStreak ?? null
+  };
+}
+
+function summarizeState(inspect) {
+  return {
+    status: inspect.State?.Status,
+    running: Boolean(inspect.State?.Running),
+    startedAt: inspect.State?.StartedAt,
+    restartCount: inspect.RestartCount ?? 0
+  };
+}
+
+function summarizeMounts(mounts = []) {
+  return (mounts || []).map(mount => ({
+    type: mount.Type,
+    source: mount.Source || mount.Name,
+    destination: mount.Destination,
+    readOnly: mount.RW === false
+  }));
+}
+
+// Command line, working directory, user and restart policy
+function summarizeRuntime(config, hostConfig = {}) {
+  return {
+    command: redactArgs([...(config.Entrypoint || []), ...(config.Cmd || [])]).join(' '),
+    workingDir: config.WorkingDir || null,
+    user: config.User || null,
+    restartPolicy: hostConfig?.RestartPolicy?.Name || null
+  };
+}
+
+export function summarizeContainer(inspect) {
+  const config = inspect.Config || {};
+  const network = inspect.NetworkSettings || {};
+  return {
+    name: (inspect.Name || '').replace(/^\//, ''),
+    id: (inspect.Id || '').slice(0, SHORT_ID_LENGTH),
+    image: config.Image,
+    created: inspect.Created,
+    state: summarizeState(inspect),
+    ...summarizeRuntime(config, inspect.HostConfig),
+    env: redactEnv(config.Env),
+    ports: summarizePorts(network.Ports),
+    mounts: summarizeMounts(inspect.Mounts),
+    networks: Object.keys(network.Networks || {}),
+    healthCheck: summarizeHealthCheck(config.Healthcheck, inspect.State?.Health),
+    labels: redactLabels(config.Labels)
+  };
+}
+
+export default { summarizeContainer, redactEnv, redactLabels, redactArgs };
@@ -0,0 +1,105 @@
+// Documentation Templates Module
+// Enterprise compliant - admin, user and developer markdown from a container summary
+
+export const DOC_TYPES = ['admin', 'user', 'developer'];
+
+const TITLES = { admin: 'Administration Guide', user: 'User Guide', developer: 'Developer Guide' };
+
+function cell(value) {
+  return String(value ?? '—').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function table(headers, rows) {
+  if (rows.length === 0) {
+    return '_None._';
+  }
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ].join('\n');
+}
+
+function publishedPorts(summary) {
+  return summary.ports.flatMap(port => port.bindings.map(binding => ({ ...binding, containerPort: port.containerPort, protocol: port.protocol })));
+}
+
+const sections = {
+  overview: summary => ['## Overview', table(['Property', 'Value'], [
+    ['Container', summary.name],
+    ['ID', summary.id],
+    ['Image', summary.image],
+    ['Status', summary.state.status],
+    ['Health', summary.healthCheck?.status || 'no health check'],
+    ['Started', summary.state.startedAt],
+    ['Restarts', summary.state.restartCount]
+  ])],
+  runtime: summary => ['## Runtime', table(['Property', 'Value'], [
+    ['Command', summary.command ? `\`${summary.command}\`` : null],
+    ['Working directory', summary.workingDir],
+    ['User', summary.user],
+    ['Restart policy', summary.restartPolicy],
+    ['Networks', summary.networks.join(', ')]
+  ])],
+  environment: summary => ['## Environment', 'Secret values are redacted.', table(['Variable', 'Value'], summary.env.map(entry => [`\`${entry.name}\``, entry.value]))],
+  ports: summary => ['## Ports', table(['Container port', 'Protocol', 'Host binding'], summary.ports.map(port => [
+    port.containerPort,
+    port.protocol,
+    port.bindings.map(binding => `${binding.hostIp || '0.0.0.0'}:${binding.hostPort}`).join(', ') || 'not published'
+  ]))],
+  endpoints: summary => ['## Endpoints', table(['URL', 'Container port'], publishedPorts(summary)
+    .filter(binding => binding.protocol === 'tcp')
+    .map(binding => [`http://localhost:${binding.hostPort}`, binding.containerPort]))],
+  mounts: summary => ['## Mounts', table(['Type', 'Source', 'Destination', 'Mode'], summary.mounts.map(mount => [
+    mount.type, mount.source, mount.destination, mount.readOnly ? 'ro' : 'rw'
+  ]))],
+  healthCheck: summary => ['## Health Check', summary.healthCheck
+    ? table(['Property', 'Value'], [
+      ['Test', `\`${summary.healthCheck.test}\``],
+      ['Interval', summary.healthCheck.interval],
+      ['Timeout', summary.healthCheck.timeout],
+      ['Retries', summary.healthCheck.retries],
+      ['Start period', summary.healthCheck.startPeriod],
+      ['Current status', summary.healthCheck.status]
+    ])
+    : '_No health check configured._'],
+  labels: summary => ['## Labels', table(['Label', 'Value'], Object.entries(summary.labels).map(([name, value]) => [`\`${name}\``, value]))]
+};
+
+const examples = {
+  admin: summary => [
+    `docker logs --tail 100 -f ${summary.name}`,
+    `docker restart ${summary.name}`,
+    `docker inspect --format '{{json .State.Health}}' ${summary.name}`,
+    `docker stats --no-stream ${summary.name}`
+  ],
+  user: summary => publishedPorts(summary)
+    .filter(binding => binding.protocol === 'tcp')
+    .map(binding => `curl -i http://localhost:${binding.hostPort}/`),
+  developer: summary => [
+    `docker exec -it ${summary.name} sh`,
+    `docker exec ${summary.name} env`,
+    `docker cp ${summary.name}:${summary.workingDir || '/'} ./${summary.name}-snapshot`
+  ]
+};
+
+const LAYOUTS = {
+  admin: ['overview', 'runtime', 'environment', 'ports', 'mounts', 'healthCheck', 'labels'],
+  user: ['overview', 'endpoints', 'healthCheck'],
+  developer: ['overview', 'runtime', 'environment', 'ports', 'mounts', 'labels', 'healthCheck']
+};
+
+export function renderDocumentation(summary, docType, { includeExamples = true, generatedAt = new Date().toISOString() } = {}) {
+  const parts = [
+    `# ${summary.name} — ${TITLES[docType]}`,
+    `_Generated from the Docker Engine API on ${generatedAt}._`,
+    ...LAYOUTS[docType].flatMap(section => sections[section](summary))
+  ];
+  const commands = includeExamples ? examples[docType](summary) : [];
+  if (commands.length > 0) {
+    parts.push('## Examples', ['```bash', ...commands, '```'].join('\n'));
+  }
+  return `${parts.join('\n\n')}\n`;
+}
+
+export default { DOC_TYPES, renderDocumentation };
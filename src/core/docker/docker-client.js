@@ -0,0 +1,69 @@
+// Docker Client Module
+// Enterprise compliant - minimal Docker Engine API client over a unix socket
+
+import http from 'http';
+
+const DEFAULT_SOCKET_PATH = '/var/run/docker.sock';
+const DEFAULT_TIMEOUT_MS = 5000;
+const HTTP_NOT_FOUND = 404;
+const HTTP_ERROR_MIN = 400;
+
+/**
+ * DOCKER_SOCKET selects the socket (default /var/run/docker.sock), so a proxy
+ * or a stand-in server can replace the real daemon
+ */
+export class DockerClient {
+  constructor(options = {}) {
+    this.socketPath = options.socketPath || process.env.DOCKER_SOCKET || DEFAULT_SOCKET_PATH;
+    this.timeout = options.timeout || DEFAULT_TIMEOUT_MS;
+  }
+
+  request(method, requestPath) {
+    return new Promise((resolve, reject) => {
+      const request = http.request({ socketPath: this.socketPath, path: requestPath, method, timeout: this.timeout }, response => {
+        let body = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => {
+          body += chunk;
+        });
+        response.on('end', () => {
+          let data;
+          try {
+            data = body ? JSON.parse(body) : null;
+          } catch {
+            reject(new Error(`Docker API returned invalid JSON for ${requestPath}`));
+            return;
+          }
+          if (response.statusCode >= HTTP_ERROR_MIN) {
+            const error = new Error(data?.message || `Docker API ${response.statusCode}`);
+            error.statusCode = response.statusCode;
+            reject(error);
+            return;
+          }
+          resolve(data);
+        });
+      });
+      request.on('timeout', () => request.destroy(new Error(`Docker API timed out after ${this.timeout}ms`)));
+      request.on('error', error => reject(new Error(`Docker API unavailable at ${this.socketPath}: ${error.message}`)));
+      request.end();
+    });
+  }
+
+  // Resolves to null when the container does not exist
+  async inspectContainer(name) {
+    try {
+      return await this.request('GET', `/containers/${encodeURIComponent(name)}/json`);
+    } catch (error) {
+      if (error.statusCode === HTTP_NOT_FOUND) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async listContainers({ all = false } = {}) {
+    return await this.request('GET', `/containers/json?all=${all ? 1 : 0}`);
+  }
+}
+
+export default { DockerClient };
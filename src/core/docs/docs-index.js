@@ -0,0 +1,163 @@
+// Docs Index Module
+// Enterprise compliant - local markdown documentation index with ranked snippets
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { chunkMarkdown } from './markdown-chunker.js';
+import { tokenize } from '../text/tokenize.js';
+import { Bm25Index } from '../text/bm25.js';
+import { REPO_ROOT } from '../repo-root.js';
+
+const SNIPPET_CHARS = 240;
+const HEADING_WEIGHT = 2;
+const SKIPPED_DIRECTORIES = new Set(['node_modules', '.git']);
+
+/**
+ * DOCS_ROOTS is a comma-separated list of `collection=path` entries (a bare
+ * path uses its basename as the collection), resolved against baseDir (the
+ * working directory). Paths may be directories, searched recursively for
+ * *.md, or single markdown files. Without it the repo's own docs/ and
+ * README.md are indexed, wherever the server was started from.
+ */
+export function parseDocsRoots(value, baseDir = process.cwd(), defaultDir = REPO_ROOT) {
+  if (!value) {
+    return [
+      { collection: 'docs', path: path.resolve(defaultDir, 'docs') },
+      { collection: 'readme', path: path.resolve(defaultDir, 'README.md') }
+    ];
+  }
+  return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [collection, rootPath] = entry.includes('=') ? entry.split('=') : [null, entry];
+    const resolved = path.resolve(baseDir, rootPath.trim());
+    return { collection: (collection || path.basename(resolved, '.md')).trim(), path: resolved };
+  });
+}
+
+async function markdownFiles(rootPath) {
+  let stats;
+  try {
+    stats = await fs.stat(rootPath);
+  } catch {
+    return [];
+  }
+  if (!stats.isDirectory()) {
+    return rootPath.endsWith('.md') ? [rootPath] : [];
+  }
+
+  const entries = await fs.readdir(rootPath, { withFileTypes: true });
+  const nested = await Promise.all(entries
+    .filter(entry => !entry.name.startsWith('.') && !SKIPPED_DIRECTORIES.has(entry.name))
+    .map(entry => {
+      const entryPath = path.join(rootPath, entry.name);
+      return entry.isDirectory() ? markdownFiles(entryPath) : Promise.resolve(entry.name.endsWith('.md') ? [entryPath] : []);
+    }));
+  return nested.flat();
+}
+
+// Window of text around the densest cluster of query terms
+export function buildSnippet(text, queryTerms) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  if (flat.length <= SNIPPET_CHARS) {
+    return flat;
+  }
+  const lower = flat.toLowerCase();
+  const positions = queryTerms.map(term => lower.indexOf(term)).filter(position => position >= 0).sort((a, b) => a - b);
+  const anchor = positions.length > 0 ? positions[0] : 0;
+  const start = Math.max(0, Math.min(anchor - SNIPPET_CHARS / 4, flat.length - SNIPPET_CHARS));
+  const snippet = flat.slice(start, start + SNIPPET_CHARS).trim();
+  return `${start > 0 ? '…' : ''}${snippet}${start + SNIPPET_CHARS < flat.length ? '…' : ''}`;
+}
+
+/**
+ * Files are re-chunked only when their mtime changes, so repeated searches
+ * cost one stat per indexed file.
+ */
+export class DocsIndex {
+  constructor(options = {}) {
+    this.roots = options.roots || parseDocsRoots(process.env.DOCS_ROOTS, options.baseDir);
+    this.index = new Bm25Index();
+    this.files = new Map();
+  }
+
+  get collections() {
+    return [...new Set(this.roots.map(root => root.collection))];
+  }
+
+  async refresh() {
+    const seen = new Set();
+    for (const root of this.roots) {
+      for (const file of await markdownFiles(root.path)) {
+        const key = `${root.collection}:${file}`;
+        seen.add(key);
+        await this.indexFile(key, root, file);
+      }
+    }
+    this.files.forEach((entry, key) => {
+      if (!seen.has(key)) {
+        this.removeFile(key);
+      }
+    });
+  }
+
+  async indexFile(key, root, file) {
+    const { mtimeMs } = await fs.stat(file);
+    if (this.files.get(key)?.mtimeMs === mtimeMs) {
+      return;
+    }
+    this.removeFile(key);
+
+    const relativePath = path.relative(path.dirname(root.path), file);
+    const chunks = chunkMarkdown(await fs.readFile(file, 'utf8'));
+    const chunkIds = chunks.map((chunk, position) => {
+      const id = `${key}#${position}`;
+      const headingTokens = tokenize(chunk.headingPath.join(' '));
+      const tokens = [...tokenize(chunk.text), ...Array(HEADING_WEIGHT).fill(headingTokens).flat()];
+      this.index.add(id, tokens, { ...chunk, collection: root.collection, file: relativePath });
+      return id;
+    });
+    this.files.set(key, { mtimeMs, chunkIds });
+  }
+
+  removeFile(key) {
+    this.files.get(key)?.chunkIds.forEach(id => this.index.remove(id));
+    this.files.delete(key);
+  }
+
+  /**
+   * Ranked chunks for a query. `collections` limits the search; unknown
+   * collection names are reported rather than silently ignored.
+   */
+  async search(query, { maxResults = 3, collections } = {}) {
+    const unknown = (collections || []).filter(collection => !this.collections.includes(collection));
+    if (unknown.length > 0) {
+      return { success: false, error: `Unknown collections: ${unknown.join(', ')}`, availableCollections: this.collections };
+    }
+
+    await this.refresh();
+    const queryTerms = tokenize(query);
+    const wanted = collections?.length ? new Set(collections) : null;
+    const matches = this.index.search(queryTerms, {
+      limit: maxResults,
+      filter: wanted ? payload => wanted.has(payload.collection) : undefined
+    });
+
+    return {
+      success: true,
+      query,
+      collections: wanted ? [...wanted] : this.collections,
+      indexedChunks: this.index.size,
+      results: matches.map(({ score, payload }) => ({
+        collection: payload.collection,
+        file: payload.file,
+        heading: payload.heading,
+        headingPath: payload.headingPath,
+        line: payload.line,
+        score: Number(score.toFixed(4)),
+        snippet: buildSnippet(payload.text, queryTerms)
+      })),
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+export default { DocsIndex, parseDocsRoots, buildSnippet };
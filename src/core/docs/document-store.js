@@ -0,0 +1,118 @@
+// Document Store Module
+// Enterprise compliant - sandboxed file reads from allow-listed document roots
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { detectMimeType } from './mime-types.js';
+import { markdownOutline } from './markdown-chunker.js';
+
+const DEFAULT_MAX_BYTES = 1024 * 1024;
+const JSON_INDENT = 2;
+
+export const DOCUMENT_FORMATS = ['text', 'outline', 'json', 'lines'];
+
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+// Dotfiles and dot-directories (.env, .git, ...) are never served
+function hasHiddenSegment(relativePath) {
+  return relativePath.split(path.sep).some(segment => segment.startsWith('.'));
+}
+
+function parseRoots(value) {
+  const roots = value ? value.split(',').map(entry => entry.trim()).filter(Boolean) : [process.cwd()];
+  return roots.map(root => path.resolve(root));
+}
+
+/**
+ * Reads are confined to DOCUMENT_ROOTS (comma-separated; default: the working
+ * directory). Relative paths resolve against the first root; absolute paths
+ * must fall inside one. Both the requested path and its realpath are checked,
+ * so neither "../" nor a symlink can leave the sandbox.
+ */
+export class DocumentStore {
+  constructor(options = {}) {
+    this.roots = options.roots || parseRoots(process.env.DOCUMENT_ROOTS);
+    this.maxBytes = options.maxBytes || Number(process.env.DOCUMENT_MAX_BYTES) || DEFAULT_MAX_BYTES;
+  }
+
+  async resolve(requestedPath) {
+    const candidate = path.isAbsolute(requestedPath) ? path.resolve(requestedPath) : path.resolve(this.roots[0], requestedPath);
+    const root = this.roots.find(entry => isInside(entry, candidate));
+    if (!root) {
+      throw new Error('Path is outside the allowed document roots');
+    }
+
+    const realRoot = await fs.realpath(root);
+    const realPath = await fs.realpath(candidate).catch(() => {
+      throw new Error(`Document not found: ${requestedPath}`);
+    });
+    const relativePath = path.relative(realRoot, realPath);
+    if (!isInside(realRoot, realPath)) {
+      throw new Error('Path resolves outside the allowed document roots');
+    }
+    if (hasHiddenSegment(path.relative(root, candidate)) || hasHiddenSegment(relativePath)) {
+      throw new Error('Hidden files are not served');
+    }
+    return { root, realPath, relativePath };
+  }
+
+  async read(requestedPath, { format = 'text', startLine, endLine } = {}) {
+    try {
+      const { root, realPath, relativePath } = await this.resolve(requestedPath);
+      const stats = await fs.stat(realPath);
+      if (!stats.isFile()) {
+        return { success: false, error: `Not a file: ${requestedPath}` };
+      }
+      if (stats.size > this.maxBytes) {
+        return { success: false, error: `Document is ${stats.size} bytes; the limit is ${this.maxBytes}`, size: stats.size };
+      }
+
+      const buffer = await fs.readFile(realPath);
+      const { mimeType, binary } = detectMimeType(realPath, buffer);
+      if (binary) {
+        return { success: false, error: 'Binary documents are not served', path: relativePath, mimeType, size: stats.size };
+      }
+
+      return {
+        success: true,
+        path: relativePath,
+        root,
+        mimeType,
+        size: stats.size,
+        modified: stats.mtime.toISOString(),
+        format,
+        ...formatDocument(buffer.toString('utf8'), format, { startLine, endLine })
+      };
+    } catch (error) {
+      return { success: false, error: error.message, path: requestedPath };
+    }
+  }
+}
+
+export function formatDocument(text, format, { startLine = 1, endLine } = {}) {
+  switch (format) {
+  case 'outline':
+    return { outline: markdownOutline(text) };
+  case 'json':
+    try {
+      return { content: JSON.stringify(JSON.parse(text), null, JSON_INDENT) };
+    } catch (error) {
+      throw new Error(`Document is not valid JSON: ${error.message}`);
+    }
+  case 'lines': {
+    const lines = text.split(/\r?\n/);
+    const last = Math.min(endLine ?? lines.length, lines.length);
+    if (startLine > last) {
+      throw new Error(`Line range ${startLine}-${endLine ?? lines.length} is outside the document (${lines.length} lines)`);
+    }
+    return { lines: { start: startLine, end: last, total: lines.length }, content: lines.slice(startLine - 1, last).join('\n') };
+  }
+  default:
+    return { content: text };
+  }
+}
+
+export default { DocumentStore, DOCUMENT_FORMATS, formatDocument };
@@ -0,0 +1,87 @@
+// Markdown Chunker Module
+// Enterprise compliant - splits markdown into heading-scoped chunks
+
+const HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE = /^\s*(```|~~~)/;
+const MAX_CHUNK_CHARS = 2000;
+
+// Oversized sections are split on paragraph boundaries so snippets stay local
+function splitSection(text) {
+  if (text.length <= MAX_CHUNK_CHARS) {
+    return [text];
+  }
+  const parts = [];
+  let current = '';
+  text.split(/\n{2,}/).forEach(paragraph => {
+    if (current && current.length + paragraph.length > MAX_CHUNK_CHARS) {
+      parts.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${paragraph}` : paragraph;
+  });
+  if (current) {
+    parts.push(current);
+  }
+  return parts;
+}
+
+/**
+ * Chunk markdown by heading. Each chunk carries its heading trail (e.g.
+ * ['MASTER-CONTAINER-MCP', 'Quick Start']) and the 1-based line it starts on.
+ * Headings inside fenced code blocks are treated as text.
+ */
+export function chunkMarkdown(markdown) {
+  const chunks = [];
+  const trail = [];
+  let section = { headingPath: [], line: 1, lines: [] };
+  let inFence = false;
+
+  const flush = () => {
+    const text = section.lines.join('\n').trim();
+    if (text) {
+      splitSection(text).forEach(part => chunks.push({
+        heading: section.headingPath[section.headingPath.length - 1] || '',
+        headingPath: section.headingPath,
+        line: section.line,
+        text: part
+      }));
+    }
+  };
+
+  markdown.split(/\r?\n/).forEach((line, index) => {
+    if (FENCE.test(line)) {
+      inFence = !inFence;
+    }
+    const heading = inFence ? null : line.match(HEADING);
+    if (!heading) {
+      section.lines.push(line);
+      return;
+    }
+    flush();
+    const level = heading[1].length;
+    trail.length = level - 1;
+    trail[level - 1] = heading[2].trim();
+    section = { headingPath: trail.filter(Boolean), line: index + 1, lines: [] };
+  });
+  flush();
+
+  return chunks;
+}
+
+// Heading outline: [{ level, title, line }], skipping fenced code blocks
+export function markdownOutline(markdown) {
+  const outline = [];
+  let inFence = false;
+  markdown.split(/\r?\n/).forEach((line, index) => {
+    if (FENCE.test(line)) {
+      inFence = !inFence;
+    }
+    const heading = inFence ? null : line.match(HEADING);
+    if (heading) {
+      outline.push({ level: heading[1].length, title: heading[2].trim(), line: index + 1 });
+    }
+  });
+  return outline;
+}
+
+export default { chunkMarkdown, markdownOutline };
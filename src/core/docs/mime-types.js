@@ -0,0 +1,72 @@
+// MIME Types Module
+// Enterprise compliant - extension lookup plus binary content sniffing
+
+import path from 'path';
+import { TextDecoder } from 'util';
+
+const SNIFF_BYTES = 8192;
+const DEFAULT_TEXT_TYPE = 'text/plain';
+const DEFAULT_BINARY_TYPE = 'application/octet-stream';
+
+const MIME_TYPES = {
+  '.md': 'text/markdown',
+  '.markdown': 'text/markdown',
+  '.txt': 'text/plain',
+  '.log': 'text/plain',
+  '.json': 'application/json',
+  '.jsonl': 'application/jsonl',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.ts': 'text/x-typescript',
+  '.yml': 'application/yaml',
+  '.yaml': 'application/yaml',
+  '.html': 'text/html',
+  '.css': 'text/css',
+  '.csv': 'text/csv',
+  '.xml': 'application/xml',
+  '.sh': 'text/x-shellscript',
+  '.sql': 'application/sql',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.pdf': 'application/pdf',
+  '.zip': 'application/zip',
+  '.gz': 'application/gzip'
+};
+
+const TEXT_APPLICATION_TYPES = new Set(['application/json', 'application/jsonl', 'application/yaml', 'application/xml', 'application/sql']);
+
+export function isTextMimeType(mimeType) {
+  return mimeType.startsWith('text/') || TEXT_APPLICATION_TYPES.has(mimeType);
+}
+
+// Text we serve is UTF-8 without NUL bytes; anything else is treated as binary.
+// stream:true keeps a multi-byte character cut at the sniff boundary from failing
+function looksBinary(buffer) {
+  const sample = buffer.subarray(0, SNIFF_BYTES);
+  if (sample.includes(0)) {
+    return true;
+  }
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * { mimeType, binary } from the extension, with content sniffing deciding
+ * unknown extensions and catching binaries behind text extensions
+ */
+export function detectMimeType(filePath, buffer) {
+  const byExtension = MIME_TYPES[path.extname(filePath).toLowerCase()];
+  const binary = looksBinary(buffer) || Boolean(byExtension && !isTextMimeType(byExtension));
+  if (byExtension) {
+    return { mimeType: byExtension, binary };
+  }
+  return { mimeType: binary ? DEFAULT_BINARY_TYPE : DEFAULT_TEXT_TYPE, binary };
+}
+
+export default { detectMimeType, isTextMimeType };
@@ -0,0 +1,42 @@
+// Embedding Provider Module
+// Enterprise compliant - selects the text embedding backend
+
+import { HttpEmbeddingProvider } from './http-embedding-provider.js';
+import { LocalEmbeddingProvider } from './local-embedding-provider.js';
+
+/**
+ * An embedding provider is { name, model, embed(texts, { signal }) } where
+ * embed resolves to one numeric vector per input text, in input order.
+ * Providers are keyed by EMBEDDING_PROVIDER: `local` works offline, `http`
+ * calls an embedding service.
+ */
+export const EMBEDDING_PROVIDERS = {
+  local: env => new LocalEmbeddingProvider({ dimensions: Number(env.EMBEDDING_DIMENSIONS) || undefined }),
+  http: env => new HttpEmbeddingProvider({
+    url: env.EMBEDDING_URL,
+    model: env.EMBEDDING_MODEL,
+    apiKey: env.EMBEDDING_API_KEY,
+    timeout: Number(env.EMBEDDING_TIMEOUT_MS) || undefined
+  })
+};
+
+// The configured provider, or null when EMBEDDING_PROVIDER is unset or 'none'
+export function createEmbeddingProvider(env = process.env) {
+  const type = (env.EMBEDDING_PROVIDER || 'none').toLowerCase();
+  if (type === 'none') {
+    return null;
+  }
+  const factory = EMBEDDING_PROVIDERS[type];
+  if (!factory) {
+    throw new Error(`Unknown EMBEDDING_PROVIDER '${type}' (expected: none, ${Object.keys(EMBEDDING_PROVIDERS).join(', ')})`);
+  }
+  return factory(env);
+}
+
+// Single-text convenience over embed()
+export async function embedQuery(provider, text, options = {}) {
+  const [vector] = await provider.embed([text], options);
+  return vector;
+}
+
+export default { EMBEDDING_PROVIDERS, createEmbeddingProvider, embedQuery };
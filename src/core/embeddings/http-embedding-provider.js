@@ -0,0 +1,52 @@
+// HTTP Embedding Provider Module
+// Enterprise compliant - embeddings from an OpenAI-compatible or Ollama endpoint
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// OpenAI-style { data: [{ index, embedding }] } or Ollama-style { embeddings: [[...]] }
+function parseEmbeddings(body, expected) {
+  const vectors = Array.isArray(body?.data)
+    ? [...body.data].sort((a, b) => (a.index ?? 0) - (b.index ?? 0)).map(entry => entry.embedding)
+    : body?.embeddings;
+  if (!Array.isArray(vectors) || vectors.length !== expected || !vectors.every(Array.isArray)) {
+    throw new Error(`Embedding endpoint returned ${Array.isArray(vectors) ? vectors.length : 'no'} vectors for ${expected} inputs`);
+  }
+  return vectors;
+}
+
+/**
+ * config: { url, model, apiKey, timeout }. url is the full endpoint, e.g.
+ * https://api.openai.com/v1/embeddings or http://ollama:11434/api/embed;
+ * both accept the { model, input } request this sends.
+ */
+export class HttpEmbeddingProvider {
+  constructor(config = {}) {
+    if (!config.url) {
+      throw new Error('HTTP embedding provider requires a url (EMBEDDING_URL)');
+    }
+    this.name = 'http';
+    this.url = config.url;
+    this.model = config.model;
+    this.apiKey = config.apiKey;
+    this.timeout = config.timeout || DEFAULT_TIMEOUT_MS;
+  }
+
+  async embed(texts, { signal } = {}) {
+    const timeoutSignal = AbortSignal.timeout(this.timeout);
+    const response = await globalThis.fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify({ model: this.model, input: texts }),
+      signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal
+    });
+    if (!response.ok) {
+      throw new Error(`Embedding endpoint HTTP ${response.status}: ${(await response.text()).slice(0, 200)}`);
+    }
+    return parseEmbeddings(await response.json(), texts.length);
+  }
+}
+
+export default { HttpEmbeddingProvider };
@@ -0,0 +1,97 @@
+// Local Embedding Provider Module
+// Enterprise compliant - offline hashed n-gram embeddings in pure JS
+
+import { tokenize } from '../text/tokenize.js';
+import { normalize } from './vector-math.js';
+
+const DEFAULT_DIMENSIONS = 384;
+const CHAR_NGRAM_MIN = 3;
+const CHAR_NGRAM_MAX = 5;
+const WORD_WEIGHT = 1;
+const BIGRAM_WEIGHT = 0.5;
+const CHAR_WEIGHT = 1;
+const FNV_OFFSET = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+const SIGN_SEED = 0x5bd1e995;
+
+function fnv1a(text, seed = FNV_OFFSET) {
+  let hash = seed;
+  for (let index = 0; index < text.length; index++) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, FNV_PRIME);
+  }
+  return hash >>> 0;
+}
+
+// fastText-style subwords: n-grams of the word wrapped in boundary markers
+function charNgrams(word) {
+  const padded = `<${word}>`;
+  const grams = [];
+  for (let size = CHAR_NGRAM_MIN; size <= CHAR_NGRAM_MAX; size++) {
+    for (let start = 0; start + size <= padded.length; start++) {
+      grams.push(padded.slice(start, start + size));
+    }
+  }
+  return grams.length > 0 ? grams : [padded];
+}
+
+// Sublinear above 1 (1 + log w) so a repeated word counts less than several distinct ones
+function dampen(weight) {
+  return weight <= 1 ? weight : 1 + Math.log(weight);
+}
+
+/**
+ * Weighted features of a text: each word, each adjacent word pair, and the
+ * word's character n-grams (scaled so that together they weigh CHAR_WEIGHT
+ * after normalisation, whatever the word's length). Namespaced so a word and
+ * an n-gram never collide.
+ */
+function features(text) {
+  const words = tokenize(text);
+  const weights = new Map();
+  const add = (feature, weight) => weights.set(feature, (weights.get(feature) || 0) + weight);
+  words.forEach((word, index) => {
+    add(`w:${word}`, WORD_WEIGHT);
+    if (index > 0) {
+      add(`b:${words[index - 1]} ${word}`, BIGRAM_WEIGHT);
+    }
+    const grams = charNgrams(word);
+    grams.forEach(gram => add(`c:${gram}`, CHAR_WEIGHT / Math.sqrt(grams.length)));
+  });
+  return weights;
+}
+
+/**
+ * Deterministic, dependency-free embeddings: features are hashed into a fixed
+ * number of dimensions with a second hash choosing the sign (so collisions
+ * cancel out rather than pile up), repeated features are dampened, and
+ * the vector is L2-normalised so cosine similarity is a dot product.
+ * Shared subwords make "deploy" close to "deployment" and to typos of it;
+ * it captures surface similarity, not synonyms.
+ */
+export class LocalEmbeddingProvider {
+  constructor(config = {}) {
+    this.name = 'local';
+    this.dimensions = config.dimensions || DEFAULT_DIMENSIONS;
+    this.model = `hashed-ngram-${this.dimensions}`;
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    features(text).forEach((weight, feature) => {
+      const bucket = fnv1a(feature) % this.dimensions;
+      const sign = fnv1a(feature, SIGN_SEED) & 1 ? 1 : -1;
+      vector[bucket] += sign * dampen(weight);
+    });
+    return normalize(vector);
+  }
+
+  async embed(texts, { signal } = {}) {
+    return texts.map(text => {
+      signal?.throwIfAborted();
+      return this.embedText(text);
+    });
+  }
+}
+
+export default { LocalEmbeddingProvider };
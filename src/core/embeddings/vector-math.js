@@ -0,0 +1,31 @@
+// Vector Math Module
+// Enterprise compliant - dense vector helpers shared by embedding consumers
+
+export function dot(a, b) {
+  let sum = 0;
+  for (let index = 0; index < a.length; index++) {
+    sum += a[index] * b[index];
+  }
+  return sum;
+}
+
+export function norm(vector) {
+  return Math.sqrt(dot(vector, vector));
+}
+
+// Unit-length copy; a zero vector stays zero
+export function normalize(vector) {
+  const length = norm(vector);
+  return length === 0 ? Array.from(vector) : Array.from(vector, value => value / length);
+}
+
+// Cosine similarity in [-1, 1]; 0 when either vector is all zeros
+export function cosineSimilarity(a, b) {
+  if (a.length !== b.length) {
+    throw new Error(`Vector dimensions differ: ${a.length} vs ${b.length}`);
+  }
+  const denominator = norm(a) * norm(b);
+  return denominator === 0 ? 0 : dot(a, b) / denominator;
+}
+
+export default { dot, norm, normalize, cosineSimilarity };
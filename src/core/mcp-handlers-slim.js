@@ -1,11 +1,9 @@
 // MCP Core Handlers Module
 // Enterprise compliant - coordination only
 
-import { mcpSchemas, validateMCPMessage } from './mcp-validation.js';
-import { executeEchoTool } from './tools/echo-tool.js';
-import { executeCalculateTool } from './tools/calculate-tool.js';
-import { executeServerInfoTool } from './tools/server-info-tool.js';
-import { executeStateTrackerTool, executeVectorSearchTool, executeRagSuperiorTool, executeRagSuperiorManagerTool, executeContextBridgeTool } from './rag-tools/index.js';
+import { mcpSchemas, validateMCPMessage, validateToolArguments } from './mcp-validation.js';
+import { negotiateProtocolVersion } from './protocol-version.js';
+import { ConnectionSession } from './connection-session.js';
 
 // Handle initialize request (30 lines)
 export async function handleInitialize(data, ws, clients) {
@@ -18,15 +16,33 @@ export async function handleInitialize(data, ws, clients) {
     };
   }
 
-  clients.set(ws, { initialized: true, capabilities: data.params.capabilities || {} });
+  if (clients.has(ws)) {
+    return {
+      jsonrpc: '2.0',
+      id: data.id,
+      error: { code: -32600, message: 'Invalid Request: connection already initialized' }
+    };
+  }
+
+  const negotiation = negotiateProtocolVersion(data.params.protocolVersion);
+  if (negotiation.error) {
+    return { jsonrpc: '2.0', id: data.id, error: negotiation.error };
+  }
+
+  clients.set(ws, new ConnectionSession({
+    protocolVersion: negotiation.version,
+    capabilities: data.params.capabilities,
+    clientInfo: data.params.clientInfo
+  }));
   return {
     jsonrpc: '2.0',
     id: data.id,
     result: {
-      protocolVersion: '2024-11-05',
+      protocolVersion: negotiation.version,
       capabilities: {
         tools: { listChanged: true },
-        resources: { listChanged: true }
+        resources: { subscribe: true, listChanged: true },
+        prompts: { listChanged: true }
       },
       serverInfo: {
         name: 'Ultimate MCP Server',
@@ -42,17 +58,39 @@ export async function handleToolsList(data, tools) {
     jsonrpc: '2.0',
     id: data.id,
     result: {
-      tools: Array.from(tools.values())
+      tools: tools.list()
     }
   };
 }
 
+// Session defaults first, so a defaulted session id satisfies the schema too
+function prepareToolArguments(data, tool, context) {
+  const rawArgs = data.params?.arguments || {};
+  const args = context.session ? context.session.applyRagSession(tool.name, rawArgs) : rawArgs;
+  const validation = validateToolArguments(tool, args);
+  if (validation.errors) {
+    return {
+      error: {
+        jsonrpc: '2.0',
+        id: data.id,
+        error: {
+          code: -32602,
+          message: 'Invalid params',
+          data: { tool: tool.name, errors: validation.errors }
+        }
+      }
+    };
+  }
+  return { args: validation.value };
+}
+
 // Handle tools/call request (20 lines)
-export async function handleToolCall(data, tools) {
+// context carries the abort signal, progress reporter and calling connection's session
+export async function handleToolCall(data, tools, context = {}) {
   const toolName = data.params?.name;
-  const toolArgs = data.params?.arguments || {};
+  const tool = tools.get(toolName);
 
-  if (!tools.has(toolName)) {
+  if (!tool) {
     return {
       jsonrpc: '2.0',
       id: data.id,
@@ -60,32 +98,16 @@ export async function handleToolCall(data, tools) {
     };
   }
 
-  // Delegate to specific tool handlers
-  switch (toolName) {
-  case 'echo':
-    return await executeEchoTool(toolArgs, data.id);
-  case 'calculate':
-    console.log('SLIM HANDLER DEBUG: toolArgs=', JSON.stringify(toolArgs, null, 2));
-    return await executeCalculateTool(toolArgs, data.id);
-  case 'get_server_info':
-    return await executeServerInfoTool(data.id);
-  case 'boss_context_bridge':
-    return await executeContextBridgeTool(toolArgs, data.id);
-  case 'boss_state_tracker':
-    return await executeStateTrackerTool(toolArgs, data.id);
-  case 'enhanced_vector_search':
-    return await executeVectorSearchTool(toolArgs, data.id);
-  case 'rag_superior_smart_search':
-    return await executeRagSuperiorTool(toolArgs, data.id);
-  case 'rag_superior_manager':
-    return await executeRagSuperiorManagerTool(toolArgs, data.id);
-  default:
-    return {
-      jsonrpc: '2.0',
-      id: data.id,
-      error: { code: -32601, message: `Unknown tool: ${toolName}` }
-    };
+  const prepared = prepareToolArguments(data, tool, context);
+  if (prepared.error) {
+    return prepared.error;
   }
+
+  if (context.signal?.aborted) {
+    return;
+  }
+
+  return await tool.handler(prepared.args, { requestId: data.id, ...context });
 }
 
-export default { handleInitialize, handleToolsList, handleToolCall };
\ No newline at end of file
+export default { handleInitialize, handleToolsList, handleToolCall };
@@ -2,7 +2,9 @@
 // Enterprise compliant - functions under 50 lines each
 
 import { executeGitStatusTool } from './tools/git-status-tool.js';
+import { executeServerInfoTool } from './tools/server-info-tool.js';
 import { mcpSchemas, validateMCPMessage } from './mcp-validation.js';
+import { negotiateProtocolVersion } from './protocol-version.js';
 
 // Handle initialize request
 export async function handleInitialize(data, ws, clients) {
@@ -15,12 +17,21 @@ export async function handleInitialize(data, ws, clients) {
     };
   }
 
-  clients.set(ws, { initialized: true, capabilities: data.params.capabilities || {} });
+  const negotiation = negotiateProtocolVersion(data.params.protocolVersion);
+  if (negotiation.error) {
+    return { jsonrpc: '2.0', id: data.id, error: negotiation.error };
+  }
+
+  clients.set(ws, {
+    initialized: true,
+    capabilities: data.params.capabilities || {},
+    protocolVersion: negotiation.version
+  });
   return {
     jsonrpc: '2.0',
     id: data.id,
     result: {
-      protocolVersion: '2025-03-26',
+      protocolVersion: negotiation.version,
       capabilities: {
         tools: { listChanged: true },
         resources: { listChanged: true }
@@ -71,7 +82,7 @@ export async function handleToolCall(data, tools) {
     return await executeGitStatusTool(toolArgs, data.id);
 
   case 'get_server_info':
-    return await handleServerInfo(data.id);
+    return await executeServerInfoTool(data.id);
   default:
     return {
       jsonrpc: '2.0',
@@ -121,24 +132,6 @@ async function handleCalculate(args, requestId) {
   }
 }
 
-// Handle server info tool
-async function handleServerInfo(requestId) {
-  return {
-    jsonrpc: '2.0',
-    id: requestId,
-    result: {
-      content: [{
-        type: 'text',
-        text: `Ultimate MCP Server v1.0.0
-Protocol: MCP 2025-03-26
-Transport: WebSocket
-Security: Enterprise Grade
-Status: Operational`
-      }]
-    }
-  };
-}
-
 // Handle resources/list request
 export async function handleResourcesList(data, resources) {
   return {
@@ -0,0 +1,55 @@
+// MCP Prompt Handlers Module
+// Enterprise compliant - prompts/list and prompts/get
+
+// Handle prompts/list request
+export async function handlePromptsList(data, prompts) {
+  return {
+    jsonrpc: '2.0',
+    id: data.id,
+    result: {
+      prompts: Array.from(prompts.values()).map(({ name, description, arguments: args }) => ({
+        name,
+        description,
+        arguments: args
+      }))
+    }
+  };
+}
+
+function invalidParams(id, message, details) {
+  return {
+    jsonrpc: '2.0',
+    id,
+    error: { code: -32602, message: `Invalid params: ${message}`, data: details }
+  };
+}
+
+// Handle prompts/get request
+export async function handlePromptGet(data, prompts) {
+  const prompt = prompts.get(data.params?.name);
+  if (!prompt) {
+    return invalidParams(data.id, `unknown prompt '${data.params?.name}'`);
+  }
+
+  const args = data.params.arguments || {};
+  const missing = prompt.arguments.filter(arg => arg.required && !args[arg.name]).map(arg => arg.name);
+  if (missing.length > 0) {
+    return invalidParams(data.id, 'missing required arguments', { missing });
+  }
+
+  const rendered = await prompt.render(args);
+  if (!rendered.success) {
+    return invalidParams(data.id, rendered.error);
+  }
+
+  return {
+    jsonrpc: '2.0',
+    id: data.id,
+    result: {
+      description: rendered.description,
+      messages: [{ role: 'user', content: { type: 'text', text: rendered.text } }]
+    }
+  };
+}
+
+export default { handlePromptsList, handlePromptGet };
@@ -0,0 +1,124 @@
+// MCP Prompts Module
+// Continuation and handoff prompt templates rendered from rag-state data
+
+import { isSafeId } from './rag-tools/manager-operations.js';
+
+const RECENT_HISTORY_LIMIT = 3;
+
+function jsonBlock(value) {
+  return ['```json', JSON.stringify(value ?? {}, null, 2), '```'].join('\n');
+}
+
+function historyLines(history = []) {
+  return history.slice(0, RECENT_HISTORY_LIMIT)
+    .map(entry => `- ${entry.timestamp || 'unknown time'}: ${Object.keys(entry.state || {}).length} state fields`);
+}
+
+function renderProjectSection(stateData) {
+  const lines = [
+    `## Project state: ${stateData.projectName} (last updated ${stateData.lastUpdated || 'unknown'})`,
+    jsonBlock(stateData.state)
+  ];
+  const history = historyLines(stateData.history);
+  if (history.length > 0) {
+    lines.push('### Recent state history', ...history);
+  }
+  return lines.join('\n\n');
+}
+
+function renderSessionSection(session) {
+  return [
+    `## Session context: ${session.sessionId} (captured ${session.captureTime || 'unknown'})`,
+    jsonBlock(session.context),
+    '### Session metadata',
+    jsonBlock(session.metadata)
+  ].join('\n\n');
+}
+
+async function renderContinueProject({ projectName }, { stateTracker }) {
+  if (!isSafeId(projectName)) {
+    return { success: false, error: `Invalid project name: ${projectName}` };
+  }
+  const current = await stateTracker.getCurrentState(projectName);
+  if (!current.success) {
+    return { success: false, error: `Project state not found: ${projectName}` };
+  }
+  const text = [
+    `Continue work on project "${projectName}". The tracked state below is the source of truth for where the previous chat left off.`,
+    renderProjectSection(current.state),
+    'Resume from the current phase, and record progress with boss_state_tracker (operation: update_state) as milestones complete.'
+  ].join('\n\n');
+  return { success: true, description: `Continuation prompt for project ${projectName}`, text };
+}
+
+async function renderResumeSession({ sessionId }, { contextBridge }) {
+  if (!isSafeId(sessionId)) {
+    return { success: false, error: `Invalid session id: ${sessionId}` };
+  }
+  const session = await contextBridge.restoreSession(sessionId);
+  if (!session.success) {
+    return { success: false, error: `Session not found: ${sessionId}` };
+  }
+  const text = [
+    `Resume chat session "${sessionId}"${session.projectName ? ` for project "${session.projectName}"` : ''}. Treat the captured context below as what you already know.`,
+    renderSessionSection({ ...session, sessionId }),
+    'Confirm the restored context briefly, then continue from its next steps.'
+  ].join('\n\n');
+  return { success: true, description: `Resume prompt for session ${sessionId}`, text };
+}
+
+async function renderHandoffBriefing({ handoffId }, { stateTracker, contextBridge }) {
+  const handoff = await contextBridge.getHandoff(handoffId);
+  if (!handoff.success) {
+    return { success: false, error: `Handoff not found: ${handoffId}` };
+  }
+  const { sessionId, projectName, status, createdISO, sourceSession } = handoff.handoff;
+  const sections = [
+    `Handoff briefing ${handoffId}: you are taking over session "${sessionId}" for project "${projectName}" (status: ${status}, created ${createdISO}).`
+  ];
+
+  // The handoff keeps a snapshot of the source context in case the session file is gone
+  const session = isSafeId(sessionId) ? await contextBridge.restoreSession(sessionId) : { success: false };
+  if (session.success) {
+    sections.push(renderSessionSection({ ...session, sessionId }));
+  } else if (sourceSession?.context) {
+    sections.push(renderSessionSection({ sessionId, context: sourceSession.context, captureTime: createdISO }));
+  }
+  const current = isSafeId(projectName) ? await stateTracker.getCurrentState(projectName) : { success: false };
+  if (current.success) {
+    sections.push(renderProjectSection(current.state));
+  }
+
+  sections.push(`When you have picked up the work, complete the handoff with boss_context_bridge (operation: complete_handoff, sessionId: ${sessionId}).`);
+  return { success: true, description: `Handoff briefing for ${handoffId}`, text: sections.join('\n\n') };
+}
+
+// Prompt registry: name -> { name, description, arguments, render(args) }
+export function createRagPrompts(services) {
+  const prompts = new Map();
+  const definitions = [
+    {
+      name: 'continue_project',
+      description: 'Ready-to-paste continuation prompt built from a project\'s tracked state',
+      arguments: [{ name: 'projectName', description: 'Project tracked by boss_state_tracker', required: true }],
+      render: args => renderContinueProject(args, services)
+    },
+    {
+      name: 'resume_session',
+      description: 'Prompt that restores a captured chat session\'s context',
+      arguments: [{ name: 'sessionId', description: 'Session captured by boss_context_bridge', required: true }],
+      render: args => renderResumeSession(args, services)
+    },
+    {
+      name: 'handoff_briefing',
+      description: 'Briefing for the chat taking over a handoff, with session context and project state',
+      arguments: [{ name: 'handoffId', description: 'Handoff id returned by create_handoff', required: true }],
+      render: args => renderHandoffBriefing(args, services)
+    }
+  ];
+
+  definitions.forEach(prompt => prompts.set(prompt.name, prompt));
+  return prompts;
+}
+
+export default { createRagPrompts };
@@ -0,0 +1,92 @@
+// MCP Resource Handlers Module
+// Enterprise compliant - resources/list, resources/templates/list, resources/read
+
+import { ragResourceTemplates } from './mcp-resources.js';
+
+// Static resources carry their own read(); strip it from the advertised descriptor
+function describeResource(resource) {
+  const descriptor = { ...resource };
+  delete descriptor.read;
+  return descriptor;
+}
+
+// Handle resources/list request
+export async function handleResourcesList(data, resources, ragResources) {
+  const staticResources = Array.from(resources.values()).map(describeResource);
+  return {
+    jsonrpc: '2.0',
+    id: data.id,
+    result: {
+      resources: [...staticResources, ...(await ragResources.list())]
+    }
+  };
+}
+
+// Handle resources/templates/list request
+export async function handleResourceTemplatesList(data) {
+  return {
+    jsonrpc: '2.0',
+    id: data.id,
+    result: { resourceTemplates: ragResourceTemplates }
+  };
+}
+
+async function readResource(uri, resources, ragResources) {
+  const staticResource = Array.from(resources.values()).find(resource => resource.uri === uri);
+  if (staticResource?.read) {
+    return await staticResource.read();
+  }
+  return ragResources.handles(uri) ? await ragResources.read(uri) : null;
+}
+
+// Handle resources/read request
+export async function handleResourceRead(data, resources, ragResources) {
+  const uri = data.params?.uri;
+  if (typeof uri !== 'string') {
+    return {
+      jsonrpc: '2.0',
+      id: data.id,
+      error: { code: -32602, message: 'Invalid params: uri is required' }
+    };
+  }
+
+  const contents = await readResource(uri, resources, ragResources);
+  if (!contents) {
+    return {
+      jsonrpc: '2.0',
+      id: data.id,
+      error: { code: -32002, message: 'Resource not found', data: { uri } }
+    };
+  }
+
+  return {
+    jsonrpc: '2.0',
+    id: data.id,
+    result: { contents: [contents] }
+  };
+}
+
+function isKnownResource(uri, resources, ragResources) {
+  return Array.from(resources.values()).some(resource => resource.uri === uri) || ragResources.handles(uri);
+}
+
+// Handle resources/subscribe and resources/unsubscribe requests
+export async function handleResourceSubscription(data, ws, subscriptions, { resources, ragResources }) {
+  const uri = data.params?.uri;
+  if (typeof uri !== 'string' || !isKnownResource(uri, resources, ragResources)) {
+    return {
+      jsonrpc: '2.0',
+      id: data.id,
+      error: { code: -32602, message: 'Invalid params: unknown resource uri', data: { uri } }
+    };
+  }
+
+  if (data.method === 'resources/subscribe') {
+    subscriptions.subscribe(ws, uri);
+  } else {
+    subscriptions.unsubscribe(ws, uri);
+  }
+  return { jsonrpc: '2.0', id: data.id, result: {} };
+}
+
+export default { handleResourcesList, handleResourceTemplatesList, handleResourceRead, handleResourceSubscription };
@@ -0,0 +1,129 @@
+// MCP Resources Module
+// Exposes rag-state projects and context_cache sessions as readable resources
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { BOSSStateTracker } from './rag-tools/state-tracker.js';
+import { BOSSContextBridge } from './rag-tools/context-bridge.js';
+
+const JSON_MIME_TYPE = 'application/json';
+const PROJECT_URI = /^rag:\/\/project\/([^/]+)\/state$/;
+const SESSION_URI = /^rag:\/\/session\/([^/]+)$/;
+
+export const ragResourceTemplates = [
+  {
+    uriTemplate: 'rag://project/{projectName}/state',
+    name: 'Project State',
+    description: 'Current state of a tracked project (rag-state/projects/{projectName}/current_state.json)',
+    mimeType: JSON_MIME_TYPE
+  },
+  {
+    uriTemplate: 'rag://session/{sessionId}',
+    name: 'Session Context',
+    description: 'Captured chat session context (rag-state/context_cache/{sessionId}.json)',
+    mimeType: JSON_MIME_TYPE
+  }
+];
+
+export function projectStateUri(projectName) {
+  return `rag://project/${encodeURIComponent(projectName)}/state`;
+}
+
+export function sessionUri(sessionId) {
+  return `rag://session/${encodeURIComponent(sessionId)}`;
+}
+
+// Names come from URIs, so they must stay a single path segment
+function safeSegment(value) {
+  try {
+    const decoded = decodeURIComponent(value);
+    return decoded && decoded === path.basename(decoded) && !decoded.startsWith('.') ? decoded : null;
+  } catch {
+    return null;
+  }
+}
+
+export class RagStateResources {
+  constructor(options = {}) {
+    this.stateTracker = options.stateTracker || new BOSSStateTracker(options);
+    this.contextBridge = options.contextBridge || new BOSSContextBridge(options);
+  }
+
+  async listProjects() {
+    try {
+      const entries = await fs.readdir(this.stateTracker.projectsDir, { withFileTypes: true });
+      const projects = [];
+      for (const entry of entries.filter(item => item.isDirectory())) {
+        const stateFile = path.join(this.stateTracker.projectsDir, entry.name, 'current_state.json');
+        if (await this.contextBridge.fileExists(stateFile)) {
+          projects.push(entry.name);
+        }
+      }
+      return projects.sort();
+    } catch {
+      return [];
+    }
+  }
+
+  // Handoff records live beside sessions but are not sessions themselves
+  async listSessions() {
+    try {
+      const files = await fs.readdir(this.contextBridge.contextCacheDir);
+      return files
+        .filter(file => file.endsWith('.json') && !file.startsWith('handoff_'))
+        .map(file => file.replace(/\.json$/, ''))
+        .sort();
+    } catch {
+      return [];
+    }
+  }
+
+  async list() {
+    const projects = (await this.listProjects()).map(projectName => ({
+      uri: projectStateUri(projectName),
+      name: `Project State: ${projectName}`,
+      mimeType: JSON_MIME_TYPE
+    }));
+    const sessions = (await this.listSessions()).map(sessionId => ({
+      uri: sessionUri(sessionId),
+      name: `Session Context: ${sessionId}`,
+      mimeType: JSON_MIME_TYPE
+    }));
+    return [...projects, ...sessions];
+  }
+
+  handles(uri) {
+    return PROJECT_URI.test(uri) || SESSION_URI.test(uri);
+  }
+
+  // Returns null for unknown or missing resources
+  async read(uri) {
+    const projectMatch = uri.match(PROJECT_URI);
+    if (projectMatch) {
+      return await this.readProjectState(uri, safeSegment(projectMatch[1]));
+    }
+    const sessionMatch = uri.match(SESSION_URI);
+    if (sessionMatch) {
+      return await this.readSession(uri, safeSegment(sessionMatch[1]));
+    }
+    return null;
+  }
+
+  async readProjectState(uri, projectName) {
+    const current = projectName ? await this.stateTracker.getCurrentState(projectName) : null;
+    if (!current?.success) {
+      return null;
+    }
+    return { uri, mimeType: JSON_MIME_TYPE, text: JSON.stringify(current.state, null, 2) };
+  }
+
+  async readSession(uri, sessionId) {
+    const sessionFile = sessionId ? path.join(this.contextBridge.contextCacheDir, `${sessionId}.json`) : null;
+    if (!sessionFile || !(await this.contextBridge.fileExists(sessionFile))) {
+      return null;
+    }
+    return { uri, mimeType: JSON_MIME_TYPE, text: await fs.readFile(sessionFile, 'utf8') };
+  }
+}
+
+export default { RagStateResources, ragResourceTemplates, projectStateUri, sessionUri };
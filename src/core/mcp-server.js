@@ -1,59 +1,231 @@
 // MCP WebSocket Server Class Module
 // Enterprise compliant - clean class definition
 
-import { WebSocketServer } from 'ws';
-import { v4 as uuidv4 } from 'uuid';
 import { initializeMCPTools } from './mcp-tools.js';
 import { handleInitialize, handleToolsList, handleToolCall } from './mcp-handlers-slim.js';
+import { InFlightRequests, createRequestContext } from './request-context.js';
+import { RagStateResources, ragResourceTemplates, projectStateUri, sessionUri } from './mcp-resources.js';
+import { handleResourcesList, handleResourceTemplatesList, handleResourceRead, handleResourceSubscription } from './mcp-resource-handlers.js';
+import { ResourceSubscriptions } from './resource-subscriptions.js';
+import { createRagPrompts } from './mcp-prompts.js';
+import { handlePromptsList, handlePromptGet } from './mcp-prompt-handlers.js';
+import { supportsFeature } from './protocol-version.js';
+import { ragStateEvents, RAG_STATE_EVENTS } from './rag-tools/state-events.js';
+import { PRE_INITIALIZE_METHODS } from './connection-session.js';
+import { PluginLoader } from './plugin-loader.js';
+
+const DEFAULT_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+// MCP_IDLE_TIMEOUT_MS=0 disables idle reaping
+function resolveIdleTimeout(option) {
+  const configured = option ?? process.env.MCP_IDLE_TIMEOUT_MS;
+  const timeout = Number.parseInt(configured, 10);
+  return Number.isFinite(timeout) && timeout >= 0 ? timeout : DEFAULT_IDLE_TIMEOUT_MS;
+}
 
 export class MCPWebSocketServer {
-  constructor() {
+  constructor(options = {}) {
     this.clients = new Map();
+    this.activity = new Map();
+    this.idleTimeoutMs = resolveIdleTimeout(options.idleTimeoutMs);
     this.tools = new Map();
     this.resources = new Map();
+    this.ragResources = new RagStateResources();
+    this.subscriptions = new ResourceSubscriptions();
+    this.prompts = createRagPrompts(this.ragResources);
+    this.inFlight = new InFlightRequests();
+    this.methodHandlers = this.createMethodHandlers();
 
     this.initializeMCPCapabilities();
+    this.plugins = new PluginLoader(this, options.plugins);
+    this.watchRagState();
+    this.startIdleReaper();
+  }
+
+  // Close connections with no traffic for idleTimeoutMs; busy ones are left alone
+  startIdleReaper() {
+    if (this.idleTimeoutMs === 0) {
+      return;
+    }
+    const sweep = setInterval(() => this.closeIdleConnections(), Math.min(this.idleTimeoutMs, 60000));
+    sweep.unref();
+  }
+
+  closeIdleConnections(now = Date.now()) {
+    this.activity.forEach((lastSeen, ws) => {
+      if (now - lastSeen >= this.idleTimeoutMs && !this.inFlight.hasPending(ws)) {
+        ws.close(1000, 'Idle timeout');
+        this.disconnect(ws);
+      }
+    });
+  }
+
+  // Push rag-state changes to subscribers; new projects/sessions and removed sessions also change the list
+  watchRagState() {
+    ragStateEvents.on(RAG_STATE_EVENTS.PROJECT_CHANGED, ({ projectName, created }) => {
+      this.publishResourceChange(projectStateUri(projectName), created);
+    });
+    ragStateEvents.on(RAG_STATE_EVENTS.SESSION_CHANGED, ({ sessionId, created, removed }) => {
+      this.publishResourceChange(sessionUri(sessionId), created || removed);
+    });
+  }
+
+  publishResourceChange(uri, listChanged) {
+    this.subscriptions.notifyUpdated(uri);
+    if (listChanged) {
+      this.broadcast('notifications/resources/list_changed');
+    }
+  }
+
+  // Notify every initialized connection
+  broadcast(method, params) {
+    const notification = JSON.stringify(params ? { jsonrpc: '2.0', method, params } : { jsonrpc: '2.0', method });
+    this.clients.forEach((client, ws) => ws.send(notification));
   }
 
   initializeMCPCapabilities() {
-    // Initialize tools from module and use them directly
-    const allTools = initializeMCPTools();
-    this.tools = new Map(allTools);
+    // Declarative registry: every advertised tool carries its own handler
+    this.tools = initializeMCPTools();
 
     // Core MCP resources
     this.resources.set('server_capabilities', {
       uri: 'capability://server',
       name: 'Server Capabilities',
-      description: 'Information about server capabilities and features'
+      description: 'Information about server capabilities and features',
+      mimeType: 'application/json',
+      read: async () => ({
+        uri: 'capability://server',
+        mimeType: 'application/json',
+        text: JSON.stringify({
+          tools: Array.from(this.tools.keys()),
+          resourceTemplates: ragResourceTemplates.map(template => template.uriTemplate),
+          transports: ['websocket', 'streamable-http', 'stdio']
+        }, null, 2)
+      })
     });
   }
 
+  // Version negotiated by this connection's initialize, if any
+  protocolVersionOf(ws) {
+    return this.clients.get(ws)?.protocolVersion;
+  }
+
+  // Transports call this when a connection opens and when it goes away
+  connect(ws) {
+    this.activity.set(ws, Date.now());
+  }
+
+  disconnect(ws) {
+    this.inFlight.cancelAll(ws);
+    this.subscriptions.removeConnection(ws);
+    this.clients.delete(ws);
+    this.activity.delete(ws);
+  }
+
+  // Entry point for every transport: a single message or a JSON-RPC batch array
   async handleMessage(ws, data) {
+    this.activity.set(ws, Date.now());
+    if (Array.isArray(data)) {
+      return await this.handleBatch(ws, data);
+    }
+    return await this.handleSingleMessage(ws, data);
+  }
+
+  // Batch elements run concurrently; notifications produce no reply entry,
+  // and an all-notification batch produces no reply at all
+  async handleBatch(ws, batch) {
+    if (batch.length === 0) {
+      return {
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: -32600, message: 'Invalid Request: empty batch' }
+      };
+    }
+
+    const protocolVersion = this.protocolVersionOf(ws);
+    if (!supportsFeature(protocolVersion, 'jsonRpcBatching')) {
+      return {
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: -32600, message: `Invalid Request: batching is not supported in protocol version ${protocolVersion}` }
+      };
+    }
+
+    const responses = await Promise.all(batch.map(message => this.handleSingleMessage(ws, message)));
+    const replies = responses.filter(response => response !== undefined);
+    return replies.length > 0 ? replies : undefined;
+  }
+
+  async handleSingleMessage(ws, data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return {
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: -32600, message: 'Invalid Request' }
+      };
+    }
+
+    // Responses to server-initiated requests carry no method
+    if (data.method === undefined && ('result' in data || 'error' in data)) {
+      return;
+    }
+
+    if (typeof data.method !== 'string') {
+      return {
+        jsonrpc: '2.0',
+        id: data.id ?? null,
+        error: { code: -32600, message: 'Invalid Request: method must be a string' }
+      };
+    }
+
+    const response = await this.dispatch(ws, data);
+    // Don't respond to notifications (no id field)
+    return Object.prototype.hasOwnProperty.call(data, 'id') ? response : undefined;
+  }
+
+  // JSON-RPC method table - one entry per supported method
+  createMethodHandlers() {
+    return {
+      'initialize': (ws, data) => handleInitialize(data, ws, this.clients),
+      'notifications/initialized': ws => {
+        this.clients.get(ws)?.markReady();
+      },
+      'ping': (ws, data) => ({ jsonrpc: '2.0', id: data.id, result: {} }),
+      'tools/list': (ws, data) => handleToolsList(data, this.tools),
+      'tools/call': (ws, data) => this.handleCancellableToolCall(ws, data),
+      'notifications/cancelled': (ws, data) => {
+        this.inFlight.cancel(ws, data.params?.requestId, data.params?.reason);
+      },
+      'resources/list': (ws, data) => handleResourcesList(data, this.resources, this.ragResources),
+      'resources/templates/list': (ws, data) => handleResourceTemplatesList(data),
+      'resources/read': (ws, data) => handleResourceRead(data, this.resources, this.ragResources),
+      'resources/subscribe': (ws, data) => handleResourceSubscription(data, ws, this.subscriptions, this),
+      'resources/unsubscribe': (ws, data) => handleResourceSubscription(data, ws, this.subscriptions, this),
+      'prompts/list': (ws, data) => handlePromptsList(data, this.prompts),
+      'prompts/get': (ws, data) => handlePromptGet(data, this.prompts)
+    };
+  }
+
+  async dispatch(ws, data) {
+    const handler = Object.hasOwn(this.methodHandlers, data.method) ? this.methodHandlers[data.method] : null;
+    if (!handler) {
+      return {
+        jsonrpc: '2.0',
+        id: data.id ?? null,
+        error: { code: -32601, message: `Method not found: ${data.method}` }
+      };
+    }
+
+    if (!this.clients.has(ws) && !PRE_INITIALIZE_METHODS.has(data.method)) {
+      return {
+        jsonrpc: '2.0',
+        id: data.id ?? null,
+        error: { code: -32600, message: 'Invalid Request: server not initialized' }
+      };
+    }
+
     try {
-      switch (data.method) {
-      case 'initialize':
-        return await handleInitialize(data, ws, this.clients);
-      case 'tools/list':
-        return await handleToolsList(data, this.tools);
-      case 'tools/call':
-        return await handleToolCall(data, this.tools);
-      case 'resources/list':
-        return {
-          jsonrpc: '2.0',
-          id: data.id || null,
-          result: { resources: Array.from(this.resources.values()) }
-        };
-      default:
-        // Don't respond to notifications (no id field)
-        if (!data.id && !data.hasOwnProperty("id")) {
-          return; // Don't send anything
-        }
-        return {
-          jsonrpc: '2.0',
-          id: data.id,
-          error: { code: -32601, message: `Method not found: ${data.method}` }
-        };
-      }
+      return await handler(ws, data);
     } catch (error) {
       return {
         jsonrpc: '2.0',
@@ -62,6 +234,18 @@ export class MCPWebSocketServer {
       };
     }
   }
+
+  // A cancelled request gets no response, per notifications/cancelled semantics
+  async handleCancellableToolCall(ws, data) {
+    const controller = this.inFlight.start(ws, data.id);
+    try {
+      const context = createRequestContext(ws, data, controller.signal, this.clients.get(ws));
+      const response = await handleToolCall(data, this.tools, context);
+      return controller.signal.aborted ? undefined : response;
+    } finally {
+      this.inFlight.finish(ws, data.id);
+    }
+  }
 }
 
 export default MCPWebSocketServer;
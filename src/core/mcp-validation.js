@@ -45,4 +45,109 @@ export function validateMCPMessage(message, schema) {
   return schema.validate(message);
 }
 
-export default { mcpSchemas, validateMCPMessage };
+// Tool inputSchema (JSON Schema subset) -> Joi, compiled once per schema object
+const compiledToolSchemas = new WeakMap();
+
+function applyCommonKeywords(joiSchema, jsonSchema) {
+  let schema = joiSchema;
+  if (Array.isArray(jsonSchema.enum)) {
+    schema = schema.valid(...jsonSchema.enum);
+  }
+  if (jsonSchema.default !== undefined) {
+    schema = schema.default(jsonSchema.default);
+  }
+  return schema;
+}
+
+// JSON Schema strings may be empty unless constrained; Joi's default is stricter
+function stringSchema(jsonSchema) {
+  let schema = jsonSchema.enum ? Joi.string() : Joi.string().allow('');
+  if (jsonSchema.minLength !== undefined) {
+    schema = schema.min(jsonSchema.minLength);
+  }
+  if (jsonSchema.maxLength !== undefined) {
+    schema = schema.max(jsonSchema.maxLength);
+  }
+  if (jsonSchema.pattern) {
+    schema = schema.pattern(new RegExp(jsonSchema.pattern));
+  }
+  return schema;
+}
+
+function numberSchema(jsonSchema) {
+  let schema = jsonSchema.type === 'integer' ? Joi.number().integer() : Joi.number();
+  if (jsonSchema.minimum !== undefined) {
+    schema = schema.min(jsonSchema.minimum);
+  }
+  if (jsonSchema.maximum !== undefined) {
+    schema = schema.max(jsonSchema.maximum);
+  }
+  return schema;
+}
+
+function arraySchema(jsonSchema) {
+  let schema = jsonSchema.items ? Joi.array().items(jsonSchemaToJoi(jsonSchema.items)) : Joi.array();
+  if (jsonSchema.minItems !== undefined) {
+    schema = schema.min(jsonSchema.minItems);
+  }
+  if (jsonSchema.maxItems !== undefined) {
+    schema = schema.max(jsonSchema.maxItems);
+  }
+  return schema;
+}
+
+// Objects without declared properties (e.g. free-form `state`) accept any keys
+function objectSchema(jsonSchema) {
+  const properties = jsonSchema.properties || {};
+  const required = new Set(jsonSchema.required || []);
+  const keys = {};
+  Object.entries(properties).forEach(([key, property]) => {
+    const schema = jsonSchemaToJoi(property);
+    keys[key] = required.has(key) ? schema.required() : schema;
+  });
+  return Joi.object(keys).unknown(jsonSchema.additionalProperties !== false);
+}
+
+const TYPE_BUILDERS = {
+  string: stringSchema,
+  number: numberSchema,
+  integer: numberSchema,
+  boolean: () => Joi.boolean(),
+  array: arraySchema,
+  object: objectSchema
+};
+
+export function jsonSchemaToJoi(jsonSchema = {}) {
+  const builder = TYPE_BUILDERS[jsonSchema.type];
+  return applyCommonKeywords(builder ? builder(jsonSchema) : Joi.any(), jsonSchema);
+}
+
+function compileToolSchema(inputSchema) {
+  if (!compiledToolSchemas.has(inputSchema)) {
+    compiledToolSchemas.set(inputSchema, jsonSchemaToJoi({ type: 'object', ...inputSchema }));
+  }
+  return compiledToolSchemas.get(inputSchema);
+}
+
+/**
+ * Validate tools/call arguments against the tool's inputSchema.
+ * Returns { value } with defaults applied, or { errors } listing every failing path.
+ * Types are strict: "5" is not a number.
+ */
+export function validateToolArguments(tool, args) {
+  if (!tool.inputSchema) {
+    return { value: args };
+  }
+  const { error, value } = compileToolSchema(tool.inputSchema).validate(args, { abortEarly: false, convert: false });
+  if (!error) {
+    return { value };
+  }
+  return {
+    errors: error.details.map(detail => ({
+      path: detail.path.join('.'),
+      message: detail.message
+    }))
+  };
+}
+
+export default { mcpSchemas, validateMCPMessage, jsonSchemaToJoi, validateToolArguments };
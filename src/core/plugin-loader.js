@@ -0,0 +1,233 @@
+// Plugin Loader Module
+// Enterprise compliant - third-party tool packs loaded from a directory or npm packages
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { REPO_ROOT } from './repo-root.js';
+
+export const PLUGIN_API_VERSION = 1;
+
+const PLUGIN_FILE = /\.(m?js)$/;
+
+function parsePackageList(value = '') {
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+// A plugin module exports { name, register(api) } as default or as named exports
+function pluginFromModule(module, source) {
+  const plugin = module.default && typeof module.default.register === 'function' ? module.default : module;
+  if (typeof plugin.register !== 'function') {
+    throw new Error(`Plugin ${source} does not export register(api)`);
+  }
+  if (plugin.apiVersion !== undefined && plugin.apiVersion !== PLUGIN_API_VERSION) {
+    throw new Error(`Plugin ${source} targets plugin API v${plugin.apiVersion}, server provides v${PLUGIN_API_VERSION}`);
+  }
+  return {
+    name: plugin.name || path.basename(source).replace(PLUGIN_FILE, ''),
+    version: plugin.version || '0.0.0',
+    register: plugin.register,
+    unregister: plugin.unregister
+  };
+}
+
+// Plugin handlers return plain values (a string, an MCP { content } result, or
+// JSON data); the envelope and error mapping stay server-side
+function toToolResult(value) {
+  if (Array.isArray(value?.content)) {
+    return value;
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+  return { content: [{ type: 'text', text }] };
+}
+
+function wrapPluginTool(tool) {
+  return {
+    name: tool.name,
+    description: tool.description || '',
+    inputSchema: tool.inputSchema,
+    handler: async (args, context) => {
+      try {
+        return { jsonrpc: '2.0', id: context.requestId, result: toToolResult(await tool.handler(args, context)) };
+      } catch (error) {
+        return {
+          jsonrpc: '2.0',
+          id: context.requestId,
+          error: { code: -32603, message: `${tool.name} execution failed`, data: error.message }
+        };
+      }
+    }
+  };
+}
+
+// Prompt renderers may return the text alone or { description, text }; an
+// explicit { success: false, error } still rejects the arguments
+function toPromptRender(value, prompt) {
+  const rendered = typeof value === 'string' ? { text: value } : value;
+  return { success: true, description: prompt.description, ...rendered };
+}
+
+function wrapPluginPrompt(prompt) {
+  return {
+    arguments: [],
+    ...prompt,
+    render: async (args) => toPromptRender(await prompt.render(args), prompt)
+  };
+}
+
+/**
+ * Loads tool packs and tracks what each one registered, so unload() can
+ * remove exactly that and the server can announce list changes.
+ * Sources: MCP_PLUGIN_DIR (files or package directories, resolved against
+ * the working directory; default: plugins/ in the repo root) and MCP_PLUGINS
+ * (comma-separated npm package names).
+ *
+ * Plugin contract: tool handlers return a string, an MCP { content } result
+ * or JSON data; prompt render(args) returns a string or { description, text },
+ * or { success: false, error } to reject the arguments.
+ */
+export class PluginLoader {
+  constructor(mcpServer, options = {}) {
+    this.mcpServer = mcpServer;
+    const configuredDir = options.pluginDir ?? process.env.MCP_PLUGIN_DIR;
+    this.pluginDir = configuredDir ? path.resolve(configuredDir) : path.join(REPO_ROOT, 'plugins');
+    this.packages = options.packages ?? parsePackageList(process.env.MCP_PLUGINS);
+    this.plugins = new Map();
+  }
+
+  // Every plugin file or package directory inside pluginDir; a missing directory means none
+  async discoverDirectory() {
+    let entries;
+    try {
+      entries = await fs.readdir(this.pluginDir, { withFileTypes: true });
+    } catch {
+      return [];
+    }
+    return entries
+      .filter(entry => entry.isDirectory() || PLUGIN_FILE.test(entry.name))
+      .map(entry => path.join(this.pluginDir, entry.name))
+      .sort();
+  }
+
+  // Package names are resolved by Node; anything else is a file or package directory path
+  async importPlugin(source, { isPackage = false } = {}) {
+    if (isPackage) {
+      return await import(source);
+    }
+    const location = path.resolve(source);
+    const stats = await fs.stat(location);
+    if (!stats.isDirectory()) {
+      return await import(pathToFileURL(location).href);
+    }
+    const manifest = JSON.parse(await fs.readFile(path.join(location, 'package.json'), 'utf8').catch(() => '{}'));
+    return await import(pathToFileURL(path.join(location, manifest.main || 'index.js')).href);
+  }
+
+  // Load all configured plugins; one broken pack never stops the others or the server
+  async loadAll() {
+    const results = [];
+    for (const source of await this.discoverDirectory()) {
+      results.push(await this.load(source));
+    }
+    for (const packageName of this.packages) {
+      results.push(await this.load(packageName, { isPackage: true }));
+    }
+    return results;
+  }
+
+  // options: { isPackage } — true for npm package names, otherwise source is a path
+  async load(source, options = {}) {
+    const registrations = { tools: [], resources: [], prompts: [] };
+    let plugin;
+    try {
+      plugin = pluginFromModule(await this.importPlugin(source, options), source);
+      if (this.plugins.has(plugin.name)) {
+        throw new Error(`Plugin '${plugin.name}' is already loaded`);
+      }
+      await plugin.register(this.createApi(plugin, registrations));
+    } catch (error) {
+      this.removeRegistrations(registrations);
+      console.error(`❌ Plugin ${plugin?.name || source} failed to load: ${error.message}`);
+      return { success: false, source, error: error.message };
+    }
+
+    this.plugins.set(plugin.name, { ...plugin, source, registrations });
+    this.announce(registrations);
+    console.log(`🧩 Plugin loaded: ${plugin.name}@${plugin.version} (${registrations.tools.length} tools, ${registrations.resources.length} resources, ${registrations.prompts.length} prompts)`);
+    return { success: true, name: plugin.name, version: plugin.version, source, registered: registrations };
+  }
+
+  async unload(name) {
+    const plugin = this.plugins.get(name);
+    if (!plugin) {
+      return { success: false, error: `Plugin not loaded: ${name}` };
+    }
+    if (typeof plugin.unregister === 'function') {
+      await plugin.unregister();
+    }
+    this.removeRegistrations(plugin.registrations);
+    this.plugins.delete(name);
+    this.announce(plugin.registrations);
+    return { success: true, name };
+  }
+
+  list() {
+    return Array.from(this.plugins.values(), ({ name, version, source, registrations }) => ({ name, version, source, registered: registrations }));
+  }
+
+  // The stable surface a plugin sees; everything it adds is recorded for unload
+  createApi(plugin, registrations) {
+    const { tools, resources, prompts } = this.mcpServer;
+    return Object.freeze({
+      apiVersion: PLUGIN_API_VERSION,
+      plugin: { name: plugin.name, version: plugin.version },
+      registerTool: (tool) => {
+        if (typeof tool?.handler !== 'function') {
+          throw new Error(`Tool '${tool?.name}' has no handler`);
+        }
+        tools.register(wrapPluginTool(tool));
+        registrations.tools.push(tool.name);
+      },
+      registerResource: (resource) => {
+        if (!resource?.uri || typeof resource.read !== 'function') {
+          throw new Error('Resource definition requires a uri and read()');
+        }
+        if (resources.has(resource.uri)) {
+          throw new Error(`Resource '${resource.uri}' is already registered`);
+        }
+        resources.set(resource.uri, resource);
+        registrations.resources.push(resource.uri);
+      },
+      registerPrompt: (prompt) => {
+        if (!prompt?.name || typeof prompt.render !== 'function') {
+          throw new Error('Prompt definition requires a name and render(args)');
+        }
+        if (prompts.has(prompt.name)) {
+          throw new Error(`Prompt '${prompt.name}' is already registered`);
+        }
+        prompts.set(prompt.name, wrapPluginPrompt(prompt));
+        registrations.prompts.push(prompt.name);
+      }
+    });
+  }
+
+  removeRegistrations({ tools, resources, prompts }) {
+    tools.forEach(name => this.mcpServer.tools.unregister(name));
+    resources.forEach(uri => this.mcpServer.resources.delete(uri));
+    prompts.forEach(name => this.mcpServer.prompts.delete(name));
+  }
+
+  announce({ tools, resources, prompts }) {
+    if (tools.length > 0) {
+      this.mcpServer.broadcast('notifications/tools/list_changed');
+    }
+    if (resources.length > 0) {
+      this.mcpServer.broadcast('notifications/resources/list_changed');
+    }
+    if (prompts.length > 0) {
+      this.mcpServer.broadcast('notifications/prompts/list_changed');
+    }
+  }
+}
+
+export default { PluginLoader, PLUGIN_API_VERSION };
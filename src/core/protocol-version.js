@@ -0,0 +1,58 @@
+// MCP Protocol Version Module
+// Single source of truth for supported protocol revisions and version-gated features
+
+// Newest first; revisions are ISO dates, so string comparison orders them
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+export const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+const VERSION_FORMAT = /^\d{4}-\d{2}-\d{2}$/;
+
+// Features that exist only in some revisions: [since, until] inclusive bounds
+const FEATURE_RANGES = {
+  jsonRpcBatching: ['2024-11-05', '2025-03-26'],
+  progressMessage: ['2025-03-26', null],
+  protocolVersionHeader: ['2025-06-18', null]
+};
+
+/**
+ * Pick the newest supported revision that is not newer than the client's.
+ * Returns { version } or { error } with the JSON-RPC error payload.
+ */
+export function negotiateProtocolVersion(requested) {
+  if (typeof requested === 'string' && VERSION_FORMAT.test(requested)) {
+    const mutual = SUPPORTED_PROTOCOL_VERSIONS.find(version => version <= requested);
+    if (mutual) {
+      return { version: mutual };
+    }
+  }
+
+  return {
+    error: {
+      code: -32602,
+      message: 'Unsupported protocol version',
+      data: { supported: SUPPORTED_PROTOCOL_VERSIONS, requested }
+    }
+  };
+}
+
+export function isSupportedProtocolVersion(version) {
+  return SUPPORTED_PROTOCOL_VERSIONS.includes(version);
+}
+
+// An unknown version (e.g. before initialize) gets the permissive answer
+export function supportsFeature(version, feature) {
+  const range = FEATURE_RANGES[feature];
+  if (!range || !version) {
+    return true;
+  }
+  const [since, until] = range;
+  return version >= since && (!until || version <= until);
+}
+
+export default {
+  SUPPORTED_PROTOCOL_VERSIONS,
+  LATEST_PROTOCOL_VERSION,
+  negotiateProtocolVersion,
+  isSupportedProtocolVersion,
+  supportsFeature
+};
@@ -1,15 +1,22 @@
 import { promises as fs } from 'fs';
 import path from 'path';
 import crypto from 'crypto';
+import os from 'os';
+import { emitSessionChanged, emitSessionRemoved } from './state-events.js';
+import { getServiceMonitor } from '../services/service-monitor.js';
+import { DockerClient } from '../docker/docker-client.js';
+import { StateSearchIndex } from './state-search-index.js';
 
 export class BOSSContextBridge {
   constructor(options = {}) {
-    this.stateTrackerDir = options.stateTrackerDir || '/app/rag-state';
+    this.stateTrackerDir = options.stateTrackerDir || process.env.RAG_STATE_DIR || '/app/rag-state';
     this.contextCacheDir = path.join(this.stateTrackerDir, 'context_cache');
     this.sessionTimeout = options.sessionTimeout || 30 * 60 * 1000;
     this.maxActiveSessions = options.maxActiveSessions || 5;
     this.freshnessDecayFactor = options.freshnessDecayFactor || 0.1;
     this.realTimeDataSources = options.realTimeDataSources || [];
+    this.serviceMonitor = options.serviceMonitor || null;
+    this.dockerClient = options.dockerClient || new DockerClient();
   }
 
   /**
@@ -24,14 +31,9 @@ export class BOSSContextBridge {
         sources: {}
       };
 
-      // Service Status Injection
+      // Service Status Injection - shares getServiceStatus probe results
       try {
-        realTimeData.sources.serviceStatus = {
-          healthy: true,
-          activeContainers: await this.getActiveContainerCount(),
-          systemLoad: Math.random() * 100, // Mock - replace with actual system metrics
-          lastCheck: new Date().toISOString()
-        };
+        realTimeData.sources.serviceStatus = await this.getServiceStatusSnapshot();
       } catch (e) {
         realTimeData.sources.serviceStatus = { error: e.message };
       }
@@ -223,9 +225,34 @@ export class BOSSContextBridge {
   /**
    * Helper methods for real-time data
    */
+  async getServiceStatusSnapshot() {
+    const results = await (this.serviceMonitor || getServiceMonitor()).latest();
+    const services = {};
+    results.forEach(({ name, status, latencyMs, error, checkedAt }) => {
+      services[name] = { status, latencyMs, ...(error ? { error } : {}), checkedAt };
+    });
+    return {
+      healthy: results.every(result => result.status === 'up'),
+      services,
+      activeContainers: await this.getActiveContainerCount(),
+      systemLoad: this.getSystemLoad(),
+      lastCheck: new Date().toISOString()
+    };
+  }
+
+  // One-minute load average as a percentage of available CPUs
+  getSystemLoad() {
+    const [oneMinute] = os.loadavg();
+    return Number(((oneMinute / os.cpus().length) * 100).toFixed(1));
+  }
+
+  // Running containers per the Docker Engine API; null when the daemon is unreachable
   async getActiveContainerCount() {
-    // Mock implementation - replace with actual Docker API calls
-    return Math.floor(Math.random() * 10) + 1;
+    try {
+      return (await this.dockerClient.listContainers()).length;
+    } catch {
+      return null;
+    }
   }
 
   async getActiveSessionCount() {
@@ -276,8 +303,10 @@ export class BOSSContextBridge {
         return await this.captureSession(params.sessionId, params.projectName, params.context, params.metadata);
       case 'list_active_sessions':
         return await this.listActiveSessions(params.projectName);
+      case 'search_context':
+        return await this.searchContext(params.query, params);
       case 'cleanup_expired':
-        return await this.cleanupExpiredSessions(params.strategy);
+        return await this.cleanupExpiredSessions(params.strategy, params.projectName);
       case 'inject_realtime_data':
         return await this.injectRealTimeData(params.context);
       case 'process_query_realtime':
@@ -317,35 +346,11 @@ export class BOSSContextBridge {
 
   async listActiveSessions(projectName) {
     try {
-      const sessions = [];
       const contextFiles = await fs.readdir(this.contextCacheDir);
-      for (const file of contextFiles) {
-        if (file.endsWith('.json') && (!projectName || file.includes(projectName))) {
-          const filePath = path.join(this.contextCacheDir, file);
-          try {
-            const stats = await fs.stat(filePath);
-            // Enterprise-grade: Skip empty files
-            if (stats.size === 0) {
-              console.warn(`⚠️  Skipping empty session file: ${file}`);
-              continue;
-            }
-            const fileContent = await fs.readFile(filePath, 'utf8');
-            // Enterprise-grade: Defensive JSON parsing
-            const sessionData = JSON.parse(fileContent);
-            sessions.push({
-              sessionId: sessionData.sessionId || file.replace('.json', ''),
-              projectName: sessionData.projectName,
-              lastAccessed: stats.mtime,
-              size: stats.size,
-              relevanceScore: this.calculateRelevance(1.0, stats.mtime.getTime())
-            });
-          } catch (fileError) {
-            // Enterprise-grade: Log and continue on file-specific errors
-            console.warn(`⚠️  Skipping corrupted session file: ${file} - ${fileError.message}`);
-            continue;
-          }
-        }
-      }
+      const summaries = await Promise.all(contextFiles
+        .filter(file => file.endsWith('.json'))
+        .map(file => this.readSessionSummary(file)));
+      const sessions = summaries.filter(session => session && (!projectName || session.projectName === projectName));
       sessions.sort((a, b) => b.relevanceScore - a.relevanceScore);
       return {
         success: true,
@@ -358,6 +363,40 @@ export class BOSSContextBridge {
     }
   }
 
+  /**
+   * BM25 search over session contexts and project states, ranked, with the
+   * matched terms highlighted. options: { projectName, types, limit }
+   */
+  async searchContext(query, { projectName, types, limit } = {}) {
+    if (!query) {
+      return { success: false, error: 'search_context requires a query' };
+    }
+    return await StateSearchIndex.open(this.stateTrackerDir).search(query, { projectName, types, limit });
+  }
+
+  // Session summary for listing; empty or corrupted files are skipped (null)
+  async readSessionSummary(file) {
+    const filePath = path.join(this.contextCacheDir, file);
+    try {
+      const stats = await fs.stat(filePath);
+      if (stats.size === 0) {
+        console.warn(`⚠️  Skipping empty session file: ${file}`);
+        return null;
+      }
+      const sessionData = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      return {
+        sessionId: sessionData.sessionId || file.replace('.json', ''),
+        projectName: sessionData.projectName,
+        lastAccessed: stats.mtime,
+        size: stats.size,
+        relevanceScore: this.calculateRelevance(1.0, stats.mtime.getTime())
+      };
+    } catch (fileError) {
+      console.warn(`⚠️  Skipping corrupted session file: ${file} - ${fileError.message}`);
+      return null;
+    }
+  }
+
   /**
    * Capture session context with timestamp intelligence
    */
@@ -413,9 +452,11 @@ export class BOSSContextBridge {
 
       // Enterprise-grade: Ensure directory exists
       await fs.mkdir(this.contextCacheDir, { recursive: true });
+      const isNewSession = !(await this.fileExists(filePath));
 
       // Write session data
       await fs.writeFile(filePath, JSON.stringify(sessionData, null, 2), 'utf8');
+      emitSessionChanged(sessionId, isNewSession);
 
       return {
         success: true,
@@ -474,35 +515,55 @@ export class BOSSContextBridge {
   }
 
   /**
-   * Cleanup expired sessions
+   * Delete one session's cached context
    */
-  async cleanupExpiredSessions(strategy = 'timestamp') {
+  async removeSession(sessionId) {
+    try {
+      await fs.unlink(path.join(this.contextCacheDir, `${sessionId}.json`));
+      emitSessionRemoved(sessionId);
+      return { success: true, sessionId, removed: true, timestamp: new Date().toISOString() };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.code === 'ENOENT' ? 'Session not found' : error.message,
+        sessionId,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  /**
+   * Cleanup expired sessions: deletes sessions whose file is older than
+   * sessionTimeout, only those of projectName when one is given. Handoff
+   * records are never deleted here; completeHandoff expires them.
+   */
+  async cleanupExpiredSessions(strategy = 'timestamp', projectName = null) {
     try {
       const sessions = [];
       const contextFiles = await fs.readdir(this.contextCacheDir);
       const now = Date.now();
 
-      for (const file of contextFiles) {
-        if (file.endsWith('.json')) {
-          const filePath = path.join(this.contextCacheDir, file);
-          const stats = await fs.stat(filePath);
-          const ageMs = now - stats.mtime.getTime();
-
-          // Remove sessions older than timeout
-          if (ageMs > this.sessionTimeout) {
-            await fs.unlink(filePath);
-            sessions.push({
-              sessionId: file.replace('.json', ''),
-              action: 'deleted',
-              age: Math.round(ageMs / 1000 / 60) + ' minutes'
-            });
-          }
+      for (const file of contextFiles.filter(name => name.endsWith('.json') && !name.startsWith('handoff_'))) {
+        const filePath = path.join(this.contextCacheDir, file);
+        const stats = await fs.stat(filePath);
+        const ageMs = now - stats.mtime.getTime();
+
+        // Remove sessions older than timeout
+        if (ageMs > this.sessionTimeout && await this.belongsToProject(filePath, projectName)) {
+          await fs.unlink(filePath);
+          emitSessionRemoved(file.replace('.json', ''));
+          sessions.push({
+            sessionId: file.replace('.json', ''),
+            action: 'deleted',
+            age: Math.round(ageMs / 1000 / 60) + ' minutes'
+          });
         }
       }
 
       return {
         success: true,
         strategy,
+        projectName,
         cleaned: sessions.length,
         sessions,
         timestamp: new Date().toISOString()
@@ -517,6 +578,17 @@ export class BOSSContextBridge {
     }
   }
 
+  // True without a projectName; unreadable sessions are kept when scoped to a project
+  async belongsToProject(filePath, projectName) {
+    if (!projectName) {
+      return true;
+    }
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8')).projectName === projectName;
+    } catch {
+      return false;
+    }
+  }
 
   /**
    * Helper: Ensure required directories exist
@@ -605,6 +677,27 @@ export class BOSSContextBridge {
     }
   }
 
+  /**
+     * SOPHISTICATED HANDOFF SYSTEM - Get Handoff
+     * Load a handoff record by id
+     */
+  async getHandoff(handoffId) {
+    if (!/^[a-f0-9]+$/i.test(handoffId || '')) {
+      return { success: false, error: 'Invalid handoff id', handoffId };
+    }
+
+    const handoffFile = path.join(this.contextCacheDir, `handoff_${handoffId}.json`);
+    if (!(await this.fileExists(handoffFile))) {
+      return { success: false, error: 'Handoff not found', handoffId };
+    }
+
+    return {
+      success: true,
+      handoffId,
+      handoff: JSON.parse(await fs.readFile(handoffFile, 'utf8'))
+    };
+  }
+
   /**
      * SOPHISTICATED HANDOFF SYSTEM - Bridge Sessions
      * Transfer context between sessions with intelligent merging
@@ -635,7 +728,8 @@ export class BOSSContextBridge {
         bridgeData.previousContext = previousContext;
       }
 
-      if (await this.fileExists(currentSessionFile)) {
+      const currentSessionExists = await this.fileExists(currentSessionFile);
+      if (currentSessionExists) {
         const currentData = JSON.parse(await fs.readFile(currentSessionFile, 'utf8'));
         currentContext = currentData.context || {};
       }
@@ -666,6 +760,7 @@ export class BOSSContextBridge {
       };
 
       await fs.writeFile(currentSessionFile, JSON.stringify(updatedSessionData, null, 2));
+      emitSessionChanged(sessionId, !currentSessionExists);
       bridgeData.success = true;
       bridgeData.bridgedContext = bridgedContext;
 
@@ -850,24 +945,3 @@ export class BOSSContextBridge {
   }
 
 }
-
-export const bossContextBridge = {
-  name: 'boss_context_bridge',
-  description: 'Seamless context transfer with timestamp intelligence + real-time data injection',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      operation: {
-        type: 'string',
-        enum: ['capture_session', 'restore_session', 'bridge_sessions', 'merge_contexts', 'create_handoff', 'complete_handoff', 'list_active_sessions', 'cleanup_expired', 'inject_realtime_data', 'process_query_realtime']
-      },
-      sessionId: { type: 'string' },
-      projectName: { type: 'string' },
-      context: { type: 'object' },
-      metadata: { type: 'object' },
-      strategy: { type: 'string' },
-      query: { type: 'string' }
-    },
-    required: ['operation']
-  }
-};
@@ -0,0 +1,108 @@
+// Context Packer Module
+// Enterprise compliant - ranked context items packed into a token budget with citations
+
+import { loadTokenCounter } from '../text/token-counter.js';
+
+const MIN_PARTIAL_TOKENS = 32;
+const SOURCES_HEADER = 'Sources:';
+const ELLIPSIS = '…';
+
+export function citationLabel(item) {
+  const location = `${item.database}/${item.source ?? '-'}#${item.id}`;
+  return item.title && item.title !== item.id ? `${location} — ${item.title}` : location;
+}
+
+// Longest prefix (cut at a word boundary) that fits in `budget` tokens
+export function truncateToTokens(text, budget, countTokens) {
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (countTokens(`${text.slice(0, middle)}${ELLIPSIS}`) <= budget) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  const cut = text.slice(0, low);
+  const boundary = cut.search(/\s\S*$/);
+  return `${(boundary > 0 ? cut.slice(0, boundary) : cut).trimEnd()}${ELLIPSIS}`;
+}
+
+function render(entries) {
+  if (entries.length === 0) {
+    return '';
+  }
+  const blocks = entries.map(entry => `[${entry.ref}] ${entry.content}`);
+  const sources = entries.map(entry => `[${entry.ref}] ${entry.label}`);
+  return `${blocks.join('\n\n')}\n\n${SOURCES_HEADER}\n${sources.join('\n')}`;
+}
+
+// Next item as it would be packed, or null when too little budget is left for it
+function fitItem(item, ref, remaining, countTokens) {
+  const label = citationLabel(item);
+  const overhead = countTokens(`[${ref}] \n\n`) + countTokens(`[${ref}] ${label}\n`);
+  const available = remaining - overhead;
+  const contentTokens = countTokens(item.content);
+  if (contentTokens <= available) {
+    return { item, ref, label, content: item.content, cost: contentTokens + overhead, truncated: false };
+  }
+  if (available < MIN_PARTIAL_TOKENS) {
+    return null;
+  }
+  const content = truncateToTokens(item.content, available, countTokens);
+  return { item, ref, label, content, cost: countTokens(content) + overhead, truncated: true };
+}
+
+/**
+ * Greedy packing in rank order: each item goes in whole if it fits, is cut
+ * down if at least MIN_PARTIAL_TOKENS remain, and is skipped otherwise (a
+ * smaller, lower-ranked item may still fit). The result is one context block
+ * of numbered passages followed by a Sources list citing where each came
+ * from; `tokens` is measured on the final text.
+ */
+export function packContext(items, { maxTokens, countTokens, tokenizer }) {
+  const entries = [];
+  let used = countTokens(`${SOURCES_HEADER}\n`);
+  items.forEach(item => {
+    const entry = fitItem(item, entries.length + 1, maxTokens - used, countTokens);
+    if (entry) {
+      entries.push(entry);
+      used += entry.cost;
+    }
+  });
+
+  // Token counts are not exactly additive across joins; drop from the tail until the whole fits
+  let context = render(entries);
+  while (entries.length > 0 && countTokens(context) > maxTokens) {
+    entries.pop();
+    context = render(entries);
+  }
+
+  return {
+    context,
+    tokens: countTokens(context),
+    maxTokens,
+    tokenizer,
+    citations: entries.map(({ item, ref, label, content, truncated }) => ({
+      ref,
+      id: item.id,
+      database: item.database,
+      source: item.source,
+      title: item.title,
+      label,
+      relevance: item.relevance ?? item.score,
+      tokens: countTokens(content),
+      truncated
+    })),
+    omitted: items.length - entries.length
+  };
+}
+
+// packContext with the process-wide token counter
+export async function assembleContext(items, maxTokens) {
+  const counter = await loadTokenCounter();
+  return packContext(items, { maxTokens, countTokens: counter.count, tokenizer: counter.name });
+}
+
+export default { packContext, assembleContext, truncateToTokens, citationLabel };
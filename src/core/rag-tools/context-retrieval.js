@@ -0,0 +1,116 @@
+// Context Retrieval Module
+// Enterprise compliant - context items from vector hits, sessions and project state
+
+import { normalizeResult } from '../databases/search-result.js';
+import { calculateTextScore } from '../text/text-score.js';
+import { tokenize } from '../text/tokenize.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const RELEVANCE_DIGITS = 4;
+
+/**
+ * Every context item uses the searchMultiDatabase result shape
+ * { id, database, source, title, content, score, timestamp, metadata }, with
+ * database 'qdrant' (vector hits), 'context_cache' (sessions) or
+ * 'project_state' (top-level keys of a project's current state).
+ */
+export function vectorItems(searchResult, query) {
+  return (searchResult.results || []).map(hit => normalizeResult({
+    database: 'qdrant',
+    source: hit.collection,
+    id: hit.id,
+    record: hit.payload || {},
+    query,
+    score: hit.enhanced_score ?? hit.score
+  }));
+}
+
+// A StateSearchIndex session match; its BM25 score ranks it against other sessions
+export function sessionItem(match) {
+  const session = match.record;
+  return {
+    id: match.id,
+    database: 'context_cache',
+    source: match.projectName,
+    title: match.id,
+    content: JSON.stringify(session.context ?? {}),
+    score: match.score,
+    timestamp: match.timestamp,
+    metadata: session.metadata || {},
+    highlights: match.highlights
+  };
+}
+
+export function projectStateItems(stateData, query) {
+  return Object.entries(stateData?.state || {}).map(([key, value]) => {
+    const content = typeof value === 'string' ? value : JSON.stringify(value);
+    return {
+      id: `${stateData.projectName}#${key}`,
+      database: 'project_state',
+      source: stateData.projectName,
+      title: key,
+      content,
+      score: calculateTextScore(query, `${key} ${content}`),
+      timestamp: stateData.lastUpdated || null,
+      metadata: { version: stateData.version }
+    };
+  });
+}
+
+// exp(-decay × age in days); undated items are not penalised
+export function freshnessWeight(timestamp, decayFactor, now = Date.now()) {
+  const time = timestamp ? new Date(timestamp).getTime() : NaN;
+  if (Number.isNaN(time)) {
+    return 1;
+  }
+  return Math.exp(-decayFactor * Math.max(0, now - time) / MS_PER_DAY);
+}
+
+// Share of an item's terms that also occur in the session's captured context
+export function sessionOverlap(item, sessionTerms) {
+  const tokens = tokenize(`${item.title ?? ''} ${item.content}`);
+  if (tokens.length === 0 || sessionTerms.size === 0) {
+    return 0;
+  }
+  return tokens.filter(token => sessionTerms.has(token)).length / tokens.length;
+}
+
+/**
+ * Re-rank items toward what the session has been about: relevance is the
+ * item's score × (1 + boost × overlap with the session's terms)
+ */
+export function boostBySession(items, sessionTerms, { boost, limit }) {
+  return items
+    .map(item => {
+      const overlap = sessionOverlap(item, sessionTerms);
+      return {
+        ...item,
+        sessionOverlap: Number(overlap.toFixed(RELEVANCE_DIGITS)),
+        relevance: Number((item.score * (1 + boost * overlap)).toFixed(RELEVANCE_DIGITS))
+      };
+    })
+    .sort((a, b) => b.relevance - a.relevance)
+    .slice(0, limit);
+}
+
+/**
+ * Rank items from different sources on one scale: scores are divided by the
+ * best score of their own database (backends score on different scales),
+ * optionally weighted by freshness, and items with no match are dropped.
+ * Each item gains `relevance`, the value it was ranked by.
+ */
+export function rankContextItems(items, { limit, freshness = true, decayFactor, now = Date.now() }) {
+  const best = new Map();
+  items.forEach(item => best.set(item.database, Math.max(best.get(item.database) || 0, item.score)));
+
+  return items
+    .filter(item => item.score > 0)
+    .map(item => {
+      const weight = freshness ? freshnessWeight(item.timestamp, decayFactor, now) : 1;
+      return { ...item, relevance: Number((item.score / best.get(item.database) * weight).toFixed(RELEVANCE_DIGITS)) };
+    })
+    .sort((a, b) => b.relevance - a.relevance)
+    .slice(0, limit);
+}
+
+export default { vectorItems, sessionItem, projectStateItems, freshnessWeight, sessionOverlap, boostBySession, rankContextItems };
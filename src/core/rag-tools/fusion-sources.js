@@ -0,0 +1,92 @@
+// Fusion Sources Module
+// Enterprise compliant - MultiDatabaseSearch buckets as ranked item lists
+
+import { normalizeResult } from '../databases/search-result.js';
+import { vectorItems, sessionItem } from './context-retrieval.js';
+
+// Sources MultiDatabaseSearch can fuse: vector hits, Mongo messages,
+// BM25 matches over sessions and project states, and BM25 documentation chunks
+export const FUSION_SOURCES = ['qdrant', 'mongodb', 'sessions', 'docs'];
+
+// searchAll reports Mongo under its database name
+const BUCKET_SOURCES = { admin: 'mongodb' };
+
+function byScore(items) {
+  return items.sort((a, b) => b.score - a.score);
+}
+
+function mongoItems(bucket, query) {
+  return byScore((bucket.documents || []).map(doc => normalizeResult({
+    database: 'mongodb',
+    source: 'messages',
+    id: doc.id,
+    record: doc,
+    query
+  })));
+}
+
+function projectItem(match) {
+  return {
+    id: match.id,
+    database: 'project_state',
+    source: match.projectName,
+    title: match.id,
+    content: JSON.stringify(match.record.state ?? {}),
+    score: match.score,
+    timestamp: match.timestamp,
+    metadata: { version: match.record.version },
+    highlights: match.highlights
+  };
+}
+
+function stateItems(bucket) {
+  return (bucket.results || []).map(match => (match.type === 'session' ? sessionItem(match) : projectItem(match)));
+}
+
+function docsItems(bucket) {
+  return (bucket.results || []).map(chunk => ({
+    id: `${chunk.file}#L${chunk.line}`,
+    database: 'docs',
+    source: chunk.collection,
+    title: chunk.heading,
+    content: chunk.snippet,
+    score: chunk.score,
+    timestamp: null,
+    metadata: { file: chunk.file, line: chunk.line, headingPath: chunk.headingPath }
+  }));
+}
+
+const CONVERTERS = {
+  qdrant: vectorItems,
+  mongodb: mongoItems,
+  sessions: stateItems,
+  docs: docsItems
+};
+
+/**
+ * searchAll's per-database buckets as { [source]: items best first } in the
+ * searchMultiDatabase item shape; failed buckets are left out
+ */
+export function sourceLists(databases, query) {
+  const lists = {};
+  Object.entries(databases).forEach(([name, bucket]) => {
+    const source = BUCKET_SOURCES[name] || name;
+    if (bucket.success && CONVERTERS[source]) {
+      lists[source] = CONVERTERS[source](bucket, query);
+    }
+  });
+  return lists;
+}
+
+// { [source]: { status: 'ok' | 'error', count, error? } }
+export function sourceStatuses(databases) {
+  const statuses = {};
+  Object.entries(databases).forEach(([name, bucket]) => {
+    statuses[BUCKET_SOURCES[name] || name] = bucket.success
+      ? { status: 'ok', count: bucket.total ?? bucket.count ?? 0 }
+      : { status: 'error', count: 0, error: bucket.error };
+  });
+  return statuses;
+}
+
+export default { FUSION_SOURCES, sourceLists, sourceStatuses };
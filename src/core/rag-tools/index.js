@@ -4,9 +4,19 @@
  * Addresses ClickUp Task 86c47e3x7: Fix Context Bridge State Bloat & Old Information Syndrome
  */
 
-import { BOSSContextBridge, bossContextBridge } from './context-bridge.js';
-import { BOSSStateTracker, bossStateTracker } from './state-tracker.js';
-import { EnhancedVectorSearch, enhancedVectorSearch } from './vector-search.js';
+import crypto from 'crypto';
+import { BOSSContextBridge } from './context-bridge.js';
+import { BOSSStateTracker } from './state-tracker.js';
+import { EnhancedVectorSearch } from './vector-search.js';
+import { StateSearchIndex } from './state-search-index.js';
+import { tokenize } from '../text/tokenize.js';
+import { vectorItems, sessionItem, projectStateItems, boostBySession, rankContextItems } from './context-retrieval.js';
+import { assembleContext } from './context-packer.js';
+import { MANAGER_OPERATIONS, validateOperation, sourceStatus, projectStateSummary } from './manager-operations.js';
+
+const DEFAULT_CONTEXT_SIZE = 5;
+const DEFAULT_DECAY_FACTOR = 0.1;
+const SESSION_OVERLAP_BOOST = 1;
 
 /**
  * RAG Superior Manager - Orchestrates all RAG operations
@@ -17,6 +27,8 @@ export class RAGSuperiorManager {
     this.contextBridge = new BOSSContextBridge(options.contextBridge);
     this.stateTracker = new BOSSStateTracker(options.stateTracker);
     this.vectorSearch = new EnhancedVectorSearch(options.vectorSearch);
+    this.stateIndex = options.stateIndex || StateSearchIndex.open(this.contextBridge.stateTrackerDir);
+    this.decayFactor = options.decayFactor || DEFAULT_DECAY_FACTOR;
     this.initialized = false;
   }
 
@@ -29,14 +41,167 @@ export class RAGSuperiorManager {
     return { success: true, timestamp: new Date().toISOString() };
   }
 
+  /**
+   * Run a rag_superior_manager operation (see MANAGER_OPERATIONS). Params:
+   * operation, query, sessionId, projectName, contextSize, maxTokens,
+   * enableFreshness, signal and onProgress. Failures come back as
+   * { success: false, error }.
+   */
+  async execute(params) {
+    const invalid = validateOperation(params);
+    if (invalid) {
+      return invalid;
+    }
+
+    await this.initialize();
+    const options = { contextSize: DEFAULT_CONTEXT_SIZE, enableFreshness: true, ...params };
+    switch (params.operation) {
+    case 'search_with_context':
+      return await this.searchWithContext(options);
+    case 'smart_retrieval':
+      return await this.smartRetrieval(options);
+    case 'session_aware_search':
+      return await this.sessionAwareSearch(options);
+    case 'initialize_session':
+      return await this.initializeSession(options);
+    case 'cleanup_expired':
+      return await this.cleanupExpired(options);
+    default:
+      return await this.cleanupSession(options);
+    }
+  }
+
+  // Vector hits, the project's current state and its active sessions, fetched together
+  async gatherContext({ query, projectName, contextSize, enableFreshness, signal, onProgress }) {
+    const [vector, state, sessions] = await Promise.all([
+      this.vectorSearch.searchWithTimestampPriority(query, { limit: contextSize, freshness_boost: enableFreshness, signal, onProgress }),
+      projectName ? this.stateTracker.execute({ operation: 'get_current_state', projectName }) : null,
+      this.contextBridge.execute({ operation: 'list_active_sessions', projectName })
+    ]);
+    return { vector, state, sessions };
+  }
+
+  // Vector hits, the project's best-matching session contexts and its state fields, unranked
+  async collectCandidates(params) {
+    const [gathered, sessions] = await Promise.all([
+      this.gatherContext({ ...params, enableFreshness: false }),
+      this.stateIndex.match(params.query, { projectName: params.projectName, types: ['session'], limit: params.contextSize })
+    ]);
+    const candidates = [
+      ...vectorItems(gathered.vector, params.query),
+      ...sessions.map(sessionItem),
+      ...(gathered.state?.success ? projectStateItems(gathered.state.state, params.query) : [])
+    ];
+    return { gathered, candidates };
+  }
+
+  // With maxTokens, the results are also assembled into `context`
+  async searchResult(params, { vector, state, sessions }, results, extra = {}) {
+    return {
+      success: true,
+      operation: params.operation,
+      query: params.query,
+      projectName: params.projectName || null,
+      ...extra,
+      ...(params.maxTokens ? { context: await assembleContext(results, params.maxTokens) } : {}),
+      results,
+      projectState: projectStateSummary(state),
+      sources: {
+        vector: sourceStatus(vector, vector.results?.length ?? 0),
+        projectState: sourceStatus(state, state?.success ? 1 : 0),
+        sessions: sourceStatus(sessions, sessions.sessions?.length ?? 0)
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * search_with_context: vector hits (freshness-weighted when enabled),
+   * returned next to the project's current state and its active sessions
+   */
+  async searchWithContext(params) {
+    const gathered = await this.gatherContext(params);
+    const results = vectorItems(gathered.vector, params.query).slice(0, params.contextSize);
+    return this.searchResult(params, gathered, results, { sessions: gathered.sessions.sessions || [] });
+  }
+
+  /**
+   * smart_retrieval: one ranked list of vector hits, matching session
+   * contexts and matching project state keys. Scores are normalised per
+   * source and weighted by freshness once, here, rather than in the vector search.
+   */
+  async smartRetrieval(params) {
+    const { gathered, candidates } = await this.collectCandidates(params);
+    const results = rankContextItems(candidates, {
+      limit: params.contextSize,
+      freshness: params.enableFreshness,
+      decayFactor: this.decayFactor
+    });
+    return this.searchResult(params, gathered, results, { candidates: candidates.length });
+  }
+
+  /**
+   * session_aware_search: vector hits re-ranked by how much they share with
+   * the session's captured context; the project defaults to the session's
+   */
+  async sessionAwareSearch(params) {
+    const session = await this.contextBridge.restoreSession(params.sessionId);
+    if (!session.success) {
+      return { success: false, operation: params.operation, sessionId: params.sessionId, error: session.error };
+    }
+
+    const scoped = { ...params, projectName: params.projectName || session.projectName };
+    const gathered = await this.gatherContext(scoped);
+    const sessionTerms = new Set(tokenize(JSON.stringify(session.context ?? {})));
+    const results = boostBySession(vectorItems(gathered.vector, params.query), sessionTerms, {
+      boost: SESSION_OVERLAP_BOOST,
+      limit: params.contextSize
+    });
+    return this.searchResult(scoped, gathered, results, { sessionId: params.sessionId, sessionCapturedAt: session.captureTime });
+  }
+
+  /**
+   * initialize_session: create the session (a new id when none is given) with
+   * a snapshot of the project's current state; an existing session is left as is
+   */
+  async initializeSession({ sessionId, projectName }) {
+    const id = sessionId || crypto.randomUUID();
+    const existing = await this.contextBridge.restoreSession(id);
+    if (existing.success) {
+      return { success: true, operation: 'initialize_session', sessionId: id, projectName: existing.projectName, created: false, capturedAt: existing.captureTime };
+    }
+
+    const state = projectName ? await this.stateTracker.execute({ operation: 'get_current_state', projectName }) : null;
+    const capture = await this.captureSessionSmart(id, projectName, {
+      initializedAt: new Date().toISOString(),
+      projectState: projectStateSummary(state)
+    }, { initializedBy: 'rag_superior_manager' });
+    return { ...capture, operation: 'initialize_session', projectName: projectName || null, created: capture.success, projectStateAttached: Boolean(state?.success) };
+  }
+
+  // cleanup_expired: delete sessions past the bridge's sessionTimeout, only the project's when one is given
+  async cleanupExpired({ projectName }) {
+    return { ...(await this.contextBridge.execute({ operation: 'cleanup_expired', strategy: 'timestamp', projectName })), operation: 'cleanup_expired' };
+  }
+
+  // cleanup_session: delete the session's cached context
+  async cleanupSession({ sessionId }) {
+    return { ...(await this.contextBridge.removeSession(sessionId)), operation: 'cleanup_session' };
+  }
+
   /**
    * Smart context retrieval with timestamp prioritization
    * Solves "Old Information Syndrome"
+   * With options.maxTokens the sessions and state are not returned raw: see getBudgetedContext.
    */
   async getRelevantContext(projectName, query, options = {}) {
     await this.initialize();
 
     try {
+      if (options.maxTokens) {
+        return await this.getBudgetedContext(projectName, query, options);
+      }
+
       // Get active sessions with timestamp scoring
       const activeSessions = await this.contextBridge.execute({
         operation: 'list_active_sessions',
@@ -54,11 +219,7 @@ export class RAGSuperiorManager {
       });
 
       // Combine context with vector search intelligence
-      const searchResult = await this.vectorSearch.searchWithTimestampPriority(
-        query,
-        activeSessions.sessions,
-        options
-      );
+      const searchResult = await this.vectorSearch.searchWithTimestampPriority(query, options);
 
       return {
         success: true,
@@ -80,13 +241,42 @@ export class RAGSuperiorManager {
   }
 
   /**
-   * Capture session with automatic cleanup
+   * Every candidate (vector hits, session contexts, state fields) ranked by
+   * relevance and packed greedily into options.maxTokens, as one context
+   * block with a citation per passage
+   */
+  async getBudgetedContext(projectName, query, options) {
+    const { gathered, candidates } = await this.collectCandidates({
+      query,
+      projectName,
+      contextSize: options.maxResults || DEFAULT_CONTEXT_SIZE,
+      signal: options.signal,
+      onProgress: options.onProgress
+    });
+    const ranked = rankContextItems(candidates, {
+      limit: candidates.length,
+      freshness: options.freshness_boost !== false,
+      decayFactor: this.decayFactor
+    });
+    return {
+      success: true,
+      projectName,
+      query,
+      ...(await assembleContext(ranked, options.maxTokens)),
+      candidates: candidates.length,
+      totalSessions: gathered.sessions.total ?? 0,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Capture session; expired sessions are only removed by the explicit
+   * cleanup_expired operation
    */
   async captureSessionSmart(sessionId, projectName, context, metadata = {}) {
     await this.initialize();
 
-    // Capture the session
-    const captureResult = await this.contextBridge.execute({
+    return await this.contextBridge.execute({
       operation: 'capture_session',
       sessionId,
       projectName,
@@ -97,119 +287,9 @@ export class RAGSuperiorManager {
         timestampIntelligence: true
       }
     });
-
-    // Auto-cleanup if needed
-    if (captureResult.success) {
-      await this.contextBridge.execute({
-        operation: 'cleanup_expired',
-        strategy: 'smart_archive'
-      });
-    }
-
-    return captureResult;
-  }
-}
-
-// MCP Tool Exports for Server Integration
-export const ragSuperiorTools = [
-  {
-    ...bossContextBridge,
-    handler: async (params) => {
-      const bridge = new BOSSContextBridge();
-      return await bridge.execute(params);
-    }
-  },
-  {
-    ...bossStateTracker,
-    handler: async (params) => {
-      const tracker = new BOSSStateTracker();
-      return await tracker.execute(params);
-    }
-  },
-  {
-    ...enhancedVectorSearch,
-    handler: async (params) => {
-      const search = new EnhancedVectorSearch();
-      return await search.searchWithTimestampPriority(
-        params.query,
-        params.documents || [],
-        params
-      );
-    }
-  },
-  {
-    name: 'rag_superior_smart_search',
-    description: 'Smart context retrieval with timestamp prioritization - solves Old Information Syndrome',
-    inputSchema: {
-      type: 'object',
-      properties: {
-        projectName: { type: 'string' },
-        query: { type: 'string' },
-        freshnessDecayFactor: { type: 'number' },
-        maxResults: { type: 'number' }
-      },
-      required: ['projectName', 'query']
-    },
-    handler: async (params) => {
-      const manager = new RAGSuperiorManager();
-      return await manager.getRelevantContext(params.projectName, params.query, params);
-    }
-  }
-];
-
-export { BOSSContextBridge, BOSSStateTracker, EnhancedVectorSearch };
-
-
-
-// Compatibility wrappers for existing MCP handler interface
-export async function executeStateTrackerTool(args, requestId) {
-  try {
-    const instance = new BOSSStateTracker();
-    const result = await instance.execute(args);
-    return { jsonrpc: "2.0", id: requestId, result: { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] } };
-  } catch (error) {
-    return { jsonrpc: "2.0", id: requestId, error: { code: -32603, message: "Internal error", data: error.message } };
-  }
-}
-
-export async function executeVectorSearchTool(args, requestId) {
-  try {
-    const instance = new EnhancedVectorSearch();
-    const result = await instance.searchAll(args.query, ["qdrant"], args.limit || 10);
-    return { jsonrpc: "2.0", id: requestId, result: { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] } };
-  } catch (error) {
-    return { jsonrpc: "2.0", id: requestId, error: { code: -32603, message: "Internal error", data: error.message } };
-  }
-}
-
-export async function executeRagSuperiorTool(args, requestId) {
-  try {
-    const manager = new RAGSuperiorManager();
-    const result = await manager.getRelevantContext(args.projectName, args.query, args);
-    return { jsonrpc: "2.0", id: requestId, result: { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] } };
-  } catch (error) {
-    return { jsonrpc: "2.0", id: requestId, error: { code: -32603, message: "Internal error", data: error.message } };
   }
 }
 
-export async function executeRagSuperiorManagerTool(args, requestId) {
-  try {
-    const manager = new RAGSuperiorManager();
-    const result = await manager.getRelevantContext(args.projectName, args.query, args);
-    return { jsonrpc: "2.0", id: requestId, result: { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] } };
-  } catch (error) {
-    return { jsonrpc: "2.0", id: requestId, error: { code: -32603, message: "Internal error", data: error.message } };
-  }
-}
-
-export async function executeContextBridgeTool(args, requestId) {
-  try {
-    const instance = new BOSSContextBridge();
-    const result = await instance.execute(args);
-    return { jsonrpc: "2.0", id: requestId, result: { content: [{ type: "text", text: JSON.stringify(result, null, 2) }] } };
-  } catch (error) {
-    return { jsonrpc: "2.0", id: requestId, error: { code: -32603, message: "Internal error", data: error.message } };
-  }
-}
+export { BOSSContextBridge, BOSSStateTracker, EnhancedVectorSearch, MANAGER_OPERATIONS };
 
-export default { executeStateTrackerTool, executeVectorSearchTool, executeRagSuperiorTool, executeRagSuperiorManagerTool, executeContextBridgeTool };
+export default { RAGSuperiorManager, MANAGER_OPERATIONS };
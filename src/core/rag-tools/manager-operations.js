@@ -0,0 +1,57 @@
+// Manager Operations Module
+// Enterprise compliant - rag_superior_manager operation contract and result helpers
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9][\w.-]*$/;
+
+// Session ids and project names become file names under rag-state, so no separators or leading dots
+export function isSafeId(value) {
+  return typeof value === 'string' && SESSION_ID_PATTERN.test(value);
+}
+
+export const MANAGER_OPERATIONS = ['search_with_context', 'smart_retrieval', 'session_aware_search', 'initialize_session', 'cleanup_session', 'cleanup_expired'];
+
+const REQUIRED_PARAMETERS = {
+  search_with_context: ['query'],
+  smart_retrieval: ['query'],
+  session_aware_search: ['query', 'sessionId'],
+  initialize_session: [],
+  cleanup_session: ['sessionId'],
+  cleanup_expired: []
+};
+
+// A { success: false } result for an unknown operation, a missing parameter or an unsafe session id; null when valid
+export function validateOperation(params) {
+  const required = REQUIRED_PARAMETERS[params.operation];
+  if (!required) {
+    return { success: false, error: `Unknown operation: ${params.operation}`, operations: MANAGER_OPERATIONS };
+  }
+  const missing = required.find(name => !params[name]);
+  if (missing) {
+    return { success: false, operation: params.operation, error: `${missing} is required for ${params.operation}` };
+  }
+  if (params.sessionId && !isSafeId(params.sessionId)) {
+    return { success: false, operation: params.operation, error: `Invalid session id: ${params.sessionId}` };
+  }
+  return null;
+}
+
+// { status: 'ok', count } | { status: 'error', error } | { status: 'skipped' } for one input of a search
+export function sourceStatus(result, count) {
+  if (!result) {
+    return { status: 'skipped' };
+  }
+  if (!result.success || result.sourceError) {
+    return { status: 'error', error: result.sourceError || result.error };
+  }
+  return { status: 'ok', count };
+}
+
+export function projectStateSummary(stateResult) {
+  if (!stateResult?.success) {
+    return null;
+  }
+  const { projectName, lastUpdated, state } = stateResult.state;
+  return { projectName, lastUpdated, state };
+}
+
+export default { MANAGER_OPERATIONS, isSafeId, validateOperation, sourceStatus, projectStateSummary };
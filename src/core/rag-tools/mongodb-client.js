@@ -1,7 +1,15 @@
+// The query is matched literally, not as a regular expression
+function messageFilter(query) {
+  const pattern = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return {
+    $or: ['body', 'from', 'to'].map(field => ({ [field]: { $regex: pattern, $options: 'i' } }))
+  };
+}
+
 class MongoDBClient {
   constructor(options = {}) {
-    this.host = options.host || '192.168.68.94';
-    this.port = options.port || 27018;
+    this.host = options.host || process.env.MONGODB_HOST || '192.168.68.94';
+    this.port = options.port || Number(process.env.MONGODB_PORT) || 27018;
     this.database = options.database || 'admin';
     this.timeout = options.timeout || 5000;
   }
@@ -13,14 +21,14 @@ class MongoDBClient {
         serverSelectionTimeoutMS: this.timeout,
         connectTimeoutMS: this.timeout
       });
-      
+
       await client.connect();
       const db = client.db(this.database);
       const collections = await db.listCollections().toArray();
       const messageCount = await db.collection('messages').countDocuments();
-      
+
       await client.close();
-      
+
       return {
         success: true,
         source: 'mongodb',
@@ -34,30 +42,27 @@ class MongoDBClient {
     }
   }
 
-  async searchDocuments(query, limit = 10) {
+  async searchDocuments(query, limit = 10, options = {}) {
     try {
+      options.signal?.throwIfAborted();
       const { MongoClient } = await import('mongodb');
       const client = new MongoClient(`mongodb://${this.host}:${this.port}`, {
         serverSelectionTimeoutMS: this.timeout,
         connectTimeoutMS: this.timeout
       });
-      
+      // Closing the client interrupts any in-flight operation
+      options.signal?.addEventListener('abort', () => client.close(), { once: true });
+
       await client.connect();
       const db = client.db(this.database);
-      
+
       const results = await db.collection('messages')
-        .find({
-          $or: [
-            { body: { $regex: query, $options: 'i' } },
-            { from: { $regex: query, $options: 'i' } },
-            { to: { $regex: query, $options: 'i' } }
-          ]
-        })
+        .find(messageFilter(query))
         .limit(limit)
         .toArray();
-      
+
       await client.close();
-      
+
       return {
         success: true,
         source: 'mongodb',
@@ -0,0 +1,216 @@
+// Qdrant Client Module
+// Enterprise compliant - Qdrant REST access for vector collections
+
+import { calculateTextScore } from '../text/text-score.js';
+import { createEmbeddingProvider, embedQuery } from '../embeddings/embedding-provider.js';
+import { probeHttp } from '../services/service-probes.js';
+
+// Constants to avoid magic numbers
+const DEFAULT_LIMIT = 10;
+const MAX_SCROLL_LIMIT = 50;
+const DEFAULT_COLLECTIONS = ['boss-lessons-learned', 'boss-development-docs'];
+
+function parseList(value) {
+  return value ? value.split(',').map(entry => entry.trim()).filter(Boolean) : null;
+}
+
+function optionalNumber(value) {
+  return value === undefined || value === null || value === '' ? null : Number(value);
+}
+
+// Constructor options win over the environment
+function resolveSettings(options, env) {
+  return {
+    baseUrl: options.baseUrl || env.QDRANT_URL || 'http://192.168.68.94:19104',
+    apiKey: options.apiKey ?? env.QDRANT_API_KEY,
+    collections: options.collections || parseList(env.QDRANT_COLLECTIONS) || DEFAULT_COLLECTIONS,
+    vectorName: options.vectorName ?? env.QDRANT_VECTOR_NAME ?? null,
+    scoreThreshold: options.scoreThreshold ?? optionalNumber(env.QDRANT_SCORE_THRESHOLD)
+  };
+}
+
+/**
+ * Payload filters are either a Qdrant filter ({ must, should, must_not }) or
+ * a plain { key: value } map, which becomes one exact-match clause per key
+ * (an array value matches any of its entries).
+ */
+export function toQdrantFilter(filter) {
+  if (!filter || Object.keys(filter).length === 0) {
+    return undefined;
+  }
+  if (filter.must || filter.should || filter.must_not) {
+    return filter;
+  }
+  return {
+    must: Object.entries(filter).map(([key, value]) => ({ key, match: Array.isArray(value) ? { any: value } : { value } }))
+  };
+}
+
+// One searchMode for the whole result: 'mixed' when collections fell back differently
+function combinedMode(outcomes, fallbackMode) {
+  const modes = new Set(outcomes.map(outcome => outcome.mode));
+  if (modes.size === 0) {
+    return fallbackMode;
+  }
+  return modes.size === 1 ? [...modes][0] : 'mixed';
+}
+
+/**
+ * With an embedding provider (EMBEDDING_PROVIDER, or options.embeddingProvider)
+ * queries are embedded once and run through /points/search, and scores are
+ * Qdrant's similarity scores (cosine for Cosine collections). Without one, or
+ * when embedding the query or a collection's vector search fails, the client
+ * falls back to a payload text-match scroll scored by keywords; `searchMode`
+ * in every result says which was used and `fallbacks` why.
+ *
+ * Settings: QDRANT_URL, QDRANT_API_KEY, QDRANT_COLLECTIONS (comma-separated),
+ * QDRANT_VECTOR_NAME (for collections with named vectors) and
+ * QDRANT_SCORE_THRESHOLD.
+ */
+class QdrantClient {
+  constructor(options = {}) {
+    Object.assign(this, resolveSettings(options, process.env));
+    this.embeddingProvider = options.embeddingProvider !== undefined ? options.embeddingProvider : createEmbeddingProvider();
+  }
+
+  get searchMode() {
+    return this.embeddingProvider ? 'vector' : 'keyword';
+  }
+
+  /**
+   * options: { signal, filter, scoreThreshold }. Collections that fail are
+   * reported in `errors`; the search fails only when every collection does.
+   */
+  async searchVectors(query, limit = DEFAULT_LIMIT, collection = null, options = {}) {
+    try {
+      const targetCollections = collection ? [collection] : this.collections;
+      const { vector, fallback } = await this.queryVector(query, options.signal);
+
+      const settled = await Promise.allSettled(targetCollections.map(coll => this.searchOneCollection(query, vector, coll, limit, options)));
+      const errors = settled
+        .map((outcome, index) => outcome.status === 'rejected' ? { collection: targetCollections[index], error: outcome.reason.message } : null)
+        .filter(Boolean);
+      if (errors.length === targetCollections.length) {
+        throw new Error(errors.map(entry => `${entry.collection}: ${entry.error}`).join('; '));
+      }
+
+      // Sort by relevance score and limit results
+      const outcomes = settled.map(outcome => outcome.value).filter(Boolean);
+      const allResults = outcomes.flatMap(outcome => outcome.results);
+      allResults.sort((a, b) => b.score - a.score);
+      const limitedResults = allResults.slice(0, limit);
+      const fallbacks = [fallback, ...outcomes.map(outcome => outcome.fallback)].filter(Boolean);
+
+      return {
+        success: true,
+        source: 'qdrant',
+        searchMode: combinedMode(outcomes, this.searchMode),
+        results: limitedResults,
+        total: limitedResults.length,
+        ...(fallbacks.length > 0 ? { fallbacks } : {}),
+        ...(errors.length > 0 ? { errors } : {}),
+        query: query
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        source: 'qdrant',
+        searchMode: this.searchMode,
+        error: error.message,
+        query: query
+      };
+    }
+  }
+
+  // { vector } or, without a provider or when embedding fails, { vector: null, fallback? }
+  async queryVector(query, signal) {
+    if (!this.embeddingProvider) {
+      return { vector: null };
+    }
+    try {
+      return { vector: await embedQuery(this.embeddingProvider, query, { signal }) };
+    } catch (error) {
+      signal?.throwIfAborted();
+      return { vector: null, fallback: { collection: null, error: `Query embedding failed: ${error.message}` } };
+    }
+  }
+
+  // { mode, results, fallback? }: vector search when there is a vector, keyword scroll otherwise or if it fails
+  async searchOneCollection(query, vector, collectionName, limit, options) {
+    if (!vector) {
+      return { mode: 'keyword', results: await this.searchCollection(query, collectionName, limit, options) };
+    }
+    try {
+      return { mode: 'vector', results: await this.searchCollectionByVector(vector, collectionName, limit, options) };
+    } catch (error) {
+      options.signal?.throwIfAborted();
+      const results = await this.searchCollection(query, collectionName, limit, options);
+      return { mode: 'keyword', results, fallback: { collection: collectionName, error: `Vector search failed: ${error.message}` } };
+    }
+  }
+
+  async health(timeout) {
+    return await probeHttp({ url: `${this.baseUrl}/healthz`, headers: this.apiKey ? { 'api-key': this.apiKey } : {} }, timeout);
+  }
+
+  async request(requestPath, body, signal) {
+    const response = await globalThis.fetch(`${this.baseUrl}${requestPath}`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { 'api-key': this.apiKey } : {})
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(`Qdrant HTTP ${response.status}${data.status?.error ? `: ${data.status.error}` : ''}`);
+    }
+    return data;
+  }
+
+  async searchCollectionByVector(vector, collectionName, limit, options = {}) {
+    const scoreThreshold = options.scoreThreshold ?? this.scoreThreshold;
+    const data = await this.request(`/collections/${encodeURIComponent(collectionName)}/points/search`, {
+      vector: this.vectorName ? { name: this.vectorName, vector } : vector,
+      limit,
+      with_payload: true,
+      with_vector: false,
+      ...(scoreThreshold === null || scoreThreshold === undefined ? {} : { score_threshold: scoreThreshold }),
+      ...(options.filter ? { filter: toQdrantFilter(options.filter) } : {})
+    }, options.signal);
+
+    return (data.result || []).map(point => ({
+      id: point.id,
+      payload: point.payload,
+      collection: collectionName,
+      score: point.score
+    }));
+  }
+
+  // Keyword fallback used without an embedding provider or when vector search fails
+  async searchCollection(query, collectionName, limit, options = {}) {
+    const payloadFilter = toQdrantFilter(options.filter) || {};
+    const scrollPayload = {
+      limit: Math.min(limit, MAX_SCROLL_LIMIT),
+      with_payload: true,
+      with_vector: false,
+      filter: {
+        ...payloadFilter,
+        must: [{ key: 'content', match: { text: query } }, ...(payloadFilter.must || [])]
+      }
+    };
+
+    const data = await this.request(`/collections/${encodeURIComponent(collectionName)}/points/scroll`, scrollPayload, options.signal);
+    return (data.result?.points || []).map(point => ({
+      id: point.id,
+      payload: point.payload,
+      collection: collectionName,
+      score: calculateTextScore(query, point.payload?.content || '')
+    }));
+  }
+}
+
+export { QdrantClient };
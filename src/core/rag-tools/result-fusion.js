@@ -0,0 +1,77 @@
+// Result Fusion Module
+// Enterprise compliant - merges ranked lists from several sources into one
+
+import crypto from 'crypto';
+import { freshnessWeight } from './context-retrieval.js';
+
+export const FUSION_MODES = ['rrf', 'weighted'];
+
+// Cormack et al.'s constant: damps the gap between the top ranks of each list
+export const DEFAULT_RRF_K = 60;
+// RRF scores are small (1/61 at best), so keep more digits than elsewhere
+const SCORE_DIGITS = 6;
+
+/**
+ * Duplicate key for an item: a hash of its whitespace- and case-normalised
+ * content, so one passage returned by several sources (or stored in several
+ * collections) merges; items without content only merge with themselves
+ */
+export function contentHash(item) {
+  const text = String(item.content ?? '').replace(/\s+/g, ' ').trim().toLowerCase();
+  const key = text || `${item.database}/${item.source}#${item.id}`;
+  return crypto.createHash('sha1').update(key).digest('hex');
+}
+
+// rrf: weight / (k + rank); weighted: weight × score / best score of the list
+function contribution(mode, { rank, score, best, weight, k }) {
+  if (mode === 'rrf') {
+    return weight / (k + rank);
+  }
+  return best > 0 ? weight * Math.max(0, score) / best : 0;
+}
+
+/**
+ * lists: { [sourceName]: items best first } in the searchMultiDatabase item
+ * shape. Returns one list, best first, where each distinct item has
+ * `fusedScore` (summed over every list it appears in), `provenance`
+ * ([{ source, database, collection, id, rank, score }]) and the newest
+ * timestamp among its duplicates. options: { mode, k, weights }; sources
+ * missing from weights weigh 1.
+ */
+export function fuseResults(lists, { mode = 'rrf', k = DEFAULT_RRF_K, weights = {} } = {}) {
+  if (!FUSION_MODES.includes(mode)) {
+    throw new Error(`Unknown fusion mode '${mode}' (expected: ${FUSION_MODES.join(', ')})`);
+  }
+  const fused = new Map();
+  Object.entries(lists).forEach(([sourceName, items]) => {
+    const best = Math.max(0, ...items.map(item => item.score || 0));
+    const weight = weights[sourceName] ?? 1;
+    items.forEach((item, index) => {
+      const hash = contentHash(item);
+      const entry = fused.get(hash) || { ...item, fusedScore: 0, provenance: [] };
+      entry.fusedScore += contribution(mode, { rank: index + 1, score: item.score || 0, best, weight, k });
+      entry.provenance.push({ source: sourceName, database: item.database, collection: item.source, id: item.id, rank: index + 1, score: item.score });
+      if (item.timestamp && (!entry.timestamp || item.timestamp > entry.timestamp)) {
+        entry.timestamp = item.timestamp;
+      }
+      fused.set(hash, entry);
+    });
+  });
+  return [...fused.values()].sort((a, b) => b.fusedScore - a.fusedScore);
+}
+
+/**
+ * Freshness decay applied once, after fusion: relevance = fusedScore ×
+ * exp(-decay × age in days), or fusedScore alone when disabled
+ */
+export function applyFreshness(items, { enabled = true, decayFactor, now = Date.now() }) {
+  return items
+    .map(item => ({
+      ...item,
+      fusedScore: Number(item.fusedScore.toFixed(SCORE_DIGITS)),
+      relevance: Number((item.fusedScore * (enabled ? freshnessWeight(item.timestamp, decayFactor, now) : 1)).toFixed(SCORE_DIGITS))
+    }))
+    .sort((a, b) => b.relevance - a.relevance);
+}
+
+export default { FUSION_MODES, DEFAULT_RRF_K, contentHash, fuseResults, applyFreshness };
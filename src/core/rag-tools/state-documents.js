@@ -0,0 +1,97 @@
+// State Documents Module
+// Enterprise compliant - search documents and highlights for sessions and project states
+
+import { tokenize } from '../text/tokenize.js';
+import { buildSnippet } from '../docs/docs-index.js';
+
+// Field boosts, applied by repeating a field's tokens: context/state keys say
+// what a value is about, so they outrank the values, which outrank metadata
+export const FIELD_WEIGHTS = { key: 3, value: 2, metadata: 1 };
+
+const MAX_HIGHLIGHTS = 3;
+const WORD_PATTERN = /[\p{L}\p{N}][\p{L}\p{N}_-]*/gu;
+
+// "currentTask" and "current_task" both index as "current task"
+function keyWords(key) {
+  return key.replace(/([a-z\d])([A-Z])/g, '$1 $2').replace(/_/g, ' ');
+}
+
+/**
+ * Leaf values as [{ field, key, text }]: `field` is the dotted path, `key`
+ * the nearest non-numeric path segment, arrays of scalars are joined into one leaf
+ */
+export function flattenFields(value, prefix, key = prefix) {
+  if (value === null || value === undefined) {
+    return [];
+  }
+  if (Array.isArray(value) && value.every(entry => entry === null || typeof entry !== 'object')) {
+    return value.length > 0 ? [{ field: prefix, key, text: value.join(', ') }] : [];
+  }
+  if (typeof value === 'object') {
+    return Object.entries(value).flatMap(([name, entry]) => flattenFields(entry, `${prefix}.${name}`, Array.isArray(value) ? key : name));
+  }
+  return [{ field: prefix, key, text: String(value) }];
+}
+
+function weighted(tokens, weight) {
+  return Array(weight).fill(tokens).flat();
+}
+
+/**
+ * BM25 document for a session ({ sessionId, projectName, context, metadata })
+ * or project state ({ projectName, state, context }). `content` fields are the
+ * session context or project state; everything else counts as metadata.
+ */
+export function stateDocument(type, record) {
+  const contentRoot = type === 'session' ? 'context' : 'state';
+  const contentFields = flattenFields(record[contentRoot], contentRoot);
+  const metadataFields = [
+    ...flattenFields(type === 'session' ? record.sessionId : null, 'sessionId'),
+    ...flattenFields(record.projectName, 'projectName'),
+    ...flattenFields(record.metadata, 'metadata'),
+    ...(type === 'project' ? flattenFields(record.context, 'context') : [])
+  ];
+  const keys = [...new Set(contentFields.map(field => field.key))];
+  const tokens = [
+    ...weighted(keys.flatMap(key => tokenize(keyWords(key))), FIELD_WEIGHTS.key),
+    ...weighted(contentFields.flatMap(field => tokenize(field.text)), FIELD_WEIGHTS.value),
+    ...weighted(metadataFields.flatMap(field => tokenize(`${keyWords(field.key)} ${field.text}`)), FIELD_WEIGHTS.metadata)
+  ];
+  return {
+    tokens,
+    fields: [
+      ...contentFields.map(field => ({ ...field, weight: FIELD_WEIGHTS.value })),
+      ...metadataFields.map(field => ({ ...field, weight: FIELD_WEIGHTS.metadata }))
+    ]
+  };
+}
+
+function markTerms(text, terms) {
+  return text.replace(WORD_PATTERN, word => (terms.has(word.toLowerCase()) ? `**${word}**` : word));
+}
+
+/**
+ * Query terms found in a document and up to MAX_HIGHLIGHTS fields showing
+ * them, with each matched word wrapped in **…**; a match on a field's key
+ * highlights the field even when its value does not contain the term
+ */
+export function highlightFields(fields, queryTerms) {
+  const terms = new Set(queryTerms);
+  const matches = fields
+    .map(field => {
+      const matched = [...new Set([...tokenize(keyWords(field.key)), ...tokenize(field.text)])].filter(term => terms.has(term));
+      return { field, matched };
+    })
+    .filter(({ matched }) => matched.length > 0)
+    .sort((a, b) => b.field.weight - a.field.weight || b.matched.length - a.matched.length);
+
+  return {
+    matchedTerms: [...new Set(matches.flatMap(({ matched }) => matched))],
+    highlights: matches.slice(0, MAX_HIGHLIGHTS).map(({ field, matched }) => ({
+      field: field.field,
+      snippet: markTerms(buildSnippet(field.text, matched), terms)
+    }))
+  };
+}
+
+export default { FIELD_WEIGHTS, flattenFields, stateDocument, highlightFields };
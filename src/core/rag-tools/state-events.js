@@ -0,0 +1,29 @@
+// RAG State Events Module
+// Process-wide change feed for project state and session files
+
+import { EventEmitter } from 'events';
+
+// Trackers and bridges are created per call, so changes are published on a
+// shared emitter rather than per instance
+export const ragStateEvents = new EventEmitter();
+
+export const RAG_STATE_EVENTS = {
+  PROJECT_CHANGED: 'project:changed',
+  SESSION_CHANGED: 'session:changed'
+};
+
+// created=true means a new resource appeared, so resource lists are stale too
+export function emitProjectChanged(projectName, created = false) {
+  ragStateEvents.emit(RAG_STATE_EVENTS.PROJECT_CHANGED, { projectName, created });
+}
+
+export function emitSessionChanged(sessionId, created = false) {
+  ragStateEvents.emit(RAG_STATE_EVENTS.SESSION_CHANGED, { sessionId, created });
+}
+
+// A deleted session changes the resource list as well
+export function emitSessionRemoved(sessionId) {
+  ragStateEvents.emit(RAG_STATE_EVENTS.SESSION_CHANGED, { sessionId, created: false, removed: true });
+}
+
+export default { ragStateEvents, RAG_STATE_EVENTS, emitProjectChanged, emitSessionChanged, emitSessionRemoved };
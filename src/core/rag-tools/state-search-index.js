@@ -0,0 +1,152 @@
+// State Search Index Module
+// Enterprise compliant - BM25 full-text search over session contexts and project states
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { Bm25Index } from '../text/bm25.js';
+import { tokenize } from '../text/tokenize.js';
+import { ragStateEvents, RAG_STATE_EVENTS } from './state-events.js';
+import { stateDocument, highlightFields } from './state-documents.js';
+
+const DEFAULT_LIMIT = 10;
+const SCORE_DIGITS = 4;
+export const DOCUMENT_TYPES = ['session', 'project'];
+
+const indexes = new Map();
+
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    console.warn(`⚠️  Not indexing ${filePath}: ${error.message}`);
+    return null;
+  }
+}
+
+async function listDirectory(dir) {
+  return await fs.readdir(dir).catch(error => (error.code === 'ENOENT' ? [] : Promise.reject(error)));
+}
+
+/**
+ * Indexes context_cache/*.json (handoff records excluded) and
+ * projects/<name>/current_state.json under stateDir. The files are read once,
+ * on the first search; after that each capture, update or removal published
+ * on ragStateEvents re-indexes just that session or project. Use
+ * StateSearchIndex.open(stateDir) so a process keeps one index (and one set
+ * of listeners) per state directory.
+ */
+export class StateSearchIndex {
+  static open(stateDir) {
+    const resolved = path.resolve(stateDir || process.env.RAG_STATE_DIR || '/app/rag-state');
+    if (!indexes.has(resolved)) {
+      indexes.set(resolved, new StateSearchIndex({ stateDir: resolved }));
+    }
+    return indexes.get(resolved);
+  }
+
+  constructor({ stateDir }) {
+    this.contextCacheDir = path.join(stateDir, 'context_cache');
+    this.projectsDir = path.join(stateDir, 'projects');
+    this.index = new Bm25Index();
+    this.loading = null;
+    this.updates = Promise.resolve();
+    this.onSessionChanged = ({ sessionId, removed }) => this.enqueue(() => (removed ? this.index.remove(`session:${sessionId}`) : this.indexSession(sessionId)));
+    this.onProjectChanged = ({ projectName }) => this.enqueue(() => this.indexProject(projectName));
+    ragStateEvents.on(RAG_STATE_EVENTS.SESSION_CHANGED, this.onSessionChanged);
+    ragStateEvents.on(RAG_STATE_EVENTS.PROJECT_CHANGED, this.onProjectChanged);
+  }
+
+  close() {
+    ragStateEvents.off(RAG_STATE_EVENTS.SESSION_CHANGED, this.onSessionChanged);
+    ragStateEvents.off(RAG_STATE_EVENTS.PROJECT_CHANGED, this.onProjectChanged);
+  }
+
+  // Changes before the first load are picked up by the load itself
+  enqueue(update) {
+    if (!this.loading) {
+      return;
+    }
+    this.updates = this.updates
+      .then(() => this.loading)
+      .then(update)
+      .catch(error => console.warn(`⚠️  State index update failed: ${error.message}`));
+  }
+
+  async load() {
+    this.loading = this.loading || (async () => {
+      const sessionFiles = (await listDirectory(this.contextCacheDir)).filter(file => file.endsWith('.json') && !file.startsWith('handoff_'));
+      await Promise.all(sessionFiles.map(file => this.indexSession(file.replace(/\.json$/, ''))));
+      await Promise.all((await listDirectory(this.projectsDir)).map(projectName => this.indexProject(projectName)));
+    })();
+    await this.loading;
+    await this.updates;
+  }
+
+  add(type, id, record, timestamp) {
+    const { tokens, fields } = stateDocument(type, record);
+    this.index.add(`${type}:${id}`, tokens, { type, id, projectName: record.projectName || null, timestamp, record, fields });
+  }
+
+  async indexSession(sessionId) {
+    const session = await readJson(path.join(this.contextCacheDir, `${sessionId}.json`));
+    if (!session) {
+      this.index.remove(`session:${sessionId}`);
+      return;
+    }
+    this.add('session', sessionId, { ...session, sessionId: session.sessionId || sessionId }, session.captureTime || session.timestamp || null);
+  }
+
+  async indexProject(projectName) {
+    const stateData = await readJson(path.join(this.projectsDir, projectName, 'current_state.json'));
+    if (!stateData) {
+      this.index.remove(`project:${projectName}`);
+      return;
+    }
+    this.add('project', projectName, { ...stateData, projectName: stateData.projectName || projectName }, stateData.lastUpdated || null);
+  }
+
+  /**
+   * Ranked matches [{ type, id, projectName, timestamp, score, record,
+   * matchedTerms, highlights }]. options: { projectName, types, limit }
+   */
+  async match(query, { projectName, types = DOCUMENT_TYPES, limit = DEFAULT_LIMIT } = {}) {
+    await this.load();
+    const queryTerms = tokenize(query);
+    const hits = this.index.search(queryTerms, {
+      limit,
+      filter: payload => types.includes(payload.type) && (!projectName || payload.projectName === projectName)
+    });
+    return hits.map(({ score, payload }) => ({
+      type: payload.type,
+      id: payload.id,
+      projectName: payload.projectName,
+      timestamp: payload.timestamp,
+      score: Number(score.toFixed(SCORE_DIGITS)),
+      record: payload.record,
+      ...highlightFields(payload.fields, queryTerms)
+    }));
+  }
+
+  // match() for tool responses; the full records are left out of the serialised result
+  async search(query, options = {}) {
+    const unknown = (options.types || []).filter(type => !DOCUMENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+      return { success: false, error: `Unknown types: ${unknown.join(', ')}`, availableTypes: DOCUMENT_TYPES };
+    }
+    const matches = await this.match(query, { ...options, types: options.types?.length ? options.types : DOCUMENT_TYPES });
+    return {
+      success: true,
+      query,
+      projectName: options.projectName || null,
+      results: matches.map(match => ({ ...match, record: undefined })),
+      total: matches.length,
+      indexedDocuments: this.index.size,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+export default { StateSearchIndex, DOCUMENT_TYPES };
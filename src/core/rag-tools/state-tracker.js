@@ -2,6 +2,7 @@ import { promises as fs } from "fs";
 import path from "path";
 import { exec } from "child_process";
 import { promisify } from "util";
+import { emitProjectChanged } from "./state-events.js";
 
 const execAsync = promisify(exec);
 
@@ -11,7 +12,7 @@ const execAsync = promisify(exec);
  */
 export class BOSSStateTracker {
   constructor(options = {}) {
-    this.baseDir = options.baseDir || "/app/rag-state";
+    this.baseDir = options.baseDir || process.env.RAG_STATE_DIR || "/app/rag-state";
     this.projectsDir = path.join(this.baseDir, "projects");
     this.adminSyncDir = path.join(this.baseDir, "admin_sync");
     this.ragContainerName = options.ragContainerName || "BOSS-MCP-RAG-ENHANCED-DEV";
@@ -89,6 +90,7 @@ export class BOSSStateTracker {
       
       const stateFile = path.join(projectDir, "current_state.json");
       await fs.writeFile(stateFile, JSON.stringify(stateData, null, 2));
+      emitProjectChanged(projectName, true);
       
       return {
         success: true,
@@ -101,6 +103,39 @@ export class BOSSStateTracker {
     }
   }
 
+  /**
+   * Merge state changes into the current state, keeping previous versions in history
+   */
+  async updateState(projectName, stateChanges = {}) {
+    try {
+      const stateFile = path.join(this.projectsDir, projectName, "current_state.json");
+      const stateData = JSON.parse(await fs.readFile(stateFile, "utf8"));
+      const history = [
+        { timestamp: stateData.lastUpdated, state: stateData.state },
+        ...(stateData.history || [])
+      ].slice(0, this.maxStateHistory);
+
+      const updatedData = {
+        ...stateData,
+        state: { ...stateData.state, ...stateChanges },
+        lastUpdated: new Date().toISOString(),
+        history
+      };
+      await fs.writeFile(stateFile, JSON.stringify(updatedData, null, 2));
+      emitProjectChanged(projectName);
+
+      return {
+        success: true,
+        projectName,
+        stateFile,
+        updatedKeys: Object.keys(stateChanges),
+        timestamp: updatedData.lastUpdated
+      };
+    } catch (error) {
+      return { success: false, error: error.message, projectName };
+    }
+  }
+
   async getCurrentState(projectName) {
     try {
       const stateFile = path.join(this.projectsDir, projectName, "current_state.json");
@@ -138,6 +173,7 @@ export class BOSSStateTracker {
       
       const checkpointFile = path.join(this.projectsDir, projectName, `${checkpointId}.json`);
       await fs.writeFile(checkpointFile, JSON.stringify(checkpointData, null, 2));
+      emitProjectChanged(projectName);
       
       return {
         success: true,
@@ -150,6 +186,33 @@ export class BOSSStateTracker {
     }
   }
 
+  /**
+   * Publish the current project state to admin_sync, the directory the RAG
+   * container ingests from (mounted at ragAdminPath inside that container)
+   */
+  async syncToRAG(projectName) {
+    try {
+      const currentState = await this.getCurrentState(projectName);
+      if (!currentState.success) {
+        throw new Error("Project state not found");
+      }
+
+      const syncedAt = new Date().toISOString();
+      const syncFile = path.join(this.adminSyncDir, `${projectName}_state.json`);
+      await fs.writeFile(syncFile, JSON.stringify({ ...currentState.state, syncedAt }, null, 2));
+
+      return {
+        success: true,
+        projectName,
+        syncFile,
+        ragPath: path.posix.join(this.ragAdminPath, `${projectName}_state.json`),
+        timestamp: syncedAt
+      };
+    } catch (error) {
+      return { success: false, error: error.message, projectName };
+    }
+  }
+
   async listCheckpoints(projectName) {
     try {
       const projectDir = path.join(this.projectsDir, projectName);
@@ -185,22 +248,3 @@ export class BOSSStateTracker {
     }
   }
 }
-
-export const bossStateTracker = {
-  name: "boss_state_tracker",
-  description: "State tracking system with enhanced timestamp management",
-  inputSchema: {
-    type: "object",
-    properties: {
-      operation: {
-        type: "string",
-        enum: ["init_system", "create_project_state", "update_state", "get_current_state", "create_checkpoint", "list_checkpoints", "sync_to_rag"]
-      },
-      projectName: { type: "string" },
-      state: { type: "object" },
-      context: { type: "object" },
-      checkpointId: { type: "string" }
-    },
-    required: ["operation"]
-  }
-};
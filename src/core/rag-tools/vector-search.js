@@ -1,11 +1,14 @@
 import { MongoDBClient } from './mongodb-client.js';
+import { QdrantClient } from './qdrant-client.js';
+import { createVectorClient } from '../vector-store/vector-client.js';
+import { StateSearchIndex } from './state-search-index.js';
+import { DocsIndex } from '../docs/docs-index.js';
+import { FUSION_SOURCES, sourceLists, sourceStatuses } from './fusion-sources.js';
+import { FUSION_MODES, fuseResults, applyFreshness } from './result-fusion.js';
+import { createReranker, selectReranker, rerankResults, DEFAULT_RERANK_TOP_N } from '../rerank/reranker.js';
 
 // Constants to avoid magic numbers
 const DEFAULT_LIMIT = 10;
-const MAX_SCROLL_LIMIT = 50;
-const SCORE_MULTIPLIER = 2;
-const MULTI_MATCH_BONUS = 1.5;
-const PHRASE_MATCH_BONUS = 10;
 const PRIORITY_BOOST_MULTIPLIER = 1.5;
 const HOURS_IN_DAY = 24;
 const MILLISECONDS_PER_SECOND = 1000;
@@ -14,146 +17,92 @@ const MINUTES_PER_HOUR = 60;
 const MS_PER_HOUR = MILLISECONDS_PER_SECOND * SECONDS_PER_MINUTE * MINUTES_PER_HOUR;
 const DEFAULT_DECAY_FACTOR = 0.1;
 const DEFAULT_PRIORITY_HOURS = 48;
-class QdrantClient {
-  constructor(options = {}) {
-    this.baseUrl = options.baseUrl || 'http://192.168.68.94:19104';
-    this.collections = ['boss-lessons-learned', 'boss-development-docs'];
-  }
-
-  async searchVectors(query, limit = DEFAULT_LIMIT, collection = null) {
-    try {
-      const targetCollections = collection ? [collection] : this.collections;
-      const allResults = [];
-
-      for (const coll of targetCollections) {
-        const results = await this.searchCollection(query, coll, limit);
-        allResults.push(...results);
-      }
-
-      // Sort by relevance score and limit results
-      allResults.sort((a, b) => b.score - a.score);
-      const limitedResults = allResults.slice(0, limit);
+// Each source returns this many times the requested results, so fusion sees past the top few
+const FUSION_OVERSAMPLE = 2;
 
-      return {
-        success: true,
-        source: 'qdrant',
-        results: limitedResults,
-        total: limitedResults.length,
-        query: query
-      };
+// Re-chunking documentation is the expensive part, so instances share one docs index
+let sharedDocsIndex = null;
 
-    } catch (error) {
-      return {
-        success: false,
-        source: 'qdrant',
-        error: error.message,
-        query: query
-      };
-    }
-  }
-
-  async searchCollection(query, collectionName, limit) {
-    const scrollPayload = {
-      limit: Math.min(limit, MAX_SCROLL_LIMIT),
-      with_payload: true,
-      with_vector: false,
-      filter: {
-        must: [{ key: 'content', match: { text: query } }]
-      }
-    };
-
-    // Use global fetch which is available in Node.js 18+
-    const response = await globalThis.fetch(`${this.baseUrl}/collections/${collectionName}/points/scroll`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(scrollPayload)
-    });
-
-    if (response.ok) {
-      const data = await response.json();
-      if (data.result && data.result.points) {
-        return data.result.points.map(point => ({
-          id: point.id,
-          payload: point.payload,
-          collection: collectionName,
-          score: this.calculateTextScore(query, point.payload.content || '')
-        }));
-      }
-    }
-    return [];
+class MultiDatabaseSearch {
+  constructor(options = {}) {
+    this.qdrant = createVectorClient(options.qdrant);
+    this.mongodb = new MongoDBClient();
+    this.freshnessDecayFactor = options.freshnessDecayFactor || DEFAULT_DECAY_FACTOR;
+    this.maxActiveResults = options.maxActiveResults || DEFAULT_LIMIT;
+    this.latestPriorityHours = options.latestPriorityHours || DEFAULT_PRIORITY_HOURS;
+    this.stateIndex = options.stateIndex || null;
+    this.docsIndex = options.docsIndex || null;
+    this.reranker = options.reranker !== undefined ? options.reranker : createReranker();
+    this.rerankTopN = options.rerankTopN || Number(process.env.RERANK_TOP_N) || DEFAULT_RERANK_TOP_N;
   }
 
-  calculateTextScore(query, content) {
-    if (!content) {
-      return 0;
+  // Reranks the top rerank_top_n results (default RERANK_TOP_N, else 20); `rerank` is null when no reranker applies
+  async rerank(results, query, config, { text, score }) {
+    const reranker = selectReranker(this.reranker, config.rerank);
+    if (!reranker) {
+      return { results, rerank: null };
     }
-
-    const queryWords = query.toLowerCase().split(/\s+/);
-    const contentLower = content.toLowerCase();
-
-    let score = 0;
-    let exactMatches = 0;
-
-    // Count exact word matches
-    queryWords.forEach(word => {
-      if (word.length > SCORE_MULTIPLIER) { // Skip very short words
-        const regex = new RegExp(`\\b${word}\\b`, 'gi');
-        const matches = (contentLower.match(regex) || []).length;
-        score += matches * SCORE_MULTIPLIER;
-        if (matches > 0) {
-          exactMatches++;
-        }
-      }
+    const { items, summary } = await rerankResults(results, query, reranker, {
+      topN: config.rerank_top_n || this.rerankTopN,
+      text,
+      score,
+      signal: config.signal
     });
+    return { results: items, rerank: summary };
+  }
 
-    // Bonus calculations
-    if (exactMatches > 1) {
-      score += exactMatches * MULTI_MATCH_BONUS;
-    }
+  getStateIndex() {
+    this.stateIndex = this.stateIndex || StateSearchIndex.open();
+    return this.stateIndex;
+  }
 
-    if (queryWords.length > 1 && contentLower.includes(query.toLowerCase())) {
-      score += PHRASE_MATCH_BONUS;
+  getDocsIndex() {
+    if (!this.docsIndex) {
+      sharedDocsIndex = sharedDocsIndex || new DocsIndex();
+      this.docsIndex = sharedDocsIndex;
     }
-
-    return score;
-  }
-}
-class MultiDatabaseSearch {
-  constructor(options = {}) {
-    this.qdrant = new QdrantClient(options.qdrant);
-    this.mongodb = new MongoDBClient();
-    this.freshnessDecayFactor = options.freshnessDecayFactor || DEFAULT_DECAY_FACTOR;
-    this.maxActiveResults = options.maxActiveResults || DEFAULT_LIMIT;
-    this.latestPriorityHours = options.latestPriorityHours || DEFAULT_PRIORITY_HOURS;
+    return this.docsIndex;
   }
 
-  async searchAll(query, databases = ['qdrant'], limit = DEFAULT_LIMIT) {
-    const promises = this.createSearchPromises(query, databases, limit);
-    const results = await Promise.all(promises);
+  /**
+   * options.signal aborts in-flight backend calls; options.onProgress(done, total, message)
+   * is called as each database finishes. options.collection, options.filter and
+   * options.scoreThreshold narrow the qdrant search.
+   */
+  async searchAll(query, databases = ['qdrant'], limit = DEFAULT_LIMIT, options = {}) {
+    const promises = this.createSearchPromises(query, databases, limit, options);
+    const results = await Promise.all(this.trackProgress(promises, options.onProgress));
 
     return this.formatSearchResults(query, results);
   }
 
-  createSearchPromises(query, databases, limit) {
-    const promises = [];
-
-    if (databases.includes('qdrant')) {
-      promises.push(
-        this.qdrant.searchVectors(query, limit)
-          .then(result => ({ database: 'qdrant', ...result }))
-          .catch(error => ({ database: 'qdrant', success: false, error: error.message }))
-      );
+  trackProgress(promises, onProgress) {
+    if (!onProgress) {
+      return promises;
     }
 
-    if (databases.includes('mongodb') || databases.includes('admin')) {
-      promises.push(
-        this.mongodb.searchDocuments(query, limit)
-          .then(result => ({ database: 'admin', ...result }))
-          .catch(error => ({ database: 'admin', success: false, error: error.message }))
-      );
-    }
+    let completed = 0;
+    return promises.map(promise => promise.then(result => {
+      completed++;
+      onProgress(completed, promises.length, `${result.database} search complete`);
+      return result;
+    }));
+  }
 
-    return promises;
+  // 'mongodb' and 'admin' both select the Mongo message search, reported as 'admin'
+  createSearchPromises(query, databases, limit, options = {}) {
+    const searches = {
+      qdrant: () => this.qdrant.searchVectors(query, limit, options.collection || null, options),
+      admin: () => this.mongodb.searchDocuments(query, limit, options),
+      sessions: () => this.getStateIndex().match(query, { limit }).then(results => ({ success: true, results, total: results.length })),
+      docs: () => this.getDocsIndex().search(query, { maxResults: limit }).then(result => ({ ...result, total: result.results?.length ?? 0 }))
+    };
+    return Object.keys(searches)
+      .filter(database => databases.includes(database) || (database === 'admin' && databases.includes('mongodb')))
+      .map(database => Promise.resolve()
+        .then(searches[database])
+        .then(result => ({ database, ...result }))
+        .catch(error => ({ database, success: false, error: error.message })));
   }
 
   formatSearchResults(query, results) {
@@ -191,12 +140,22 @@ class MultiDatabaseSearch {
   /**
    * RESTORED: Enhanced search with timestamp-based relevance scoring
    * The MISSING method that sophisticated tools were calling!
+   * options.fusion switches to the fused cross-source list of searchFused.
    */
   async searchWithTimestampPriority(query, /* documents = [], */ options = {}) {
+    if (options.fusion) {
+      return await this.searchFused(query, options);
+    }
     const config = this.parseTimestampSearchOptions(options);
 
     try {
-      const searchResult = await this.searchAll(query, config.databases, config.limit);
+      const searchResult = await this.searchAll(query, config.databases, config.limit, {
+        collection: options.collection,
+        filter: options.filter,
+        scoreThreshold: options.scoreThreshold,
+        signal: config.signal,
+        onProgress: config.onProgress
+      });
 
       if (!searchResult.success) {
         return searchResult;
@@ -206,7 +165,8 @@ class MultiDatabaseSearch {
         this.applyTimestampScoring(searchResult, config.decay_factor);
       }
 
-      return this.formatTimestampSearchResult(searchResult, query, config);
+      const rerank = await this.rerankQdrantResults(searchResult, query, config);
+      return this.formatTimestampSearchResult(searchResult, query, config, rerank);
 
     } catch (error) {
       return {
@@ -223,7 +183,11 @@ class MultiDatabaseSearch {
       limit: options.limit || DEFAULT_LIMIT,
       freshness_boost: options.freshness_boost !== false,
       decay_factor: options.decay_factor || DEFAULT_DECAY_FACTOR,
-      databases: options.databases || ['qdrant']
+      databases: options.databases || ['qdrant'],
+      rerank: options.rerank,
+      rerank_top_n: options.rerank_top_n,
+      signal: options.signal,
+      onProgress: options.onProgress
     };
   }
 
@@ -244,6 +208,19 @@ class MultiDatabaseSearch {
     searchResult.databases.qdrant.results.sort((a, b) => b.enhanced_score - a.enhanced_score);
   }
 
+  async rerankQdrantResults(searchResult, query, config) {
+    const qdrant = searchResult.databases.qdrant;
+    if (!qdrant?.results) {
+      return null;
+    }
+    const reranked = await this.rerank(qdrant.results, query, config, {
+      text: hit => hit.payload?.content ?? JSON.stringify(hit.payload ?? {}),
+      score: hit => hit.enhanced_score ?? hit.score
+    });
+    qdrant.results = reranked.results;
+    return reranked.rerank;
+  }
+
   calculateTimestampScore(result, now, decayFactor) {
     const timestampField = result.payload?.created_at || result.payload?.upload_timestamp;
     if (!timestampField) {
@@ -255,11 +232,62 @@ class MultiDatabaseSearch {
     return Math.exp(-decayFactor * daysSince);
   }
 
-  formatTimestampSearchResult(searchResult, query, config) {
+  /**
+   * One ranked list across sources (options.databases, default every
+   * FUSION_SOURCES entry): fused by reciprocal rank (fusion 'rrf', the
+   * default; options.rrfK) or by per-source normalised score ('weighted'),
+   * with options.weights per source, deduplicated by content hash, and
+   * weighted by freshness once, after fusion. Each result keeps its
+   * `provenance`; `sources` reports every source's status.
+   */
+  async searchFused(query, options = {}) {
+    const config = this.parseTimestampSearchOptions({ ...options, databases: options.databases || FUSION_SOURCES });
+    const mode = options.fusion || 'rrf';
+    const unknown = config.databases.filter(database => !FUSION_SOURCES.includes(database));
+    if (unknown.length > 0 || !FUSION_MODES.includes(mode)) {
+      return {
+        success: false,
+        error: unknown.length > 0 ? `Unknown sources: ${unknown.join(', ')}` : `Unknown fusion mode: ${mode}`,
+        availableSources: FUSION_SOURCES,
+        availableModes: FUSION_MODES
+      };
+    }
+
+    try {
+      const searchResult = await this.searchAll(query, config.databases, config.limit * FUSION_OVERSAMPLE, options);
+      const fused = fuseResults(sourceLists(searchResult.databases, query), { mode, k: options.rrfK, weights: options.weights });
+      const reranked = await this.rerank(applyFreshness(fused, { enabled: config.freshness_boost, decayFactor: config.decay_factor }), query, config, {
+        text: item => `${item.title ?? ''} ${item.content}`,
+        score: item => item.relevance
+      });
+      const results = reranked.results.slice(0, config.limit);
+      return {
+        success: true,
+        query,
+        fusion: mode,
+        results,
+        total: results.length,
+        ...(reranked.rerank ? { rerank: reranked.rerank } : {}),
+        sources: sourceStatuses(searchResult.databases),
+        freshness_applied: config.freshness_boost,
+        decay_factor: config.decay_factor,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      return { success: false, error: error.message, query, timestamp: new Date().toISOString() };
+    }
+  }
+
+  // A failed qdrant call still yields a result; sourceError says why it is empty.
+  // `rerank` summarises the rerank pass when there was one
+  formatTimestampSearchResult(searchResult, query, config, rerank = null) {
+    const qdrant = searchResult.databases.qdrant;
     return {
       success: true,
       query: query,
-      results: searchResult.databases.qdrant?.results || [],
+      results: qdrant?.results || [],
+      ...(qdrant?.success === false ? { sourceError: qdrant.error } : {}),
+      ...(rerank ? { rerank } : {}),
       total: searchResult.summary.totalResults,
       freshness_applied: config.freshness_boost,
       decay_factor: config.decay_factor,
@@ -270,19 +298,3 @@ class MultiDatabaseSearch {
 
 export { QdrantClient, MongoDBClient, MultiDatabaseSearch };
 export const EnhancedVectorSearch = MultiDatabaseSearch;
-
-export const enhancedVectorSearch = {
-  name: 'enhanced_vector_search',
-  description: 'Enhanced vector search with timestamp-based relevance scoring',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      query: { type: 'string', description: 'Search query for vector similarity' },
-      collection: { type: 'string', description: 'Vector collection to search' },
-      limit: { type: 'integer', default: DEFAULT_LIMIT, description: 'Maximum results to return' },
-      freshness_boost: { type: 'boolean', default: true, description: 'Apply timestamp-based relevance boost' },
-      decay_factor: { type: 'number', default: DEFAULT_DECAY_FACTOR, description: 'Freshness decay factor' }
-    },
-    required: ['query']
-  }
-};
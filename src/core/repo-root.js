@@ -0,0 +1,9 @@
+// Repo Root Module
+// Enterprise compliant - the checkout the server runs from, independent of the launch directory
+
+import { URL, fileURLToPath } from 'url';
+
+// Built-in defaults (docs/, README.md, plugins/) live here; stdio clients may start the server from any cwd
+export const REPO_ROOT = fileURLToPath(new URL('../../', import.meta.url));
+
+export default { REPO_ROOT };
@@ -0,0 +1,79 @@
+// Request Context Module
+// Enterprise compliant - in-flight request tracking, cancellation and progress
+
+import { supportsFeature } from './protocol-version.js';
+
+// Request ids are only unique per connection, so controllers are keyed by both
+export class InFlightRequests {
+  constructor() {
+    this.byConnection = new Map();
+  }
+
+  start(ws, requestId) {
+    const controller = new AbortController();
+    if (!this.byConnection.has(ws)) {
+      this.byConnection.set(ws, new Map());
+    }
+    this.byConnection.get(ws).set(requestId, controller);
+    return controller;
+  }
+
+  finish(ws, requestId) {
+    const requests = this.byConnection.get(ws);
+    if (!requests) {
+      return;
+    }
+    requests.delete(requestId);
+    if (requests.size === 0) {
+      this.byConnection.delete(ws);
+    }
+  }
+
+  cancel(ws, requestId, reason = 'Request cancelled') {
+    const controller = this.byConnection.get(ws)?.get(requestId);
+    if (!controller) {
+      return false;
+    }
+    controller.abort(new Error(reason));
+    return true;
+  }
+
+  hasPending(ws) {
+    return this.byConnection.has(ws);
+  }
+
+  cancelAll(ws, reason = 'Connection closed') {
+    const requests = this.byConnection.get(ws);
+    if (!requests) {
+      return;
+    }
+    requests.forEach(controller => controller.abort(new Error(reason)));
+    this.byConnection.delete(ws);
+  }
+}
+
+// Context handed to tool executors: abort signal plus a progress reporter that
+// only emits notifications/progress when the client supplied a progressToken
+export function createRequestContext(ws, data, signal, session) {
+  const progressToken = data.params?._meta?.progressToken;
+  const protocolVersion = session?.protocolVersion;
+  const includeMessage = supportsFeature(protocolVersion, 'progressMessage');
+
+  function reportProgress(progress, total, message) {
+    if (progressToken === undefined || signal.aborted) {
+      return;
+    }
+    const params = { progressToken, progress };
+    if (total !== undefined) {
+      params.total = total;
+    }
+    if (message && includeMessage) {
+      params.message = message;
+    }
+    ws.send(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/progress', params }));
+  }
+
+  return { requestId: data.id, signal, reportProgress, protocolVersion, session };
+}
+
+export default { InFlightRequests, createRequestContext };
@@ -0,0 +1,59 @@
+// HTTP Reranker Module
+// Enterprise compliant - relevance scores from a Cohere/Jina-compatible rerank endpoint
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// { results: [{ index, relevance_score }] } (Cohere, Jina, vLLM) or [{ index, score }] (TEI)
+function parseScores(body, expected) {
+  const entries = Array.isArray(body) ? body : body?.results;
+  if (!Array.isArray(entries)) {
+    throw new Error('Rerank endpoint returned no results');
+  }
+  const scores = new Array(expected).fill(null);
+  entries.forEach(entry => {
+    if (Number.isInteger(entry.index) && entry.index >= 0 && entry.index < expected) {
+      scores[entry.index] = entry.relevance_score ?? entry.score ?? null;
+    }
+  });
+  if (scores.some(score => typeof score !== 'number')) {
+    throw new Error(`Rerank endpoint scored ${scores.filter(score => typeof score === 'number').length} of ${expected} documents`);
+  }
+  return scores;
+}
+
+/**
+ * config: { url, model, apiKey, timeout }. url is the full endpoint, e.g.
+ * https://api.cohere.com/v2/rerank or http://tei:8080/rerank; this sends
+ * { model, query, documents, texts, top_n } so either request style is met.
+ */
+export class HttpReranker {
+  constructor(config = {}) {
+    if (!config.url) {
+      throw new Error('HTTP reranker requires a url (RERANK_URL)');
+    }
+    this.name = 'http';
+    this.url = config.url;
+    this.model = config.model;
+    this.apiKey = config.apiKey;
+    this.timeout = config.timeout || DEFAULT_TIMEOUT_MS;
+  }
+
+  async rerank(query, documents, { signal } = {}) {
+    const timeoutSignal = AbortSignal.timeout(this.timeout);
+    const response = await globalThis.fetch(this.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify({ model: this.model, query, documents, texts: documents, top_n: documents.length }),
+      signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal
+    });
+    if (!response.ok) {
+      throw new Error(`Rerank endpoint HTTP ${response.status}: ${(await response.text()).slice(0, 200)}`);
+    }
+    return parseScores(await response.json(), documents.length);
+  }
+}
+
+export default { HttpReranker };
@@ -0,0 +1,70 @@
+// Lexical Reranker Module
+// Enterprise compliant - offline reranking by query coverage, proximity and brevity
+
+import { tokenize } from '../text/tokenize.js';
+
+const COVERAGE_WEIGHT = 0.7;
+const PROXIMITY_WEIGHT = 0.3;
+// Documents around this many tokens are not penalised for length
+const REFERENCE_LENGTH = 120;
+
+// Shortest run of tokens containing every matched term once; Infinity when none match
+function shortestSpan(tokens, terms) {
+  const counts = new Map();
+  let covered = 0;
+  let best = Infinity;
+  let start = 0;
+  tokens.forEach((token, end) => {
+    if (!terms.has(token)) {
+      return;
+    }
+    counts.set(token, (counts.get(token) || 0) + 1);
+    covered += counts.get(token) === 1 ? 1 : 0;
+    while (covered === terms.size) {
+      best = Math.min(best, end - start + 1);
+      const first = tokens[start++];
+      if (terms.has(first)) {
+        counts.set(first, counts.get(first) - 1);
+        covered -= counts.get(first) === 0 ? 1 : 0;
+      }
+    }
+  });
+  return best;
+}
+
+/**
+ * Scores in [0, 1] from three signals that keyword scores miss:
+ * coverage (share of distinct query terms present, so repeating one term
+ * earns nothing), proximity (matched terms close together) and brevity
+ * (long documents are damped logarithmically, so verbose ones stop winning
+ * on sheer term count).
+ */
+export function lexicalScore(queryTerms, text) {
+  const terms = new Set(queryTerms);
+  const tokens = tokenize(text);
+  if (terms.size === 0 || tokens.length === 0) {
+    return 0;
+  }
+  const matched = new Set(tokens.filter(token => terms.has(token)));
+  if (matched.size === 0) {
+    return 0;
+  }
+  const coverage = matched.size / terms.size;
+  const proximity = matched.size / shortestSpan(tokens, matched);
+  const brevity = 1 / (1 + Math.log1p(Math.max(0, tokens.length - REFERENCE_LENGTH) / REFERENCE_LENGTH));
+  return (COVERAGE_WEIGHT * coverage + PROXIMITY_WEIGHT * coverage * proximity) * brevity;
+}
+
+export class LexicalReranker {
+  constructor() {
+    this.name = 'lexical';
+    this.model = 'coverage-proximity';
+  }
+
+  async rerank(query, documents) {
+    const queryTerms = tokenize(query);
+    return documents.map(document => lexicalScore(queryTerms, document));
+  }
+}
+
+export default { LexicalReranker, lexicalScore };
@@ -0,0 +1,85 @@
+// Reranker Module
+// Enterprise compliant - selects the rerank backend and applies it to result lists
+
+import { LexicalReranker } from './lexical-reranker.js';
+import { HttpReranker } from './http-reranker.js';
+
+export const DEFAULT_RERANK_TOP_N = 20;
+const SCORE_DIGITS = 6;
+
+/**
+ * A reranker is { name, model, rerank(query, documents, { signal }) } where
+ * rerank resolves to one relevance score per document text, in input order
+ * (higher is better). Rerankers are keyed by RERANK_PROVIDER: `lexical`
+ * works offline, `http` calls a rerank service.
+ */
+export const RERANKERS = {
+  lexical: () => new LexicalReranker(),
+  http: env => new HttpReranker({
+    url: env.RERANK_URL,
+    model: env.RERANK_MODEL,
+    apiKey: env.RERANK_API_KEY,
+    timeout: Number(env.RERANK_TIMEOUT_MS) || undefined
+  })
+};
+
+// The configured reranker, or null when RERANK_PROVIDER is unset or 'none'
+export function createReranker(env = process.env) {
+  const type = (env.RERANK_PROVIDER || 'none').toLowerCase();
+  if (type === 'none') {
+    return null;
+  }
+  const factory = RERANKERS[type];
+  if (!factory) {
+    throw new Error(`Unknown RERANK_PROVIDER '${type}' (expected: none, ${Object.keys(RERANKERS).join(', ')})`);
+  }
+  return factory(env);
+}
+
+// A per-call rerank option: false skips reranking, true forces it (lexical when none is configured)
+export function selectReranker(configured, option) {
+  if (option === false) {
+    return null;
+  }
+  return configured || (option ? new LexicalReranker() : null);
+}
+
+/**
+ * Reorders the first topN items by the reranker's scores; the rest keep
+ * their order below them. Each reranked item gains
+ * rerank: { scoreBefore, scoreAfter, rankBefore, rankAfter }, and the summary
+ * { reranker, model, topN, reranked } describes the pass. A failing
+ * reranker leaves the order untouched and is reported as summary.error.
+ * options: { topN, text(item), score(item), signal }
+ */
+export async function rerankResults(items, query, reranker, { topN = DEFAULT_RERANK_TOP_N, text, score, signal }) {
+  const head = items.slice(0, topN);
+  const summary = { reranker: reranker.name, model: reranker.model || null, topN, reranked: 0 };
+  if (head.length === 0) {
+    return { items, summary };
+  }
+
+  let scores;
+  try {
+    scores = await reranker.rerank(query, head.map(text), { signal });
+  } catch (error) {
+    signal?.throwIfAborted();
+    return { items, summary: { ...summary, error: error.message } };
+  }
+
+  const reranked = head
+    .map((item, index) => ({ item, index, after: scores[index] }))
+    .sort((a, b) => b.after - a.after || a.index - b.index)
+    .map(({ item, index, after }, rank) => ({
+      ...item,
+      rerank: {
+        scoreBefore: score(item),
+        scoreAfter: Number(after.toFixed(SCORE_DIGITS)),
+        rankBefore: index + 1,
+        rankAfter: rank + 1
+      }
+    }));
+  return { items: [...reranked, ...items.slice(topN)], summary: { ...summary, reranked: reranked.length } };
+}
+
+export default { RERANKERS, DEFAULT_RERANK_TOP_N, createReranker, selectReranker, rerankResults };
@@ -0,0 +1,48 @@
+// Resource Subscriptions Module
+// Enterprise compliant - per-connection resources/subscribe bookkeeping
+
+export class ResourceSubscriptions {
+  constructor() {
+    this.subscribers = new Map();
+  }
+
+  subscribe(ws, uri) {
+    if (!this.subscribers.has(uri)) {
+      this.subscribers.set(uri, new Set());
+    }
+    this.subscribers.get(uri).add(ws);
+  }
+
+  unsubscribe(ws, uri) {
+    const connections = this.subscribers.get(uri);
+    if (!connections) {
+      return;
+    }
+    connections.delete(ws);
+    if (connections.size === 0) {
+      this.subscribers.delete(uri);
+    }
+  }
+
+  removeConnection(ws) {
+    for (const uri of Array.from(this.subscribers.keys())) {
+      this.unsubscribe(ws, uri);
+    }
+  }
+
+  notifyUpdated(uri) {
+    const connections = this.subscribers.get(uri);
+    if (!connections) {
+      return 0;
+    }
+    const notification = JSON.stringify({
+      jsonrpc: '2.0',
+      method: 'notifications/resources/updated',
+      params: { uri }
+    });
+    connections.forEach(ws => ws.send(notification));
+    return connections.size;
+  }
+}
+
+export default { ResourceSubscriptions };
@@ -0,0 +1,71 @@
+// Service Monitor Module
+// Enterprise compliant - probes registry services and shares the latest results
+
+import { loadServiceRegistry } from './service-registry.js';
+import { PROBES } from './service-probes.js';
+import { DatabaseRegistry } from '../databases/database-registry.js';
+
+const DEFAULT_TIMEOUT_MS = 3000;
+const DEFAULT_MAX_AGE_MS = 30000;
+
+/**
+ * Results are cached per service so the getServiceStatus tool and the
+ * context bridge's real-time injection report the same observations.
+ */
+export class ServiceMonitor {
+  constructor(options = {}) {
+    this.services = options.services || loadServiceRegistry();
+    this.results = new Map();
+  }
+
+  has(name) {
+    return this.services.has(name);
+  }
+
+  get serviceNames() {
+    return Array.from(this.services.keys());
+  }
+
+  // A probe that throws (e.g. an unparseable DSN) marks only its own service down
+  async probe(name, timeout = DEFAULT_TIMEOUT_MS) {
+    const service = this.services.get(name);
+    const startedAt = Date.now();
+    let outcome;
+    try {
+      outcome = service.type === 'database' ? await service.adapter.health(timeout) : await PROBES[service.type](service, timeout);
+    } catch (error) {
+      outcome = { status: 'down', latencyMs: Date.now() - startedAt, error: error.message };
+    }
+    const result = { name, type: service.type, ...outcome, checkedAt: new Date().toISOString() };
+    this.results.set(name, result);
+    return result;
+  }
+
+  // Probe now; every service is probed concurrently
+  async check(names = this.serviceNames, { timeout } = {}) {
+    return await Promise.all(names.map(name => this.probe(name, timeout)));
+  }
+
+  // Cached results no older than maxAge, re-probing only the stale ones
+  async latest({ maxAge = DEFAULT_MAX_AGE_MS, timeout } = {}) {
+    const now = Date.now();
+    const stale = this.serviceNames.filter(name => {
+      const cached = this.results.get(name);
+      return !cached || now - Date.parse(cached.checkedAt) > maxAge;
+    });
+    if (stale.length > 0) {
+      await this.check(stale, { timeout });
+    }
+    return this.serviceNames.map(name => this.results.get(name));
+  }
+}
+
+let sharedMonitor;
+
+// Built on first use so a bad MCP_SERVICES_FILE or MCP_DATABASES_FILE surfaces as a tool error, not a startup crash
+export function getServiceMonitor() {
+  sharedMonitor ??= new ServiceMonitor({ services: loadServiceRegistry(process.env, DatabaseRegistry.fromConfig()) });
+  return sharedMonitor;
+}
+
+export default { ServiceMonitor, getServiceMonitor };
@@ -0,0 +1,61 @@
+// Service Probes Module
+// Enterprise compliant - HTTP and TCP reachability checks with latency
+
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { performance } from 'perf_hooks';
+
+const HTTP_OK_MIN = 200;
+const HTTP_OK_MAX = 399;
+
+function elapsed(startedAt) {
+  return Math.round(performance.now() - startedAt);
+}
+
+/**
+ * Every probe resolves (never rejects) to
+ * { status: 'up' | 'down', latencyMs, error?, details? }
+ */
+export function probeHttp(service, timeout) {
+  const startedAt = performance.now();
+  const client = service.url.startsWith('https:') ? https : http;
+
+  return new Promise(resolve => {
+    const request = client.get(service.url, { timeout, headers: service.headers }, response => {
+      response.resume();
+      const statusCode = response.statusCode;
+      const healthy = statusCode >= HTTP_OK_MIN && statusCode <= HTTP_OK_MAX;
+      resolve({
+        status: healthy ? 'up' : 'down',
+        latencyMs: elapsed(startedAt),
+        ...(healthy ? {} : { error: `HTTP ${statusCode}` }),
+        details: { statusCode }
+      });
+    });
+    request.on('timeout', () => request.destroy(new Error(`Timed out after ${timeout}ms`)));
+    request.on('error', error => resolve({ status: 'down', latencyMs: elapsed(startedAt), error: error.message }));
+  });
+}
+
+export function probeTcp(service, timeout) {
+  const startedAt = performance.now();
+
+  return new Promise(resolve => {
+    const socket = net.connect({ host: service.host, port: service.port });
+    const finish = result => {
+      socket.destroy();
+      resolve({ latencyMs: elapsed(startedAt), ...result });
+    };
+    socket.setTimeout(timeout, () => finish({ status: 'down', error: `Timed out after ${timeout}ms` }));
+    socket.once('connect', () => finish({ status: 'up' }));
+    socket.once('error', error => finish({ status: 'down', error: error.message }));
+  });
+}
+
+export const PROBES = {
+  http: probeHttp,
+  tcp: probeTcp
+};
+
+export default { probeHttp, probeTcp, PROBES };
@@ -0,0 +1,63 @@
+// Service Registry Module
+// Enterprise compliant - probe targets loaded from configuration
+
+import { readFileSync } from 'fs';
+import { PROBES } from './service-probes.js';
+
+const DEFAULT_QDRANT_URL = 'http://192.168.68.94:19104';
+const DEFAULT_MONGODB_HOST = '192.168.68.94';
+const DEFAULT_MONGODB_PORT = 27018;
+
+// Built-in targets, overridable through the same env vars the clients use
+function defaultServices(env) {
+  return [
+    { name: 'qdrant', type: 'http', url: `${env.QDRANT_URL || DEFAULT_QDRANT_URL}/healthz` },
+    {
+      name: 'mongodb',
+      type: 'tcp',
+      host: env.MONGODB_HOST || DEFAULT_MONGODB_HOST,
+      port: Number(env.MONGODB_PORT) || DEFAULT_MONGODB_PORT
+    }
+  ];
+}
+
+function validateService(service) {
+  if (!service?.name) {
+    throw new Error('Service entry requires a name');
+  }
+  if (!PROBES[service.type]) {
+    throw new Error(`Service '${service.name}' has unsupported type '${service.type}' (expected ${Object.keys(PROBES).join(' or ')})`);
+  }
+  if (service.type === 'http' && !service.url) {
+    throw new Error(`Service '${service.name}' requires a url`);
+  }
+  if (service.type === 'tcp' && !(service.host && service.port)) {
+    throw new Error(`Service '${service.name}' requires host and port`);
+  }
+  return service;
+}
+
+/**
+ * MCP_SERVICES_FILE points at a JSON array of service entries, e.g.
+ * [{ "name": "grocery-api", "type": "http", "url": "http://api:8080/health" },
+ *  { "name": "postgres", "type": "tcp", "host": "db", "port": 5432 }].
+ * Entries with a built-in name replace the default target. Backends of the
+ * optional database registry (see DatabaseRegistry) that no entry covers are
+ * added as `database` services probed through their adapter's health().
+ */
+export function loadServiceRegistry(env = process.env, databases = null) {
+  const services = new Map(defaultServices(env).map(service => [service.name, service]));
+  if (env.MCP_SERVICES_FILE) {
+    const configured = JSON.parse(readFileSync(env.MCP_SERVICES_FILE, 'utf8'));
+    if (!Array.isArray(configured)) {
+      throw new Error(`${env.MCP_SERVICES_FILE} must contain a JSON array of services`);
+    }
+    configured.map(validateService).forEach(service => services.set(service.name, service));
+  }
+  databases?.names
+    .filter(name => !services.has(name))
+    .forEach(name => services.set(name, { name, type: 'database', adapter: databases.get(name) }));
+  return services;
+}
+
+export default { loadServiceRegistry };
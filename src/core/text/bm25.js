@@ -0,0 +1,100 @@
+// BM25 Index Module
+// Enterprise compliant - incremental in-memory Okapi BM25 ranking
+
+import { termFrequencies } from './tokenize.js';
+
+const DEFAULT_K1 = 1.2;
+const DEFAULT_B = 0.75;
+
+/**
+ * Documents are added and removed by id, so callers can keep the index in
+ * step with files or state changes without rebuilding it.
+ */
+export class Bm25Index {
+  constructor(options = {}) {
+    this.k1 = options.k1 ?? DEFAULT_K1;
+    this.b = options.b ?? DEFAULT_B;
+    this.documents = new Map();
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  has(id) {
+    return this.documents.has(id);
+  }
+
+  add(id, tokens, payload = {}) {
+    this.remove(id);
+    const frequencies = termFrequencies(tokens);
+    frequencies.forEach((count, term) => {
+      this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    });
+    this.documents.set(id, { frequencies, length: tokens.length, payload });
+    this.totalLength += tokens.length;
+  }
+
+  remove(id) {
+    const document = this.documents.get(id);
+    if (!document) {
+      return false;
+    }
+    document.frequencies.forEach((count, term) => {
+      const remaining = this.documentFrequency.get(term) - 1;
+      if (remaining > 0) {
+        this.documentFrequency.set(term, remaining);
+      } else {
+        this.documentFrequency.delete(term);
+      }
+    });
+    this.totalLength -= document.length;
+    this.documents.delete(id);
+    return true;
+  }
+
+  idf(term) {
+    const frequency = this.documentFrequency.get(term) || 0;
+    return Math.log(1 + (this.documents.size - frequency + 0.5) / (frequency + 0.5));
+  }
+
+  scoreDocument(document, queryTerms, averageLength) {
+    let score = 0;
+    queryTerms.forEach(term => {
+      const frequency = document.frequencies.get(term);
+      if (!frequency) {
+        return;
+      }
+      const normalization = this.k1 * (1 - this.b + this.b * (document.length / averageLength));
+      score += this.idf(term) * ((frequency * (this.k1 + 1)) / (frequency + normalization));
+    });
+    return score;
+  }
+
+  /**
+   * Returns [{ id, score, payload }] best first; filter(payload) narrows the
+   * candidate set before scoring
+   */
+  search(queryTokens, { limit = 10, filter } = {}) {
+    const queryTerms = [...new Set(queryTokens)];
+    if (queryTerms.length === 0 || this.documents.size === 0) {
+      return [];
+    }
+    const averageLength = this.totalLength / this.documents.size || 1;
+    const results = [];
+    this.documents.forEach((document, id) => {
+      if (filter && !filter(document.payload)) {
+        return;
+      }
+      const score = this.scoreDocument(document, queryTerms, averageLength);
+      if (score > 0) {
+        results.push({ id, score, payload: document.payload });
+      }
+    });
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+export default { Bm25Index };
@@ -0,0 +1,50 @@
+// Text Score Module
+// Enterprise compliant - keyword relevance score shared by search backends
+
+const SCORE_MULTIPLIER = 2;
+const MULTI_MATCH_BONUS = 1.5;
+const PHRASE_MATCH_BONUS = 10;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Word matches score SCORE_MULTIPLIER each (words of 2 characters or fewer
+ * are skipped), with bonuses for several distinct matches and for the whole
+ * phrase appearing verbatim
+ */
+export function calculateTextScore(query, content) {
+  if (!content) {
+    return 0;
+  }
+
+  const queryWords = query.toLowerCase().split(/\s+/);
+  const contentLower = String(content).toLowerCase();
+
+  let score = 0;
+  let exactMatches = 0;
+
+  queryWords.forEach(word => {
+    if (word.length > SCORE_MULTIPLIER) {
+      const regex = new RegExp(`\\b${escapeRegExp(word)}\\b`, 'gi');
+      const matches = (contentLower.match(regex) || []).length;
+      score += matches * SCORE_MULTIPLIER;
+      if (matches > 0) {
+        exactMatches++;
+      }
+    }
+  });
+
+  if (exactMatches > 1) {
+    score += exactMatches * MULTI_MATCH_BONUS;
+  }
+
+  if (queryWords.length > 1 && contentLower.includes(query.toLowerCase())) {
+    score += PHRASE_MATCH_BONUS;
+  }
+
+  return score;
+}
+
+export default { calculateTextScore };
@@ -0,0 +1,51 @@
+// Token Counter Module
+// Enterprise compliant - token counts for context budgets
+
+const PIECE = /[\p{L}\p{M}]+|\p{N}+|\n+|[^\s\p{L}\p{M}\p{N}]/gu;
+const NON_LATIN = /[^\p{Script=Latin}\p{M}]/u;
+const CHARS_PER_WORD_TOKEN = 5;
+const DIGITS_PER_TOKEN = 3;
+
+/**
+ * Approximates a BPE tokenizer (cl100k-style) without its vocabulary: short
+ * words are one token, long words one per CHARS_PER_WORD_TOKEN letters,
+ * numbers split every DIGITS_PER_TOKEN digits, punctuation and newline runs
+ * are a token each, and non-Latin scripts count per character. It errs on
+ * the high side, so budgets computed with it are not overrun.
+ */
+export function estimateTokens(text) {
+  const pieces = String(text ?? '').match(PIECE) || [];
+  return pieces.reduce((total, piece) => {
+    if (/^\p{N}/u.test(piece)) {
+      return total + Math.ceil(piece.length / DIGITS_PER_TOKEN);
+    }
+    if (/^[\p{L}\p{M}]/u.test(piece)) {
+      return total + (NON_LATIN.test(piece) ? piece.length : Math.ceil(piece.length / CHARS_PER_WORD_TOKEN));
+    }
+    return total + 1;
+  }, 0);
+}
+
+const estimator = { name: 'estimate', count: estimateTokens };
+let counterPromise = null;
+
+// js-tiktoken's cl100k_base encoding gives exact counts; the estimate only
+// stands in when the package cannot be loaded, and says so once
+async function createCounter() {
+  try {
+    const { getEncoding } = await import('js-tiktoken');
+    const encoding = getEncoding('cl100k_base');
+    return { name: 'cl100k_base', count: text => encoding.encode(String(text ?? '')).length };
+  } catch (error) {
+    console.warn(`⚠️  js-tiktoken unavailable, token budgets use the built-in estimate: ${error.message}`);
+    return estimator;
+  }
+}
+
+// { name, count(text) }, resolved once per process
+export function loadTokenCounter() {
+  counterPromise = counterPromise || createCounter();
+  return counterPromise;
+}
+
+export default { estimateTokens, loadTokenCounter };
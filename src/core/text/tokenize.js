@@ -0,0 +1,27 @@
+// Text Tokenize Module
+// Enterprise compliant - shared tokenizer for lexical search and scoring
+
+// Common English function words carry no ranking signal
+export const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'what', 'when', 'where', 'which', 'with'
+]);
+
+const TOKEN_PATTERN = /[\p{L}\p{N}][\p{L}\p{N}_-]*/gu;
+
+/**
+ * Lowercased word tokens; hyphenated and snake_case identifiers stay whole
+ * (e.g. "boss_state_tracker", "rag-state") so tool and file names match exactly.
+ */
+export function tokenize(text, { keepStopWords = false } = {}) {
+  const tokens = String(text ?? '').toLowerCase().match(TOKEN_PATTERN) || [];
+  return keepStopWords ? tokens : tokens.filter(token => !STOP_WORDS.has(token));
+}
+
+export function termFrequencies(tokens) {
+  const frequencies = new Map();
+  tokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+  return frequencies;
+}
+
+export default { STOP_WORDS, tokenize, termFrequencies };
@@ -0,0 +1,58 @@
+// Tool Registry Module
+// Enterprise compliant - one declarative entry per tool feeds tools/list and tools/call
+
+/**
+ * Each tool module exports { name, description, inputSchema, handler(args, context) }.
+ * The handler returns the JSON-RPC response for context.requestId, so anything
+ * advertised by list() is guaranteed to be callable.
+ */
+export class ToolRegistry {
+  constructor(tools = []) {
+    this.tools = new Map();
+    tools.forEach(tool => this.register(tool));
+  }
+
+  register(tool) {
+    if (!tool || typeof tool.name !== 'string' || !tool.name) {
+      throw new Error('Tool definition requires a name');
+    }
+    if (typeof tool.handler !== 'function') {
+      throw new Error(`Tool '${tool.name}' has no handler`);
+    }
+    if (!tool.inputSchema || typeof tool.inputSchema !== 'object') {
+      throw new Error(`Tool '${tool.name}' has no inputSchema`);
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool '${tool.name}' is already registered`);
+    }
+    this.tools.set(tool.name, tool);
+    return this;
+  }
+
+  unregister(name) {
+    return this.tools.delete(name);
+  }
+
+  has(name) {
+    return this.tools.has(name);
+  }
+
+  get(name) {
+    return this.tools.get(name);
+  }
+
+  keys() {
+    return this.tools.keys();
+  }
+
+  get size() {
+    return this.tools.size;
+  }
+
+  // Advertised definitions for tools/list - handlers stay server-side
+  list() {
+    return Array.from(this.tools.values(), ({ name, description, inputSchema }) => ({ name, description, inputSchema }));
+  }
+}
+
+export default { ToolRegistry };
@@ -45,4 +45,19 @@ export async function executeCalculateTool(args, requestId) {
   }
 }
 
-export default { executeCalculateTool };
\ No newline at end of file
+export const calculateTool = {
+  name: 'calculate',
+  description: 'Perform mathematical calculations',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      operation: { type: 'string', enum: ['add', 'subtract', 'multiply', 'divide'], description: 'Mathematical operation to perform' },
+      a: { type: 'number', description: 'First operand' },
+      b: { type: 'number', description: 'Second operand' }
+    },
+    required: ['operation', 'a', 'b']
+  },
+  handler: (args, context) => executeCalculateTool(args, context.requestId)
+};
+
+export default { executeCalculateTool, calculateTool };
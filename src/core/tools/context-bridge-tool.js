@@ -1,14 +1,14 @@
 // Context Bridge Tool Module
 // Enterprise compliant - RAG Superior integration
 
-import { BOSSContextBridge } from '/app/src/core/rag-tools/context-bridge.js';
+import { BOSSContextBridge } from '../rag-tools/context-bridge.js';
 
 const contextBridge = new BOSSContextBridge();
 
 export async function executeContextBridgeTool(args, requestId) {
   try {
     const result = await contextBridge.execute(args);
-    
+
     return {
       jsonrpc: '2.0',
       id: requestId,
@@ -32,4 +32,31 @@ export async function executeContextBridgeTool(args, requestId) {
   }
 }
 
-export default { executeContextBridgeTool };
+export const contextBridgeTool = {
+  name: 'boss_context_bridge',
+  description: 'Seamless context transfer between chat sessions with intelligent merging, recovery and real-time data injection',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      operation: {
+        type: 'string',
+        enum: ['capture_session', 'restore_session', 'bridge_sessions', 'get_session_context', 'merge_contexts', 'create_handoff', 'complete_handoff', 'list_active_sessions', 'search_context', 'cleanup_expired', 'inject_realtime_data', 'process_query_realtime'],
+        description: 'Context bridge operation to perform'
+      },
+      sessionId: { type: 'string', description: 'Current chat session ID' },
+      previousSessionId: { type: 'string', description: 'Previous session ID for bridging' },
+      projectName: { type: 'string', description: 'Associated project name' },
+      context: { type: 'object', description: 'Context data to capture or merge' },
+      metadata: { type: 'object', description: 'Additional session metadata' },
+      strategy: { type: 'string', description: 'Cleanup strategy for cleanup_expired' },
+      query: { type: 'string', description: 'Query for process_query_realtime and search_context' },
+      types: { type: 'array', items: { type: 'string', enum: ['session', 'project'] }, description: 'Document types search_context covers (default: both)' },
+      limit: { type: 'integer', minimum: 1, maximum: 50, default: 10, description: 'Maximum search_context results' }
+    },
+    required: ['operation']
+  },
+  handler: (args, context) => executeContextBridgeTool(args, context.requestId)
+};
+
+export default { executeContextBridgeTool, contextBridgeTool };
+
@@ -0,0 +1,60 @@
+// Document By Path Tool Module
+// Enterprise compliant - single responsibility
+
+import { DocumentStore, DOCUMENT_FORMATS } from '../docs/document-store.js';
+
+const documentStore = new DocumentStore();
+
+export async function executeDocumentByPathTool(args, requestId) {
+  try {
+    const result = await documentStore.read(args.path, {
+      format: args.format,
+      startLine: args.start_line,
+      endLine: args.end_line
+    });
+
+    return {
+      jsonrpc: '2.0',
+      id: requestId,
+      result: {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }]
+      }
+    };
+  } catch (error) {
+    return {
+      jsonrpc: '2.0',
+      id: requestId,
+      error: {
+        code: -32603,
+        message: 'Document retrieval execution failed',
+        data: error.message
+      }
+    };
+  }
+}
+
+export const documentByPathTool = {
+  name: 'getDocumentByPath',
+  description: 'Retrieve a text document from the allowed document roots (DOCUMENT_ROOTS) by relative or absolute path',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      path: { type: 'string', minLength: 1, description: 'Document path, relative to the first document root or absolute within a root' },
+      format: {
+        type: 'string',
+        enum: DOCUMENT_FORMATS,
+        default: 'text',
+        description: 'text: raw content; outline: markdown headings; json: pretty-printed JSON; lines: the start_line..end_line range'
+      },
+      start_line: { type: 'integer', minimum: 1, description: 'First line for format "lines" (1-based, default 1)' },
+      end_line: { type: 'integer', minimum: 1, description: 'Last line for format "lines" (inclusive, default last line)' }
+    },
+    required: ['path']
+  },
+  handler: (args, context) => executeDocumentByPathTool(args, context.requestId)
+};
+
+export default { executeDocumentByPathTool, documentByPathTool };
@@ -14,4 +14,15 @@ export async function executeEchoTool(args, requestId) {
   };
 }
 
-export default { executeEchoTool };
\ No newline at end of file
+export const echoTool = {
+  name: 'echo',
+  description: 'Echo back the input message',
+  inputSchema: {
+    type: 'object',
+    properties: { message: { type: 'string' } },
+    required: ['message']
+  },
+  handler: (args, context) => executeEchoTool(args, context.requestId)
+};
+
+export default { executeEchoTool, echoTool };
@@ -0,0 +1,68 @@
+// Generate Documentation Tool Module
+// Enterprise compliant - single responsibility
+
+import { DockerClient } from '../docker/docker-client.js';
+import { summarizeContainer } from '../docker/container-summary.js';
+import { DOC_TYPES, renderDocumentation } from '../docker/doc-templates.js';
+
+const dockerClient = new DockerClient();
+
+export async function generateDocumentation({ container_name: containerName, doc_type: docType, include_examples: includeExamples }, client = dockerClient) {
+  const inspect = await client.inspectContainer(containerName);
+  if (!inspect) {
+    return { success: false, error: `Container not found: ${containerName}` };
+  }
+  const summary = summarizeContainer(inspect);
+  return {
+    success: true,
+    container: summary.name,
+    docType,
+    markdown: renderDocumentation(summary, docType, { includeExamples }),
+    timestamp: new Date().toISOString()
+  };
+}
+
+export async function executeGenerateDocumentationTool(args, requestId) {
+  try {
+    const result = await generateDocumentation(args);
+    const text = result.success ? result.markdown : JSON.stringify(result, null, 2);
+
+    return {
+      jsonrpc: '2.0',
+      id: requestId,
+      result: {
+        content: [{
+          type: 'text',
+          text
+        }]
+      }
+    };
+  } catch (error) {
+    return {
+      jsonrpc: '2.0',
+      id: requestId,
+      error: {
+        code: -32603,
+        message: 'Documentation generation failed',
+        data: error.message
+      }
+    };
+  }
+}
+
+export const generateDocumentationTool = {
+  name: 'generateDocumentation',
+  description: 'Generate markdown documentation for a BOSS container from the Docker Engine API (env values redacted)',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      container_name: { type: 'string', minLength: 1, description: 'Name or ID of the container to document' },
+      doc_type: { type: 'string', enum: DOC_TYPES, default: 'admin', description: 'Type of documentation to generate' },
+      include_examples: { type: 'boolean', default: true, description: 'Include usage examples in documentation' }
+    },
+    required: ['container_name']
+  },
+  handler: (args, context) => executeGenerateDocumentationTool(args, context.requestId)
+};
+
+export default { generateDocumentation, executeGenerateDocumentationTool, generateDocumentationTool };
@@ -0,0 +1,69 @@
+// Multi-Database Search Tool Module
+// Enterprise compliant - single responsibility
+
+import { DatabaseRegistry } from '../databases/database-registry.js';
+import { FederatedSearch } from '../databases/federated-search.js';
+
+const DEFAULT_LIMIT = 10;
+
+let federatedSearch;
+
+// Built on first use so a bad MCP_DATABASES_FILE surfaces as a tool error, not a startup crash
+function getFederatedSearch() {
+  federatedSearch ??= new FederatedSearch(DatabaseRegistry.fromConfig());
+  return federatedSearch;
+}
+
+export async function executeMultiDatabaseSearchTool(args, requestId, context = {}) {
+  try {
+    const result = await getFederatedSearch().search(args.query, {
+      databases: args.databases,
+      limit: args.limit,
+      signal: context.signal,
+      onProgress: context.reportProgress
+    });
+
+    return {
+      jsonrpc: '2.0',
+      id: requestId,
+      result: {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }]
+      }
+    };
+  } catch (error) {
+    return {
+      jsonrpc: '2.0',
+      id: requestId,
+      error: {
+        code: -32603,
+        message: 'Multi-database search execution failed',
+        data: error.message
+      }
+    };
+  }
+}
+
+export const multiDatabaseSearchTool = {
+  name: 'searchMultiDatabase',
+  description: 'Search across multiple databases using direct connections; results share one schema with per-backend status',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', minLength: 1, description: 'Search query' },
+      databases: {
+        type: 'array',
+        items: { type: 'string' },
+        minItems: 1,
+        description: 'Databases to search: postgres, mongodb, neo4j, qdrant (default: every configured backend)'
+      },
+      limit: { type: 'integer', minimum: 1, maximum: 100, default: DEFAULT_LIMIT, description: 'Maximum results per database' }
+    },
+    required: ['query']
+  },
+  handler: (args, context) => executeMultiDatabaseSearchTool(args, context.requestId, context)
+};
+
+export default { executeMultiDatabaseSearchTool, multiDatabaseSearchTool };
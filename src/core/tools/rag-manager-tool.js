@@ -0,0 +1,100 @@
+// RAG Manager Tool Module
+// Enterprise compliant - RAG Superior orchestration tools
+
+import { RAGSuperiorManager, MANAGER_OPERATIONS } from '../rag-tools/index.js';
+
+function textResult(requestId, result) {
+  return {
+    jsonrpc: '2.0',
+    id: requestId,
+    result: {
+      content: [{
+        type: 'text',
+        text: JSON.stringify(result, null, 2)
+      }]
+    }
+  };
+}
+
+function executionError(requestId, message, error) {
+  return {
+    jsonrpc: '2.0',
+    id: requestId,
+    error: {
+      code: -32603,
+      message,
+      data: error.message
+    }
+  };
+}
+
+export async function executeRagSuperiorTool(args, requestId, context = {}) {
+  try {
+    const manager = new RAGSuperiorManager();
+    const result = await manager.getRelevantContext(args.projectName, args.query, {
+      ...args,
+      signal: context.signal,
+      onProgress: context.reportProgress
+    });
+    return textResult(requestId, result);
+  } catch (error) {
+    return executionError(requestId, 'RAG Superior search execution failed', error);
+  }
+}
+
+export async function executeRagSuperiorManagerTool(args, requestId, context = {}) {
+  try {
+    const manager = new RAGSuperiorManager();
+    const result = await manager.execute({
+      operation: args.operation,
+      query: args.query,
+      sessionId: args.session_id,
+      projectName: args.project_name,
+      contextSize: args.context_size,
+      maxTokens: args.max_tokens,
+      enableFreshness: args.enable_freshness,
+      signal: context.signal,
+      onProgress: context.reportProgress
+    });
+    return textResult(requestId, result);
+  } catch (error) {
+    return executionError(requestId, 'RAG Superior manager execution failed', error);
+  }
+}
+
+export const ragSuperiorSmartSearchTool = {
+  name: 'rag_superior_smart_search',
+  description: 'Smart search functionality for RAG Superior with project context and session management',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Search query for RAG operations' },
+      projectName: { type: 'string', description: 'Project name for context' },
+      maxResults: { type: 'integer', default: 5, description: 'Maximum results to return' },
+      maxTokens: { type: 'integer', minimum: 64, maximum: 128000, description: 'Token budget; returns one cited context block assembled from search hits, sessions and project state instead of the raw lists' }
+    },
+    required: ['query']
+  },
+  handler: (args, context) => executeRagSuperiorTool(args, context.requestId, context)
+};
+
+export const ragSuperiorManagerTool = {
+  name: 'rag_superior_manager',
+  description: 'RAG Superior Manager orchestration layer with integrated context bridge, state tracking, and enhanced vector search',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      operation: { type: 'string', enum: MANAGER_OPERATIONS, description: 'RAG operation to perform' },
+      query: { type: 'string', description: 'Search query (required for the search operations)' },
+      session_id: { type: 'string', description: 'Session ID (required for session_aware_search and cleanup_session; initialize_session generates one when omitted)' },
+      project_name: { type: 'string', description: 'Project name for state tracking' },
+      context_size: { type: 'integer', minimum: 1, maximum: 50, default: 5, description: 'Number of context items to include' },
+      max_tokens: { type: 'integer', minimum: 64, maximum: 128000, description: 'Token budget; search results are also assembled into one cited context block of at most this size' },
+      enable_freshness: { type: 'boolean', default: true, description: 'Enable timestamp-based freshness scoring' }
+    },
+    required: ['operation']
+  },
+  handler: (args, context) => executeRagSuperiorManagerTool(args, context.requestId, context)
+};
+
+export default { executeRagSuperiorTool, executeRagSuperiorManagerTool, ragSuperiorSmartSearchTool, ragSuperiorManagerTool };
@@ -1,394 +0,0 @@
-import path from 'path';
-// Additional imports for enhanced vector search
-import { promises as fsPromises } from 'fs';
-
-// Real search implementation - NO MOCK DATA
-async function searchContextCache(query) {
-  const cacheDir = '/app/rag-state/context_cache/';
-
-  try {
-    const files = await fsPromises.readdir(cacheDir);
-    const results = [];
-
-    for (const file of files) {
-      if (file.endsWith('.json')) {
-        const content = await fsPromises.readFile(path.join(cacheDir, file), 'utf8');
-        const session = JSON.parse(content);
-
-        // Simple text search in session content
-        const searchText = JSON.stringify(session).toLowerCase();
-        if (searchText.includes(query.toLowerCase())) {
-          results.push({
-            sessionId: file.replace('.json', ''),
-            relevance: 0.8,
-            timestamp: session.timestamp || new Date().toISOString(),
-            summary: session.summary || 'Session data found'
-          });
-        }
-      }
-    }
-
-    return results.slice(0, 10);
-  } catch {
-    console.error('Search error:', error);
-    return [];
-  }
-}
-
-// RAG Superior Tools Module - Simplified Working Version
-// Enterprise compliant - minimal dependencies
-
-// Initialize sophisticated state tracker
-const stateTracker = new BOSSStateTracker();
-// Initialize sophisticated context bridge
-const contextBridge = new BOSSContextBridge();
-
-export async function executeStateTrackerTool(args, requestId) {
-  try {
-    // Use sophisticated BOSSStateTracker implementation
-    let result;
-
-    switch (args.operation) {
-    case 'init_system':
-      result = await stateTracker.initializeSystem();
-      break;
-    case 'create_project_state':
-      result = await stateTracker.createProjectState(args.projectName, args.state);
-      break;
-    case 'update_state':
-      result = await stateTracker.updateState(args.projectName, args.state);
-      break;
-    case 'get_current_state':
-      result = await stateTracker.getCurrentState(args.projectName);
-      break;
-    default:
-      result = {
-        success: false,
-        error: `Unknown operation: ${args.operation}`,
-        availableOperations: ['init_system', 'create_project_state', 'update_state', 'get_current_state']
-      };
-    }
-
-    return {
-      jsonrpc: '2.0',
-      id: requestId,
-      result: {
-        content: [{
-          type: 'text',
-          text: JSON.stringify(result, null, 2)
-        }]
-      }
-    };
-  } catch (error) {
-    return {
-      jsonrpc: '2.0',
-      id: requestId,
-      error: {
-        code: -32603,
-        message: 'State tracker execution failed',
-        data: error.message
-      }
-    };
-  }
-}
-
-
-// FIXED: Connect sophisticated EnhancedVectorSearch to MCP tool
-import { MultiDatabaseSearch } from '/app/src/core/rag-tools/vector-search.js';
-import { BOSSStateTracker } from '/app/src/core/rag-tools/state-tracker.js';
-import { BOSSContextBridge } from '/app/src/core/rag-tools/context-bridge.js';
-import { BOSSContextBridge } from '../rag-tools/context-bridge.js';
-
-// Initialize the sophisticated vector search engine
-const vectorSearchEngine = new MultiDatabaseSearch({
-  freshnessDecayFactor: 0.1,
-  maxActiveResults: 10,
-  latestPriorityHours: 48
-});
-
-export async function executeVectorSearchTool(args, requestId) {
-  try {
-    // REAL IMPLEMENTATION: Use sophisticated vector search engine
-    const searchResult = await vectorSearchEngine.searchAll(
-      args.query || '',
-      ['qdrant', 'mongodb'],
-      args.limit || 10
-    );
-
-    const result = {
-      success: searchResult.success,
-      query: args.query || '',
-      results: searchResult.results || [],
-      totalResults: searchResult.total || 0,
-      timestamp: new Date().toISOString(),
-      message: `Vector search completed - ${searchResult.results?.length || 0} results found`,
-      engine: 'EnhancedVectorSearch',
-      freshnessWeighting: true
-    };
-
-    return {
-      jsonrpc: '2.0',
-      id: requestId,
-      result: {
-        content: [{
-          type: 'text',
-          text: JSON.stringify(result, null, 2)
-        }]
-      }
-    };
-  } catch (error) {
-    return {
-      jsonrpc: '2.0',
-      id: requestId,
-      error: {
-        code: -32603,
-        message: 'Vector search execution failed',
-        data: error.message
-      }
-    };
-  }
-}
-
-// Load searchable documents from various sources
-async function loadSearchableDocuments() {
-  const documents = [];
-
-  try {
-    // Search context cache for session data
-    const contextDir = '/app/rag-state/context_cache/';
-    const files = await fsPromises.readdir(contextDir);
-
-    for (const file of files) {
-      if (file.endsWith('.json')) {
-        const content = await fsPromises.readFile(path.join(contextDir, file), 'utf8');
-        const session = JSON.parse(content);
-
-        documents.push({
-          id: file.replace('.json', ''),
-          title: `Session: ${session.sessionId || 'unknown'}`,
-          content: JSON.stringify(session.context || session, null, 2),
-          timestamp: session.timestamp || session.captureTime || Date.now(),
-          source: 'context_cache',
-          type: 'session_data'
-        });
-      }
-    }
-  } catch (error) {
-    console.warn('Context cache loading failed:', error.message);
-  }
-
-  try {
-    // Search git commits for project history
-    const gitLog = await executeGitLogSearch();
-    documents.push(...gitLog);
-  } catch (error) {
-    console.warn('Git log search failed:', error.message);
-  }
-
-  // Add synthetic knowledge base if no real documents found
-  if (documents.length === 0) {
-    documents.push(
-      {
-        id: 'rag-superior-overview',
-        title: 'RAG Superior System Overview',
-        content: 'RAG Superior is an enterprise-grade Retrieval Augmented Generation system with context bridging, state tracking, and enhanced vector search capabilities.',
-        timestamp: Date.now() - 86400000, // 1 day ago
-        source: 'knowledge_base',
-        type: 'documentation'
-      },
-      {
-        id: 'vector-search-features',
-        title: 'Enhanced Vector Search Features',
-        content: 'Enhanced Vector Search includes timestamp-based relevance scoring, freshness decay factors, and intelligent context weighting to prioritize recent information.',
-        timestamp: Date.now() - 3600000, // 1 hour ago
-        source: 'knowledge_base',
-        type: 'technical_docs'
-      }
-    );
-  }
-
-  return documents;
-}
-
-// Search git commits for relevant project information
-async function executeGitLogSearch() {
-  const documents = [];
-
-  try {
-    // This would need to be implemented with actual git log parsing
-    // For now, return empty array to avoid blocking
-    return documents;
-  } catch (error) {
-    return documents;
-  }
-}
-
-
-export async function executeRagSuperiorTool(args, requestId) {
-  try {
-    // This is the critical one - handle rag_superior_smart_search
-    const result = {
-      success: true,
-      projectName: args.projectName || 'default',
-      query: args.query || '',
-      relevantSessions: await searchContextCache(args.query || '', args.projectName || 'default'),
-      currentState: {
-        message: 'RAG Superior search completed - REAL DATA',
-        timestamp: new Date().toISOString()
-      },
-      totalSessions: (await searchContextCache(args.query || '', args.projectName || 'default')).length,
-      timestamp: new Date().toISOString()
-    };
-
-    return {
-      jsonrpc: '2.0',
-      id: requestId,
-      result: {
-        content: [{
-          type: 'text',
-          text: JSON.stringify(result, null, 2)
-        }]
-      }
-    };
-  } catch (error) {
-    return {
-      jsonrpc: '2.0',
-      id: requestId,
-      error: {
-        code: -32603,
-        message: 'RAG Superior execution failed',
-        data: error.message
-      }
-    };
-  }
-}
-
-// Initialize sophisticated context bridge implementation
-export async function executeContextBridgeTool(args, requestId) {
-  try {
-    // Use sophisticated BOSSContextBridge implementation
-    let result;
-
-    switch (args.operation) {
-    case 'capture_session':
-      result = await contextBridge.captureSession(args.sessionId, args.context, args.metadata);
-      break;
-    case 'restore_session':
-      result = await contextBridge.restoreSession(args.sessionId);
-      break;
-    case 'bridge_sessions':
-      result = await contextBridge.bridgeSessions(args.sessionId, args.previousSessionId);
-      break;
-    case 'get_session_context':
-      result = await contextBridge.getSessionContext(args.sessionId);
-      break;
-    case 'merge_contexts':
-      result = await contextBridge.mergeContexts(args.context, args.previousSessionId);
-      break;
-    case 'create_handoff':
-      result = await contextBridge.createHandoff(args.sessionId, args.projectName);
-      break;
-    case 'complete_handoff':
-      result = await contextBridge.completeHandoff(args.sessionId);
-      break;
-    case 'list_active_sessions':
-      result = await contextBridge.listActiveSessions();
-      break;
-    case 'cleanup_expired':
-      result = await contextBridge.cleanupExpired();
-      break;
-    default:
-      result = {
-        success: false,
-        error: `Unknown operation: ${args.operation}`,
-        availableOperations: ['capture_session', 'restore_session', 'bridge_sessions', 'get_session_context', 'merge_contexts', 'create_handoff', 'complete_handoff', 'list_active_sessions', 'cleanup_expired']
-      };
-    }
-
-    return {
-      jsonrpc: '2.0',
-      id: requestId,
-      result: {
-        content: [{
-          type: 'text',
-          text: JSON.stringify(result, null, 2)
-        }]
-      }
-    };
-  } catch (error) {
-    return {
-      jsonrpc: '2.0',
-      id: requestId,
-      error: {
-        code: -32603,
-        message: 'Context bridge execution failed',
-        data: error.message
-      }
-    };
-  }
-}
-
-export default { executeStateTrackerTool, executeVectorSearchTool, executeRagSuperiorTool, executeContextBridgeTool };
-
-
-export async function executeRagSuperiorManagerTool(args, requestId) {
-  try {
-    // RAG Superior Manager - orchestration layer
-    const result = {
-      success: true,
-      operation: args.operation || 'unknown',
-      query: args.query || '',
-      session_id: args.session_id || 'default',
-      project_name: args.project_name || 'default',
-      context_size: args.context_size || 5,
-      manager_status: 'active',
-      timestamp: new Date().toISOString(),
-      message: 'RAG Superior Manager operation completed'
-    };
-
-    // Basic operation handling
-    switch (args.operation) {
-    case 'search_with_context':
-      result.search_results = [];
-      result.context_applied = true;
-      break;
-    case 'smart_retrieval':
-      result.retrieval_method = 'smart';
-      result.relevance_score = 0.95;
-      break;
-    case 'session_aware_search':
-      result.session_context = 'loaded';
-      result.aware_search = true;
-      break;
-    case 'initialize_session':
-      result.session_initialized = true;
-      break;
-    case 'cleanup_session':
-      result.session_cleaned = true;
-      break;
-    default:
-      result.operation = 'default_handling';
-    }
-
-    return {
-      jsonrpc: '2.0',
-      id: requestId,
-      result: {
-        content: [{
-          type: 'text',
-          text: JSON.stringify(result, null, 2)
-        }]
-      }
-    };
-  } catch (error) {
-    return {
-      jsonrpc: '2.0',
-      id: requestId,
-      error: {
-        code: -32603,
-        message: 'RAG Superior Manager execution failed',
-        data: error.message
-      }
-    };
-  }
-}
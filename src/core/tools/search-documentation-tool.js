@@ -0,0 +1,53 @@
+// Search Documentation Tool Module
+// Enterprise compliant - single responsibility
+
+import { DocsIndex } from '../docs/docs-index.js';
+
+const docsIndex = new DocsIndex();
+
+export async function executeSearchDocumentationTool(args, requestId) {
+  try {
+    const result = await docsIndex.search(args.query, {
+      maxResults: args.max_results,
+      collections: args.collections
+    });
+
+    return {
+      jsonrpc: '2.0',
+      id: requestId,
+      result: {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }]
+      }
+    };
+  } catch (error) {
+    return {
+      jsonrpc: '2.0',
+      id: requestId,
+      error: {
+        code: -32603,
+        message: 'Documentation search execution failed',
+        data: error.message
+      }
+    };
+  }
+}
+
+export const searchDocumentationTool = {
+  name: 'searchDocumentation',
+  description: 'Search BOSS MCP documentation with smart context optimization',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', minLength: 1, description: 'Natural language query about BOSS MCP system' },
+      max_results: { type: 'integer', minimum: 1, maximum: 50, default: 3, description: 'Maximum results to return' },
+      collections: { type: 'array', items: { type: 'string' }, description: 'Specific collections to search' }
+    },
+    required: ['query']
+  },
+  handler: (args, context) => executeSearchDocumentationTool(args, context.requestId)
+};
+
+export default { executeSearchDocumentationTool, searchDocumentationTool };
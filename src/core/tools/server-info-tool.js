@@ -1,7 +1,12 @@
 // Server Info Tool Module
 // Enterprise compliant - single responsibility
 
-export async function executeServerInfoTool(requestId) {
+import { SUPPORTED_PROTOCOL_VERSIONS, LATEST_PROTOCOL_VERSION } from '../protocol-version.js';
+
+// context.protocolVersion is the version negotiated for the calling connection
+export async function executeServerInfoTool(requestId, context = {}) {
+  const session = context.session;
+  const client = session ? `\nClient: ${session.clientName} ${session.clientVersion}\nRAG Session: ${session.ragSessionId}` : '';
   return {
     jsonrpc: '2.0',
     id: requestId,
@@ -9,13 +14,21 @@ export async function executeServerInfoTool(requestId) {
       content: [{
         type: 'text',
         text: `Ultimate MCP Server v1.0.0
-Protocol: MCP 2025-03-26
-Transport: WebSocket
+Protocol: MCP ${context.protocolVersion || LATEST_PROTOCOL_VERSION}
+Supported Protocols: ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')}
+Transports: WebSocket, Streamable HTTP, stdio
 Security: Enterprise Grade
-Status: Operational`
+Status: Operational${client}`
       }]
     }
   };
 }
 
-export default { executeServerInfoTool };
\ No newline at end of file
+export const serverInfoTool = {
+  name: 'get_server_info',
+  description: 'Get server information and status',
+  inputSchema: { type: 'object', properties: {} },
+  handler: (args, context) => executeServerInfoTool(context.requestId, context)
+};
+
+export default { executeServerInfoTool, serverInfoTool };
@@ -0,0 +1,97 @@
+// Service Status Tool Module
+// Enterprise compliant - single responsibility
+
+import { getServiceMonitor } from '../services/service-monitor.js';
+
+function overallStatus(results) {
+  const up = results.filter(result => result.status === 'up').length;
+  if (up === results.length) {
+    return 'healthy';
+  }
+  return up === 0 ? 'down' : 'degraded';
+}
+
+function summarize(results) {
+  const latencies = results.map(result => result.latencyMs);
+  return {
+    up: results.filter(result => result.status === 'up').length,
+    down: results.filter(result => result.status !== 'up').length,
+    avgLatencyMs: Math.round(latencies.reduce((sum, latency) => sum + latency, 0) / latencies.length),
+    maxLatencyMs: Math.max(...latencies)
+  };
+}
+
+export async function getServiceStatus({ service_name: serviceName, timeout, include_metrics: includeMetrics }) {
+  let serviceMonitor;
+  try {
+    serviceMonitor = getServiceMonitor();
+  } catch (error) {
+    return { success: false, error: `Service registry configuration error: ${error.message}` };
+  }
+  if (serviceName && serviceName !== 'all' && !serviceMonitor.has(serviceName)) {
+    return { success: false, error: `Unknown service: ${serviceName}`, availableServices: serviceMonitor.serviceNames };
+  }
+
+  const names = serviceName && serviceName !== 'all' ? [serviceName] : serviceMonitor.serviceNames;
+  const results = await serviceMonitor.check(names, { timeout });
+  const services = results.map(({ name, status, latencyMs, error, checkedAt, type, details }) => ({
+    name,
+    status,
+    latencyMs,
+    ...(error ? { error } : {}),
+    checkedAt,
+    ...(includeMetrics ? { type, details } : {})
+  }));
+
+  return {
+    success: true,
+    overall: overallStatus(results),
+    services,
+    ...(includeMetrics ? { metrics: summarize(results) } : {}),
+    timestamp: new Date().toISOString()
+  };
+}
+
+export async function executeServiceStatusTool(args, requestId) {
+  try {
+    const result = await getServiceStatus(args);
+
+    return {
+      jsonrpc: '2.0',
+      id: requestId,
+      result: {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }]
+      }
+    };
+  } catch (error) {
+    return {
+      jsonrpc: '2.0',
+      id: requestId,
+      error: {
+        code: -32603,
+        message: 'Service status execution failed',
+        data: error.message
+      }
+    };
+  }
+}
+
+export const serviceStatusTool = {
+  name: 'getServiceStatus',
+  description: 'Get real-time health status of BOSS MCP services with response times',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      service_name: { type: 'string', description: 'Specific service or all' },
+      timeout: { type: 'integer', minimum: 1, maximum: 60000, default: 3000, description: 'Timeout in milliseconds' },
+      include_metrics: { type: 'boolean', default: true, description: 'Include detailed metrics in response' }
+    },
+    required: []
+  },
+  handler: (args, context) => executeServiceStatusTool(args, context.requestId)
+};
+
+export default { getServiceStatus, executeServiceStatusTool, serviceStatusTool };
@@ -0,0 +1,55 @@
+// State Tracker Tool Module
+// Enterprise compliant - RAG Superior integration
+
+import { BOSSStateTracker } from '../rag-tools/state-tracker.js';
+
+const stateTracker = new BOSSStateTracker();
+
+export async function executeStateTrackerTool(args, requestId) {
+  try {
+    const result = await stateTracker.execute(args);
+
+    return {
+      jsonrpc: '2.0',
+      id: requestId,
+      result: {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }]
+      }
+    };
+  } catch (error) {
+    return {
+      jsonrpc: '2.0',
+      id: requestId,
+      error: {
+        code: -32603,
+        message: 'State tracker execution failed',
+        data: error.message
+      }
+    };
+  }
+}
+
+export const stateTrackerTool = {
+  name: 'boss_state_tracker',
+  description: 'State tracking system for BOSS network with structured project management, checkpoints and RAG sync',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      operation: {
+        type: 'string',
+        enum: ['init_system', 'create_project_state', 'update_state', 'get_current_state', 'create_checkpoint', 'list_checkpoints', 'sync_to_rag'],
+        description: 'Operation to perform'
+      },
+      projectName: { type: 'string', description: 'Tracked project name' },
+      state: { type: 'object', description: 'Initial state, or state changes to merge for update_state' },
+      context: { type: 'object', description: 'Context stored with a new project or checkpoint' }
+    },
+    required: ['operation', 'projectName']
+  },
+  handler: (args, context) => executeStateTrackerTool(args, context.requestId)
+};
+
+export default { executeStateTrackerTool, stateTrackerTool };
@@ -0,0 +1,92 @@
+// Vector Search Tool Module
+// Enterprise compliant - RAG Superior integration
+
+import { MultiDatabaseSearch } from '../rag-tools/vector-search.js';
+import { FUSION_SOURCES } from '../rag-tools/fusion-sources.js';
+import { FUSION_MODES } from '../rag-tools/result-fusion.js';
+import { selectReranker } from '../rerank/reranker.js';
+
+const DEFAULT_LIMIT = 10;
+
+/**
+ * fusion merges every requested source; when a reranker applies (a configured
+ * RERANK_PROVIDER unless rerank is false, or rerank: true) the Qdrant hits are
+ * freshness-scored and reranked; otherwise the raw per-database search
+ */
+function runSearch(search, args, options) {
+  const ranked = {
+    ...options,
+    limit: args.limit || DEFAULT_LIMIT,
+    freshness_boost: args.freshness_boost,
+    decay_factor: args.decay_factor,
+    rerank: args.rerank,
+    rerank_top_n: args.rerank_top_n
+  };
+  if (args.fusion) {
+    return search.searchFused(args.query, { ...ranked, fusion: args.fusion, databases: args.databases, weights: args.weights });
+  }
+  if (selectReranker(search.reranker, args.rerank)) {
+    return search.searchWithTimestampPriority(args.query, ranked);
+  }
+  return search.searchAll(args.query, ['qdrant'], ranked.limit, options);
+}
+
+// context.signal aborts the search; context.reportProgress receives per-database progress
+export async function executeVectorSearchTool(args, requestId, context = {}) {
+  try {
+    const result = await runSearch(new MultiDatabaseSearch(), args, {
+      collection: args.collection,
+      filter: args.filter,
+      scoreThreshold: args.score_threshold,
+      signal: context.signal,
+      onProgress: context.reportProgress
+    });
+
+    return {
+      jsonrpc: '2.0',
+      id: requestId,
+      result: {
+        content: [{
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }]
+      }
+    };
+  } catch (error) {
+    return {
+      jsonrpc: '2.0',
+      id: requestId,
+      error: {
+        code: -32603,
+        message: 'Vector search execution failed',
+        data: error.message
+      }
+    };
+  }
+}
+
+export const vectorSearchTool = {
+  name: 'enhanced_vector_search',
+  description: 'Enhanced vector search with timestamp-based relevance scoring and freshness weighting',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Search query for vector similarity' },
+      collection: { type: 'string', description: 'Vector collection to search (default: every configured collection)' },
+      filter: { type: 'object', description: 'Payload filter: a Qdrant filter object or { field: value } exact matches' },
+      score_threshold: { type: 'number', description: 'Minimum similarity score (vector mode)' },
+      limit: { type: 'integer', default: DEFAULT_LIMIT, description: 'Maximum results to return' },
+      freshness_boost: { type: 'boolean', default: true, description: 'Apply timestamp-based relevance boost' },
+      decay_factor: { type: 'number', default: 0.1, description: 'Freshness decay factor for scoring' },
+      fusion: { type: 'string', enum: FUSION_MODES, description: 'Fuse results from several sources into one ranked list: rrf (reciprocal rank) or weighted (normalised scores)' },
+      databases: { type: 'array', items: { type: 'string', enum: FUSION_SOURCES }, description: 'Sources to fuse (default: all)' },
+      weights: { type: 'object', description: 'Per-source fusion weights, e.g. { "qdrant": 2, "sessions": 1 } (default 1 each)' },
+      rerank: { type: 'boolean', description: 'Rerank the top results (RERANK_PROVIDER, or the lexical reranker when none is configured); false skips a configured reranker' },
+      rerank_top_n: { type: 'integer', minimum: 1, maximum: 100, description: 'How many top results to rerank (default RERANK_TOP_N, else 20)' }
+    },
+    required: ['query']
+  },
+  handler: (args, context) => executeVectorSearchTool(args, context.requestId, context)
+};
+
+export default { executeVectorSearchTool, vectorSearchTool };
@@ -0,0 +1,156 @@
+// HNSW Index Module
+// Enterprise compliant - approximate nearest neighbours over a layered proximity graph
+
+const DEFAULT_M = 16;
+const DEFAULT_EF_CONSTRUCTION = 100;
+const DEFAULT_EF_SEARCH = 64;
+
+// Keeps `list` sorted by descending score; lists are at most ef long, so linear insertion is cheap
+function insertSorted(list, entry) {
+  let index = list.length;
+  while (index > 0 && list[index - 1].score < entry.score) {
+    index--;
+  }
+  list.splice(index, 0, entry);
+}
+
+/**
+ * Hierarchical Navigable Small World graph (Malkov & Yashunin). Nodes are
+ * keyed by caller-chosen keys; `similarity(a, b)` is higher for closer
+ * vectors. Nodes are never unlinked: callers hide removed keys with
+ * search's `accept` and rebuild the index once enough have accumulated.
+ */
+export class HnswIndex {
+  constructor({ m = DEFAULT_M, efConstruction = DEFAULT_EF_CONSTRUCTION, efSearch = DEFAULT_EF_SEARCH, similarity, random = Math.random } = {}) {
+    this.m = m;
+    this.maxNeighborsBase = m * 2;
+    this.levelFactor = 1 / Math.log(m);
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.similarity = similarity;
+    this.random = random;
+    this.nodes = new Map();
+    this.entryPoint = null;
+    this.maxLevel = -1;
+  }
+
+  get size() {
+    return this.nodes.size;
+  }
+
+  randomLevel() {
+    return Math.floor(-Math.log(1 - this.random()) * this.levelFactor);
+  }
+
+  score(vector, key) {
+    return this.similarity(vector, this.nodes.get(key).vector);
+  }
+
+  greedyClosest(vector, entry, layer) {
+    let current = entry;
+    let best = this.score(vector, current);
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (const neighbor of this.nodes.get(current).neighbors[layer]) {
+        const score = this.score(vector, neighbor);
+        if (score > best) {
+          best = score;
+          current = neighbor;
+          improved = true;
+        }
+      }
+    }
+    return current;
+  }
+
+  // Best-first search of one layer: up to ef { key, score } entries, best first
+  searchLayer(vector, entryKeys, ef, layer) {
+    const visited = new Set(entryKeys);
+    const candidates = entryKeys.map(key => ({ key, score: this.score(vector, key) })).sort((a, b) => b.score - a.score);
+    const results = [...candidates];
+    while (candidates.length > 0) {
+      const current = candidates.shift();
+      if (results.length >= ef && current.score < results[results.length - 1].score) {
+        break;
+      }
+      for (const neighbor of this.nodes.get(current.key).neighbors[layer]) {
+        if (visited.has(neighbor)) {
+          continue;
+        }
+        visited.add(neighbor);
+        const entry = { key: neighbor, score: this.score(vector, neighbor) };
+        if (results.length < ef || entry.score > results[results.length - 1].score) {
+          insertSorted(candidates, entry);
+          insertSorted(results, entry);
+          results.length = Math.min(results.length, ef);
+        }
+      }
+    }
+    return results;
+  }
+
+  add(key, vector) {
+    if (this.nodes.has(key)) {
+      throw new Error(`Key ${key} is already indexed`);
+    }
+    const level = this.randomLevel();
+    this.nodes.set(key, { vector, neighbors: Array.from({ length: level + 1 }, () => []) });
+    if (this.entryPoint === null) {
+      this.entryPoint = key;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      entry = this.greedyClosest(vector, entry, layer);
+    }
+    let entries = [entry];
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const found = this.searchLayer(vector, entries, this.efConstruction, layer);
+      this.connect(key, found.slice(0, this.m), layer);
+      entries = found.map(candidate => candidate.key);
+    }
+    if (level > this.maxLevel) {
+      this.entryPoint = key;
+      this.maxLevel = level;
+    }
+  }
+
+  // Link both ways; a neighbour over its degree limit keeps only its closest links
+  connect(key, neighbors, layer) {
+    this.nodes.get(key).neighbors[layer] = neighbors.map(neighbor => neighbor.key);
+    const limit = layer === 0 ? this.maxNeighborsBase : this.m;
+    neighbors.forEach(({ key: neighborKey }) => {
+      const neighbor = this.nodes.get(neighborKey);
+      const links = neighbor.neighbors[layer];
+      links.push(key);
+      if (links.length > limit) {
+        neighbor.neighbors[layer] = links
+          .map(link => ({ key: link, score: this.score(neighbor.vector, link) }))
+          .sort((a, b) => b.score - a.score)
+          .slice(0, limit)
+          .map(link => link.key);
+      }
+    });
+  }
+
+  /**
+   * Up to k { key, score } entries, best first. `accept(key)` drops keys
+   * after the graph walk, so pass a larger ef when it rejects many.
+   */
+  search(vector, k, { ef = this.efSearch, accept } = {}) {
+    if (this.entryPoint === null) {
+      return [];
+    }
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      entry = this.greedyClosest(vector, entry, layer);
+    }
+    const found = this.searchLayer(vector, [entry], Math.max(ef, k), 0);
+    return (accept ? found.filter(candidate => accept(candidate.key)) : found).slice(0, k);
+  }
+}
+
+export default { HnswIndex };
@@ -0,0 +1,112 @@
+// Local Vector Client Module
+// Enterprise compliant - QdrantClient-compatible search over the local vector store
+
+import { performance } from 'perf_hooks';
+import { createEmbeddingProvider, embedQuery } from '../embeddings/embedding-provider.js';
+import { LocalEmbeddingProvider } from '../embeddings/local-embedding-provider.js';
+import { LocalVectorStore } from './local-vector-store.js';
+
+// Constants to avoid magic numbers
+const DEFAULT_LIMIT = 10;
+const EMBED_BATCH_SIZE = 64;
+
+/**
+ * Drop-in replacement for QdrantClient backed by LocalVectorStore
+ * (LOCAL_VECTOR_DIR, default RAG_STATE_DIR/vector_store). Queries are embedded
+ * with the configured EMBEDDING_PROVIDER, or the offline `local` provider when
+ * none is set, so documents must be indexed with the same provider — use
+ * upsertDocuments. `collections` null searches every stored collection.
+ */
+class LocalVectorClient {
+  constructor(options = {}, env = process.env) {
+    this.store = options.store || LocalVectorStore.open(options.dir || env.LOCAL_VECTOR_DIR);
+    this.collections = options.collections || null;
+    this.scoreThreshold = options.scoreThreshold ?? null;
+    this.embeddingProvider = options.embeddingProvider || createEmbeddingProvider(env) || new LocalEmbeddingProvider();
+  }
+
+  get searchMode() {
+    return 'vector';
+  }
+
+  /**
+   * Same contract as QdrantClient.searchVectors: options { signal, filter,
+   * scoreThreshold }; failing collections are reported in `errors`.
+   */
+  async searchVectors(query, limit = DEFAULT_LIMIT, collection = null, options = {}) {
+    try {
+      const targetCollections = collection ? [collection] : (this.collections || await this.store.listCollections());
+      const vector = await embedQuery(this.embeddingProvider, query, { signal: options.signal });
+
+      const settled = await Promise.allSettled(targetCollections.map(coll => this.searchCollectionByVector(vector, coll, limit, options)));
+      const errors = settled
+        .map((outcome, index) => outcome.status === 'rejected' ? { collection: targetCollections[index], error: outcome.reason.message } : null)
+        .filter(Boolean);
+      if (errors.length > 0 && errors.length === targetCollections.length) {
+        throw new Error(errors.map(entry => `${entry.collection}: ${entry.error}`).join('; '));
+      }
+
+      const results = settled
+        .flatMap(outcome => outcome.value || [])
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+
+      return {
+        success: true,
+        source: 'local',
+        searchMode: this.searchMode,
+        results,
+        total: results.length,
+        ...(errors.length > 0 ? { errors } : {}),
+        query
+      };
+    } catch (error) {
+      return { success: false, source: 'local', searchMode: this.searchMode, error: error.message, query };
+    }
+  }
+
+  async searchCollectionByVector(vector, collectionName, limit, options = {}) {
+    const hits = await this.store.search(collectionName, vector, {
+      limit,
+      filter: options.filter,
+      scoreThreshold: options.scoreThreshold ?? this.scoreThreshold
+    });
+    return hits.map(hit => ({ ...hit, collection: collectionName }));
+  }
+
+  /**
+   * Embeds and stores documents [{ id, content, payload }]; content is kept
+   * in the payload like the Qdrant collections do. The collection is created
+   * on first use with the embedding provider's dimensions.
+   */
+  async upsertDocuments(collectionName, documents, options = {}) {
+    const points = [];
+    for (let start = 0; start < documents.length; start += EMBED_BATCH_SIZE) {
+      const batch = documents.slice(start, start + EMBED_BATCH_SIZE);
+      const vectors = await this.embeddingProvider.embed(batch.map(doc => doc.content), { signal: options.signal });
+      batch.forEach((doc, index) => points.push({ id: doc.id, vector: vectors[index], payload: { ...doc.payload, content: doc.content } }));
+    }
+    if (points.length > 0 && !await this.store.getCollection(collectionName)) {
+      await this.store.createCollection(collectionName, { dimensions: points[0].vector.length, distance: options.distance });
+    }
+    return points.length > 0 ? await this.store.upsert(collectionName, points) : { collection: collectionName, upserted: 0 };
+  }
+
+  // selector: { ids, filter }
+  async deleteDocuments(collectionName, selector) {
+    return await this.store.delete(collectionName, selector);
+  }
+
+  // Same shape as the service probes: { status, latencyMs, error?, details? }
+  async health() {
+    const startedAt = performance.now();
+    try {
+      const collections = await this.store.listCollections();
+      return { status: 'up', latencyMs: Math.round(performance.now() - startedAt), details: { dir: this.store.dir, collections: collections.length } };
+    } catch (error) {
+      return { status: 'down', latencyMs: Math.round(performance.now() - startedAt), error: error.message };
+    }
+  }
+}
+
+export { LocalVectorClient };
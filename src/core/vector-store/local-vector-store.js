@@ -0,0 +1,124 @@
+// Local Vector Store Module
+// Enterprise compliant - embedded vector collections persisted under rag-state
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { VectorCollection } from './vector-collection.js';
+
+const COLLECTION_NAME = /^[A-Za-z0-9][\w.-]*$/;
+const COLLECTION_FILE = /\.json$/;
+
+const stores = new Map();
+
+/**
+ * One JSON file per collection in `dir` (default RAG_STATE_DIR/vector_store).
+ * Collections load lazily and stay in memory, and every mutation rewrites the
+ * collection's file atomically. Use LocalVectorStore.open(dir) so a process
+ * shares one instance (and one HNSW index) per directory; the files are not
+ * meant to be written by two processes at once.
+ */
+export class LocalVectorStore {
+  static open(dir, options = {}) {
+    const resolved = path.resolve(dir || path.join(process.env.RAG_STATE_DIR || '/app/rag-state', 'vector_store'));
+    if (!stores.has(resolved)) {
+      stores.set(resolved, new LocalVectorStore({ ...options, dir: resolved }));
+    }
+    return stores.get(resolved);
+  }
+
+  constructor(options = {}) {
+    this.dir = options.dir;
+    this.collectionOptions = { annThreshold: options.annThreshold };
+    this.collections = new Map();
+    this.writes = new Map();
+  }
+
+  filePath(name) {
+    if (!COLLECTION_NAME.test(name || '')) {
+      throw new Error(`Invalid collection name: ${name}`);
+    }
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  async listCollections() {
+    const files = await fs.readdir(this.dir).catch(error => (error.code === 'ENOENT' ? [] : Promise.reject(error)));
+    return files.filter(file => COLLECTION_FILE.test(file) && !file.startsWith('.')).map(file => file.replace(COLLECTION_FILE, '')).sort();
+  }
+
+  // The collection, or null when it does not exist
+  async getCollection(name) {
+    const filePath = this.filePath(name);
+    if (!this.collections.has(name)) {
+      this.collections.set(name, fs.readFile(filePath, 'utf8')
+        .then(content => new VectorCollection(JSON.parse(content), this.collectionOptions))
+        .catch(error => {
+          this.collections.delete(name);
+          return error.code === 'ENOENT' ? null : Promise.reject(error);
+        }));
+    }
+    return await this.collections.get(name);
+  }
+
+  async requireCollection(name) {
+    const collection = await this.getCollection(name);
+    if (!collection) {
+      throw new Error(`Collection not found: ${name}`);
+    }
+    return collection;
+  }
+
+  async createCollection(name, { dimensions, distance = 'Cosine' }) {
+    if (await this.getCollection(name)) {
+      throw new Error(`Collection already exists: ${name}`);
+    }
+    const collection = new VectorCollection({ name, dimensions, distance }, this.collectionOptions);
+    this.collections.set(name, Promise.resolve(collection));
+    await this.persist(collection);
+    return collection.info();
+  }
+
+  async deleteCollection(name) {
+    const filePath = this.filePath(name);
+    this.collections.delete(name);
+    await fs.unlink(filePath).catch(error => (error.code === 'ENOENT' ? null : Promise.reject(error)));
+    return { deleted: name };
+  }
+
+  async upsert(name, points) {
+    const collection = await this.requireCollection(name);
+    const upserted = collection.upsert(points);
+    await this.persist(collection);
+    return { collection: name, upserted };
+  }
+
+  async delete(name, selector) {
+    const collection = await this.requireCollection(name);
+    const deleted = collection.delete(selector);
+    await this.persist(collection);
+    return { collection: name, deleted };
+  }
+
+  async search(name, vector, options) {
+    return (await this.requireCollection(name)).search(vector, options);
+  }
+
+  async scroll(name, options) {
+    return (await this.requireCollection(name)).scroll(options);
+  }
+
+  // Writes are chained per collection and land via rename, so readers never see a partial file
+  async persist(collection) {
+    const filePath = this.filePath(collection.name);
+    const previous = this.writes.get(collection.name) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+      await fs.mkdir(this.dir, { recursive: true });
+      const temporary = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(temporary, JSON.stringify(collection), 'utf8');
+      await fs.rename(temporary, filePath);
+    });
+    this.writes.set(collection.name, write);
+    await write;
+  }
+}
+
+export default { LocalVectorStore };
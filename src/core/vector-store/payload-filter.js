@@ -0,0 +1,83 @@
+// Payload Filter Module
+// Enterprise compliant - Qdrant-style filter evaluation for the local vector store
+
+import { toQdrantFilter } from '../rag-tools/qdrant-client.js';
+
+// Dotted keys reach into nested payload objects ("metadata.project")
+function payloadValue(payload, key) {
+  return key.split('.').reduce((value, part) => (value === null || value === undefined ? undefined : value[part]), payload);
+}
+
+// Array payload fields match when any element does, as in Qdrant
+function anyValue(value, predicate) {
+  return Array.isArray(value) ? value.some(predicate) : predicate(value);
+}
+
+function matchCondition(value, match) {
+  if ('value' in match) {
+    return anyValue(value, entry => entry === match.value);
+  }
+  if (Array.isArray(match.any)) {
+    return anyValue(value, entry => match.any.includes(entry));
+  }
+  if (Array.isArray(match.except)) {
+    return value !== undefined && !anyValue(value, entry => match.except.includes(entry));
+  }
+  if (typeof match.text === 'string') {
+    return anyValue(value, entry => typeof entry === 'string' && entry.toLowerCase().includes(match.text.toLowerCase()));
+  }
+  return false;
+}
+
+function rangeCondition(value, range) {
+  return anyValue(value, entry => typeof entry === 'number'
+    && (range.gt === undefined || entry > range.gt)
+    && (range.gte === undefined || entry >= range.gte)
+    && (range.lt === undefined || entry < range.lt)
+    && (range.lte === undefined || entry <= range.lte));
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || (Array.isArray(value) && value.length === 0);
+}
+
+function conditionMatches(point, condition) {
+  if (condition.must || condition.should || condition.must_not) {
+    return filterMatches(point, condition);
+  }
+  if (Array.isArray(condition.has_id)) {
+    return condition.has_id.some(id => String(id) === String(point.id));
+  }
+  if (condition.is_empty) {
+    return isEmpty(payloadValue(point.payload, condition.is_empty.key));
+  }
+  if (condition.is_null) {
+    return payloadValue(point.payload, condition.is_null.key) === null;
+  }
+  const value = payloadValue(point.payload, condition.key);
+  if (condition.match) {
+    return matchCondition(value, condition.match);
+  }
+  if (condition.range) {
+    return rangeCondition(value, condition.range);
+  }
+  throw new Error(`Unsupported filter condition: ${JSON.stringify(condition)}`);
+}
+
+function filterMatches(point, filter) {
+  return (filter.must || []).every(condition => conditionMatches(point, condition))
+    && (!filter.should?.length || filter.should.some(condition => conditionMatches(point, condition)))
+    && !(filter.must_not || []).some(condition => conditionMatches(point, condition));
+}
+
+/**
+ * Predicate over { id, payload } for a Qdrant filter or a plain { key: value }
+ * map. Supported conditions: match (value, any, except, text), range,
+ * has_id, is_empty, is_null and nested filters. No filter matches everything.
+ */
+export function compileFilter(filter) {
+  const normalized = toQdrantFilter(filter);
+  return normalized ? point => filterMatches(point, normalized) : () => true;
+}
+
+export default { compileFilter };
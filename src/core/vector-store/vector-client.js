@@ -0,0 +1,26 @@
+// Vector Client Module
+// Enterprise compliant - selects the vector search backend
+
+import { QdrantClient } from '../rag-tools/qdrant-client.js';
+import { LocalVectorClient } from './local-vector-client.js';
+
+/**
+ * Vector clients share QdrantClient's interface: searchVectors(query, limit,
+ * collection, options), `collections`, `searchMode` and health(timeout).
+ * VECTOR_STORE picks the backend: `qdrant` (default) or `local`.
+ */
+export const VECTOR_STORES = {
+  qdrant: options => new QdrantClient(options),
+  local: (options, env) => new LocalVectorClient(options, env)
+};
+
+export function createVectorClient(options = {}, env = process.env) {
+  const type = (options.store || env.VECTOR_STORE || 'qdrant').toLowerCase();
+  const factory = VECTOR_STORES[type];
+  if (!factory) {
+    throw new Error(`Unknown VECTOR_STORE '${type}' (expected: ${Object.keys(VECTOR_STORES).join(', ')})`);
+  }
+  return factory(options, env);
+}
+
+export default { VECTOR_STORES, createVectorClient };
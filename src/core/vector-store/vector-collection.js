@@ -0,0 +1,169 @@
+// Vector Collection Module
+// Enterprise compliant - points, payloads and kNN search for the local vector store
+
+import { dot, normalize } from '../embeddings/vector-math.js';
+import { compileFilter } from './payload-filter.js';
+import { HnswIndex } from './hnsw-index.js';
+
+const DEFAULT_ANN_THRESHOLD = 1000;
+const DEFAULT_LIMIT = 10;
+const ANN_OVERSAMPLE = 4;
+const ANN_MIN_FILTER_SHARE = 0.1;
+const REBUILD_STALE_RATIO = 0.25;
+
+// Cosine vectors are stored unit-length, so both distances rank by dot product
+export const DISTANCES = ['Cosine', 'Dot'];
+
+/**
+ * config: { name, dimensions, distance: 'Cosine' | 'Dot', points }. Searches
+ * are exact (brute force) below annThreshold points, and for filters that
+ * match under ANN_MIN_FILTER_SHARE of the collection; above it they use an
+ * HNSW index that is built on first use and rebuilt once more than
+ * REBUILD_STALE_RATIO of its nodes are stale (overwritten or deleted points).
+ */
+export class VectorCollection {
+  constructor(config, options = {}) {
+    if (!Number.isInteger(config.dimensions) || config.dimensions <= 0) {
+      throw new Error(`Collection ${config.name} needs a positive integer dimensions`);
+    }
+    if (!DISTANCES.includes(config.distance || 'Cosine')) {
+      throw new Error(`Unsupported distance '${config.distance}' (expected: ${DISTANCES.join(', ')})`);
+    }
+    this.name = config.name;
+    this.dimensions = config.dimensions;
+    this.distance = config.distance || 'Cosine';
+    this.annThreshold = options.annThreshold ?? DEFAULT_ANN_THRESHOLD;
+    this.points = new Map();
+    this.keyToId = new Map();
+    this.nextKey = 0;
+    this.index = null;
+    this.staleKeys = 0;
+    this.upsert(config.points || []);
+  }
+
+  info() {
+    return { name: this.name, dimensions: this.dimensions, distance: this.distance, points: this.points.size, indexed: Boolean(this.index) };
+  }
+
+  prepareVector(vector) {
+    if (!Array.isArray(vector) || vector.length !== this.dimensions) {
+      throw new Error(`Collection ${this.name} expects ${this.dimensions}-dimensional vectors, got ${Array.isArray(vector) ? vector.length : typeof vector}`);
+    }
+    return this.distance === 'Cosine' ? normalize(vector) : Array.from(vector);
+  }
+
+  // points: [{ id (string or integer), vector, payload }]; an existing id is replaced
+  upsert(points) {
+    points.forEach(({ id, vector, payload = {} }) => {
+      if (typeof id !== 'string' && !Number.isInteger(id)) {
+        throw new Error(`Point id must be a string or an integer, got ${JSON.stringify(id)}`);
+      }
+      const prepared = this.prepareVector(vector);
+      this.retire(String(id));
+      const entry = { id, vector: prepared, payload, key: this.nextKey++ };
+      this.points.set(String(id), entry);
+      this.keyToId.set(entry.key, String(id));
+      this.index?.add(entry.key, entry.vector);
+    });
+    return points.length;
+  }
+
+  retire(id) {
+    const existing = this.points.get(id);
+    if (existing) {
+      this.keyToId.delete(existing.key);
+      this.points.delete(id);
+      this.staleKeys += this.index ? 1 : 0;
+    }
+  }
+
+  // Removes the listed ids and/or every point matching filter; returns how many went
+  delete({ ids, filter } = {}) {
+    const matches = filter ? compileFilter(filter) : () => false;
+    const doomed = new Set((ids || []).map(String));
+    let deleted = 0;
+    [...this.points.values()].forEach(point => {
+      if (doomed.has(String(point.id)) || matches(point)) {
+        this.retire(String(point.id));
+        deleted++;
+      }
+    });
+    return deleted;
+  }
+
+  get(id) {
+    const point = this.points.get(String(id));
+    return point ? { id: point.id, payload: point.payload, vector: point.vector } : null;
+  }
+
+  scroll({ filter, limit = DEFAULT_LIMIT, offset = 0 } = {}) {
+    const accept = compileFilter(filter);
+    return [...this.points.values()]
+      .filter(accept)
+      .slice(offset, offset + limit)
+      .map(point => ({ id: point.id, payload: point.payload }));
+  }
+
+  /**
+   * Nearest points to `vector`: [{ id, payload, score }], best first.
+   * options: { limit, filter, scoreThreshold, exact }
+   */
+  search(vector, { limit = DEFAULT_LIMIT, filter, scoreThreshold, exact = false } = {}) {
+    const query = this.prepareVector(vector);
+    const accept = compileFilter(filter);
+    const useIndex = !exact && this.points.size >= this.annThreshold && this.filterShare(filter, accept) >= ANN_MIN_FILTER_SHARE;
+    const hits = useIndex ? this.approximate(query, accept, limit) : this.bruteForce(query, accept);
+    return hits
+      .filter(hit => scoreThreshold === undefined || scoreThreshold === null || hit.score >= scoreThreshold)
+      .slice(0, limit)
+      .map(({ point, score }) => ({ id: point.id, payload: point.payload, score }));
+  }
+
+  filterShare(filter, accept) {
+    if (!filter) {
+      return 1;
+    }
+    let matching = 0;
+    this.points.forEach(point => {
+      matching += accept(point) ? 1 : 0;
+    });
+    return matching / this.points.size;
+  }
+
+  bruteForce(query, accept) {
+    return [...this.points.values()]
+      .filter(accept)
+      .map(point => ({ point, score: dot(query, point.vector) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  approximate(query, accept, limit) {
+    this.ensureIndex();
+    return this.index
+      .search(query, limit, {
+        ef: Math.max(this.index.efSearch, limit * ANN_OVERSAMPLE),
+        accept: key => this.keyToId.has(key) && accept(this.points.get(this.keyToId.get(key)))
+      })
+      .map(({ key, score }) => ({ point: this.points.get(this.keyToId.get(key)), score }));
+  }
+
+  ensureIndex() {
+    if (this.index && this.staleKeys <= this.index.size * REBUILD_STALE_RATIO) {
+      return;
+    }
+    this.index = new HnswIndex({ similarity: dot });
+    this.points.forEach(point => this.index.add(point.key, point.vector));
+    this.staleKeys = 0;
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      dimensions: this.dimensions,
+      distance: this.distance,
+      points: [...this.points.values()].map(({ id, vector, payload }) => ({ id, vector, payload }))
+    };
+  }
+}
+
+export default { VectorCollection, DISTANCES };
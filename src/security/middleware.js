@@ -8,7 +8,16 @@ import rateLimit from 'express-rate-limit';
 const RATE_LIMIT_WINDOW = 15 * 60 * 1000; // 15 minutes
 const RATE_LIMIT_MAX = 100; // requests per window
 
-export function setupSecurity(app) {
+function allowedOrigins() {
+  return process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'];
+}
+
+export function isOriginAllowed(origin) {
+  return allowedOrigins().includes(origin);
+}
+
+// rateLimitExempt: paths that apply their own limits (the MCP endpoint limits per session)
+export function setupSecurity(app, { rateLimitExempt = [] } = {}) {
   // Security headers
   app.use(helmet({
     contentSecurityPolicy: {
@@ -22,18 +31,20 @@ export function setupSecurity(app) {
 
   // CORS configuration
   app.use(cors({
-    origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000'],
-    credentials: true
+    origin: allowedOrigins(),
+    credentials: true,
+    exposedHeaders: ['Mcp-Session-Id']
   }));
 
   // Rate limiting
   const limiter = rateLimit({
     windowMs: RATE_LIMIT_WINDOW,
     max: RATE_LIMIT_MAX,
-    message: 'Too many requests, please try again later.'
+    message: 'Too many requests, please try again later.',
+    skip: req => rateLimitExempt.includes(req.path)
   });
 
   app.use(limiter);
 }
 
-export default { setupSecurity };
+export default { setupSecurity, isOriginAllowed };
@@ -9,6 +9,7 @@ import { WebSocketServer } from 'ws';
 import dotenv from 'dotenv';
 import MCPWebSocketServer from './core/mcp-server.js';
 import { setupSecurity } from './security/middleware.js';
+import { LATEST_PROTOCOL_VERSION, SUPPORTED_PROTOCOL_VERSIONS } from './core/protocol-version.js';
 
 dotenv.config();
 
@@ -25,7 +26,8 @@ app.get('/health', (req, res) => {
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
     version: '1.0.0',
-    protocol: 'MCP 2025-03-26'
+    protocol: `MCP ${LATEST_PROTOCOL_VERSION}`,
+    supportedProtocols: SUPPORTED_PROTOCOL_VERSIONS
   });
 });
 
@@ -5,77 +5,92 @@
 
 import express from 'express';
 import { createServer } from 'http';
-import { WebSocketServer } from 'ws';
 import dotenv from 'dotenv';
 import MCPWebSocketServer from './core/mcp-server.js';
 import { setupSecurity } from './security/middleware.js';
+import { LATEST_PROTOCOL_VERSION, SUPPORTED_PROTOCOL_VERSIONS } from './core/protocol-version.js';
+import { attachWebSocketTransport } from './transports/websocket-transport.js';
+import { setupStreamableHttp } from './transports/http-transport.js';
+import { redirectConsoleToStderr, startStdioTransport } from './transports/stdio-transport.js';
 
 dotenv.config();
 
-// Initialize Express app
-const app = express();
+// Resolve transport from `--transport <name>`, `--transport=<name>` or MCP_TRANSPORT
+function resolveTransport(argv, env) {
+  const flagIndex = argv.indexOf('--transport');
+  if (flagIndex !== -1 && argv[flagIndex + 1]) {
+    return argv[flagIndex + 1];
+  }
+  const inline = argv.find(arg => arg.startsWith('--transport='));
+  if (inline) {
+    return inline.split('=')[1];
+  }
+  return env.MCP_TRANSPORT || 'websocket';
+}
 
-// Setup enterprise security
-setupSecurity(app);
+// Stdio mode: the client owns our stdin/stdout, no network listeners
+function startStdioServer(mcpServer) {
+  startStdioTransport(mcpServer);
+  console.log(`🔌 MCP stdio transport ready (${mcpServer.tools.size} tools)`);
+}
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    version: '1.0.0',
-    protocol: 'MCP 2024-11-05'
-  });
-});
+function startNetworkServer(mcpServer) {
+  // Initialize Express app
+  const app = express();
 
-// Create HTTP server
-const server = createServer(app);
+  // Setup enterprise security; /mcp is rate limited per session by the transport
+  setupSecurity(app, { rateLimitExempt: ['/mcp'] });
 
-// Create MCP WebSocket server
-const mcpServer = new MCPWebSocketServer();
-const wss = new WebSocketServer({ server, path: '/mcp' });
+  // Health check endpoint
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+      version: '1.0.0',
+      protocol: `MCP ${LATEST_PROTOCOL_VERSION}`,
+      supportedProtocols: SUPPORTED_PROTOCOL_VERSIONS
+    });
+  });
 
-// WebSocket connection handling
-wss.on('connection', (ws, req) => {
-  const clientId = req.socket.remoteAddress;
-  console.log(`🔗 Client connected: ${clientId}`);
+  // Streamable HTTP shares /mcp with the WebSocket upgrade
+  setupStreamableHttp(app, mcpServer);
 
-  ws.on('message', async (message) => {
-    try {
-      const data = JSON.parse(message.toString());
-      const response = await mcpServer.handleMessage(ws, data);
-        if (response !== undefined) {
-          ws.send(JSON.stringify(response));
-        }
-    } catch {
-      const errorResponse = {
-        jsonrpc: '2.0',
-        id: null,
-        error: { code: -32700, message: 'Parse error' }
-      };
-      ws.send(JSON.stringify(errorResponse));
-    }
-  });
+  // Create HTTP server with the MCP WebSocket endpoint
+  const server = createServer(app);
+  attachWebSocketTransport(server, mcpServer);
 
-  ws.on('close', () => {
-    mcpServer.clients.delete(ws);
-    console.log(`🔌 Client disconnected: ${clientId}`);
-  });
-});
+  // Start unified server
+  const PORT = process.env.PORT || 8080;
 
-// Start unified server
-const PORT = process.env.PORT || 8080;
+  server.listen(PORT, () => {
+    console.log('============================================================');
+    console.log('🚀 Ultimate MCP Server (Modular Architecture)');
+    console.log(`🔌 WebSocket MCP endpoint: ws://192.168.68.94:${PORT}/mcp`);
+    console.log(`🌐 Streamable HTTP MCP endpoint: http://192.168.68.94:${PORT}/mcp`);
+    console.log(`🏥 Health check: http://192.168.68.94:${PORT}/health`);
+    console.log('🔒 Security hardening: ENABLED');
+    console.log(`🛠️ Tools: ${mcpServer.tools.size} available`);
+    console.log(`📚 Resources: ${mcpServer.resources.size} available`);
+    console.log('🏗️ Architecture: Enterprise Modular');
+    console.log('============================================================');
+  });
+}
 
-server.listen(PORT, () => {
-  console.log('============================================================');
-  console.log('🚀 Ultimate MCP Server (Modular Architecture)');
-  console.log(`🔌 WebSocket MCP endpoint: ws://192.168.68.94:${PORT}/mcp`);
-  console.log(`🏥 Health check: http://192.168.68.94:${PORT}/health`);
-  console.log('🔒 Security hardening: ENABLED');
-  console.log(`🛠️ Tools: ${mcpServer.tools.size} available`);
-  console.log(`📚 Resources: ${mcpServer.resources.size} available`);
-  console.log('🏗️ Architecture: Enterprise Modular');
-  console.log('============================================================');
-});
+const transport = resolveTransport(process.argv.slice(2), process.env);
+if (transport === 'stdio') {
+  // Before anything logs, plugin loading included: stdout is the protocol stream
+  redirectConsoleToStderr();
+}
+// A stdio client owns the process lifetime, so it is never reaped as idle
+const mcpServer = new MCPWebSocketServer(transport === 'stdio' ? { idleTimeoutMs: 0 } : {});
+await mcpServer.plugins.loadAll();
 
+if (transport === 'stdio') {
+  startStdioServer(mcpServer);
+} else if (transport === 'websocket') {
+  startNetworkServer(mcpServer);
+} else {
+  console.error(`❌ Unknown transport: ${transport} (expected stdio or websocket)`);
+  process.exit(1);
+}
@@ -0,0 +1,271 @@
+// Streamable HTTP Transport Module
+// POST carries JSON-RPC, SSE streams long replies, GET opens a server-initiated stream
+
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { isOriginAllowed } from '../security/middleware.js';
+import { supportsFeature } from '../core/protocol-version.js';
+import { createSessionLimiters, isInitialize } from './session-rate-limits.js';
+
+const SESSION_HEADER = 'Mcp-Session-Id';
+const PROTOCOL_VERSION_HEADER = 'MCP-Protocol-Version';
+const MAX_PENDING_MESSAGES = 100;
+const KEEPALIVE_INTERVAL = 25000;
+const MAX_BODY_SIZE = '4mb';
+
+const HTTP_STATUS = {
+  ACCEPTED: 202,
+  NO_CONTENT: 204,
+  BAD_REQUEST: 400,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  NOT_ALLOWED: 405,
+  NOT_ACCEPTABLE: 406,
+  TOO_MANY_REQUESTS: 429
+};
+
+// Connection handle for one Mcp-Session-Id, same send/close surface as a ws socket.
+// Messages go to the most recently opened SSE stream, or wait until one opens.
+// onClose runs once, whoever closes the session (client DELETE or the idle reaper).
+export class HttpSession {
+  constructor(id, { onClose } = {}) {
+    this.id = id;
+    this.streams = [];
+    this.pending = [];
+    this.open = true;
+    this.onClose = onClose;
+  }
+
+  send(message) {
+    const stream = this.streams[this.streams.length - 1];
+    if (stream) {
+      writeEvent(stream, message);
+    } else if (this.open && this.pending.length < MAX_PENDING_MESSAGES) {
+      this.pending.push(message);
+    }
+  }
+
+  attachStream(res) {
+    this.streams.push(res);
+    this.pending.splice(0).forEach(message => writeEvent(res, message));
+  }
+
+  detachStream(res) {
+    this.streams = this.streams.filter(stream => stream !== res);
+  }
+
+  close() {
+    if (!this.open) {
+      return;
+    }
+    this.open = false;
+    this.pending = [];
+    this.streams.splice(0).forEach(stream => stream.end());
+    this.onClose?.(this);
+  }
+}
+
+function writeEvent(res, message) {
+  res.write(`event: message\ndata: ${message}\n\n`);
+}
+
+function openEventStream(res, sessionId) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    [SESSION_HEADER]: sessionId
+  });
+  res.flushHeaders();
+}
+
+function sendTransportError(res, status, message) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    id: null,
+    error: { code: -32000, message }
+  });
+}
+
+function accepts(req, mimeType) {
+  const accept = req.get('Accept') || '*/*';
+  return accept.includes(mimeType) || accept.includes('*/*');
+}
+
+// Long-running tool calls are streamed when the client can read SSE
+function wantsEventStream(req, messages) {
+  const acceptHeader = req.get('Accept') || '';
+  return acceptHeader.includes('text/event-stream') &&
+    messages.some(message => message?.method === 'tools/call');
+}
+
+function isRequest(message) {
+  return Boolean(message?.method) && message.id !== undefined && message.id !== null;
+}
+
+// options.env overrides process.env for the rate limit settings
+export class StreamableHttpTransport {
+  constructor(mcpServer, options = {}) {
+    this.mcpServer = mcpServer;
+    this.sessions = new Map();
+    this.limiters = createSessionLimiters(this.sessions, {
+      header: SESSION_HEADER,
+      onLimit: (res, message) => sendTransportError(res, HTTP_STATUS.TOO_MANY_REQUESTS, `Too Many Requests: ${message}`)
+    }, options.env || process.env);
+  }
+
+  mount(app, path = '/mcp') {
+    const checkOrigin = this.checkOrigin.bind(this);
+    const limiter = this.limiters.requests;
+    app.post(path, checkOrigin, limiter, express.json({ limit: MAX_BODY_SIZE }), this.limiters.creation, this.handlePost.bind(this));
+    app.get(path, checkOrigin, limiter, this.handleGet.bind(this));
+    app.delete(path, checkOrigin, limiter, this.handleDelete.bind(this));
+    app.use(path, this.handleParseError.bind(this));
+    return this;
+  }
+
+  // Reject cross-origin browser requests (DNS rebinding protection)
+  checkOrigin(req, res, next) {
+    const origin = req.get('Origin');
+    if (origin && !isOriginAllowed(origin)) {
+      sendTransportError(res, HTTP_STATUS.FORBIDDEN, 'Forbidden: origin not allowed');
+      return;
+    }
+    next();
+  }
+
+  resolveSession(req, res, messages) {
+    if (isInitialize(messages)) {
+      const session = new HttpSession(uuidv4(), { onClose: closed => this.sessions.delete(closed.id) });
+      this.sessions.set(session.id, session);
+      this.mcpServer.connect(session);
+      return session;
+    }
+
+    if (!req.get(SESSION_HEADER)) {
+      sendTransportError(res, HTTP_STATUS.BAD_REQUEST, `Bad Request: missing ${SESSION_HEADER} header`);
+      return null;
+    }
+    return this.findSession(req, res);
+  }
+
+  // Existing session lookup; revisions that define the protocol version header
+  // require it to match what the session negotiated. Sessions the server closed
+  // (e.g. for idleness) are gone, so the client must re-initialize
+  findSession(req, res) {
+    const session = this.sessions.get(req.get(SESSION_HEADER));
+    if (!session) {
+      sendTransportError(res, HTTP_STATUS.NOT_FOUND, 'Session not found');
+      return null;
+    }
+
+    const negotiated = this.mcpServer.protocolVersionOf(session);
+    const requested = req.get(PROTOCOL_VERSION_HEADER);
+    if (requested && supportsFeature(negotiated, 'protocolVersionHeader') && requested !== negotiated) {
+      sendTransportError(res, HTTP_STATUS.BAD_REQUEST, `Bad Request: unsupported ${PROTOCOL_VERSION_HEADER}: ${requested}`);
+      return null;
+    }
+    return session;
+  }
+
+  async dispatch(session, body) {
+    const response = await this.mcpServer.handleMessage(session, body);
+    // A failed initialize must not leave a half-open session behind
+    if (response?.error && body?.method === 'initialize') {
+      this.closeSession(session);
+    }
+    return response;
+  }
+
+  async handlePost(req, res) {
+    if (!accepts(req, 'application/json') && !accepts(req, 'text/event-stream')) {
+      sendTransportError(res, HTTP_STATUS.NOT_ACCEPTABLE, 'Not Acceptable: client must accept application/json or text/event-stream');
+      return;
+    }
+
+    const messages = Array.isArray(req.body) ? req.body : [req.body];
+    const session = this.resolveSession(req, res, messages);
+    if (!session) {
+      return;
+    }
+
+    if (!messages.some(isRequest)) {
+      await this.dispatch(session, req.body);
+      res.status(HTTP_STATUS.ACCEPTED).set(SESSION_HEADER, session.id).end();
+    } else if (wantsEventStream(req, messages)) {
+      await this.streamResponse(req, res, session);
+    } else {
+      const response = await this.dispatch(session, req.body);
+      // Cancelled requests have no response body to return
+      if (response === undefined) {
+        res.status(HTTP_STATUS.ACCEPTED).set(SESSION_HEADER, session.id).end();
+        return;
+      }
+      res.set(SESSION_HEADER, session.id).json(response);
+    }
+  }
+
+  async streamResponse(req, res, session) {
+    openEventStream(res, session.id);
+    session.attachStream(res);
+    const response = await this.dispatch(session, req.body);
+    if (response !== undefined) {
+      writeEvent(res, JSON.stringify(response));
+    }
+    session.detachStream(res);
+    res.end();
+  }
+
+  handleGet(req, res) {
+    if (!(req.get('Accept') || '').includes('text/event-stream')) {
+      sendTransportError(res, HTTP_STATUS.NOT_ALLOWED, 'Method Not Allowed: GET requires Accept: text/event-stream');
+      return;
+    }
+    const session = this.findSession(req, res);
+    if (!session) {
+      return;
+    }
+
+    openEventStream(res, session.id);
+    session.attachStream(res);
+    const keepalive = setInterval(() => res.write(': keepalive\n\n'), KEEPALIVE_INTERVAL);
+    req.on('close', () => {
+      clearInterval(keepalive);
+      session.detachStream(res);
+    });
+  }
+
+  handleDelete(req, res) {
+    const session = this.findSession(req, res);
+    if (!session) {
+      return;
+    }
+    this.closeSession(session);
+    res.status(HTTP_STATUS.NO_CONTENT).end();
+  }
+
+  // session.close() also drops it from this.sessions
+  closeSession(session) {
+    session.close();
+    this.mcpServer.disconnect(session);
+  }
+
+  // Malformed JSON bodies become JSON-RPC parse errors instead of HTML pages
+  handleParseError(error, req, res, next) {
+    if (error.type !== 'entity.parse.failed') {
+      next(error);
+      return;
+    }
+    res.status(HTTP_STATUS.BAD_REQUEST).json({
+      jsonrpc: '2.0',
+      id: null,
+      error: { code: -32700, message: 'Parse error' }
+    });
+  }
+}
+
+export function setupStreamableHttp(app, mcpServer, path = '/mcp') {
+  return new StreamableHttpTransport(mcpServer).mount(app, path);
+}
+
+export default { HttpSession, StreamableHttpTransport, setupStreamableHttp };
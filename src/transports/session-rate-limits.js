@@ -0,0 +1,39 @@
+// Session Rate Limits Module
+// Enterprise compliant - per-session request limits and per-address session creation limits for /mcp
+
+import rateLimit from 'express-rate-limit';
+
+const SESSION_RATE_WINDOW = 60 * 1000; // 1 minute
+const DEFAULT_SESSION_RATE_MAX = 600; // requests per session per window
+const DEFAULT_SESSION_CREATE_MAX = 20; // initialize requests per address per window
+
+export function isInitialize(body) {
+  return (Array.isArray(body) ? body : [body]).some(message => message?.method === 'initialize');
+}
+
+/**
+ * One MCP client sends many small requests, so the endpoint is limited per
+ * session: MCP_SESSION_RATE_LIMIT requests per minute. The Mcp-Session-Id
+ * header is client-controlled, so it is only used as the key when it names a
+ * live session; anything else counts against the client address. Creating
+ * sessions is limited separately, MCP_SESSION_CREATE_LIMIT initialize
+ * requests per address per minute. onLimit(res, message) answers refused requests.
+ */
+export function createSessionLimiters(sessions, { header, onLimit }, env = process.env) {
+  return {
+    requests: rateLimit({
+      windowMs: SESSION_RATE_WINDOW,
+      max: Number(env.MCP_SESSION_RATE_LIMIT) || DEFAULT_SESSION_RATE_MAX,
+      keyGenerator: req => (sessions.get(req.get(header))?.open ? `session:${req.get(header)}` : `ip:${req.ip}`),
+      handler: (req, res) => onLimit(res, 'session rate limit exceeded')
+    }),
+    creation: rateLimit({
+      windowMs: SESSION_RATE_WINDOW,
+      max: Number(env.MCP_SESSION_CREATE_LIMIT) || DEFAULT_SESSION_CREATE_MAX,
+      skip: req => !isInitialize(req.body),
+      handler: (req, res) => onLimit(res, 'session creation limit exceeded')
+    })
+  };
+}
+
+export default { createSessionLimiters, isInitialize };
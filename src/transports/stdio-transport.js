@@ -0,0 +1,86 @@
+// Stdio Transport Module
+// Newline-delimited JSON-RPC over stdin/stdout for subprocess-launched clients
+
+import readline from 'readline';
+
+const PARSE_ERROR_RESPONSE = {
+  jsonrpc: '2.0',
+  id: null,
+  error: { code: -32700, message: 'Parse error' }
+};
+
+// Failures outside the server's own dispatch (e.g. serialising the reply) still get a JSON-RPC answer
+function internalErrorResponse(data, error) {
+  return {
+    jsonrpc: '2.0',
+    id: Array.isArray(data) ? null : data?.id ?? null,
+    error: { code: -32603, message: 'Internal error', data: error.message }
+  };
+}
+
+// Connection handle with the same send/close surface as a ws socket,
+// so handlers can treat every transport alike
+export class StdioConnection {
+  constructor(input, output) {
+    this.input = input;
+    this.output = output;
+    this.open = true;
+  }
+
+  send(message) {
+    if (this.open) {
+      this.output.write(`${message}\n`);
+    }
+  }
+
+  close() {
+    this.open = false;
+    this.input.pause();
+  }
+}
+
+// stdout carries the protocol stream, so every log line must go to stderr
+export function redirectConsoleToStderr() {
+  console.log = console.error;
+  console.info = console.error;
+  console.debug = console.error;
+}
+
+async function handleLine(mcpServer, connection, line) {
+  if (!line.trim()) {
+    return;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(line);
+  } catch {
+    connection.send(JSON.stringify(PARSE_ERROR_RESPONSE));
+    return;
+  }
+
+  try {
+    const response = await mcpServer.handleMessage(connection, data);
+    if (response !== undefined) {
+      connection.send(JSON.stringify(response));
+    }
+  } catch (error) {
+    connection.send(JSON.stringify(internalErrorResponse(data, error)));
+  }
+}
+
+export function startStdioTransport(mcpServer, options = {}) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+  const connection = new StdioConnection(input, output);
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  mcpServer.connect(connection);
+  lines.on('line', (line) => handleLine(mcpServer, connection, line));
+  // Replies already in progress may still be written after stdin ends
+  lines.on('close', () => mcpServer.disconnect(connection));
+
+  return connection;
+}
+
+export default { StdioConnection, redirectConsoleToStderr, startStdioTransport };
@@ -0,0 +1,57 @@
+// WebSocket Transport Module
+// Enterprise compliant - binds the /mcp WebSocket endpoint to the MCP server
+
+import { WebSocketServer } from 'ws';
+
+const PARSE_ERROR_RESPONSE = {
+  jsonrpc: '2.0',
+  id: null,
+  error: { code: -32700, message: 'Parse error' }
+};
+
+// Failures outside the server's own dispatch (e.g. serialising the reply) still get a JSON-RPC answer
+function internalErrorResponse(data, error) {
+  return {
+    jsonrpc: '2.0',
+    id: Array.isArray(data) ? null : data?.id ?? null,
+    error: { code: -32603, message: 'Internal error', data: error.message }
+  };
+}
+
+export function attachWebSocketTransport(server, mcpServer, path = '/mcp') {
+  const wss = new WebSocketServer({ server, path });
+
+  wss.on('connection', (ws, req) => {
+    const clientId = req.socket.remoteAddress;
+    console.log(`🔗 Client connected: ${clientId}`);
+    mcpServer.connect(ws);
+
+    ws.on('message', async (message) => {
+      let data;
+      try {
+        data = JSON.parse(message.toString());
+      } catch {
+        ws.send(JSON.stringify(PARSE_ERROR_RESPONSE));
+        return;
+      }
+
+      try {
+        const response = await mcpServer.handleMessage(ws, data);
+        if (response !== undefined) {
+          ws.send(JSON.stringify(response));
+        }
+      } catch (error) {
+        ws.send(JSON.stringify(internalErrorResponse(data, error)));
+      }
+    });
+
+    ws.on('close', () => {
+      mcpServer.disconnect(ws);
+      console.log(`🔌 Client disconnected: ${clientId}`);
+    });
+  });
+
+  return wss;
+}
+
+export default { attachWebSocketTransport };
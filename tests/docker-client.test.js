@@ -0,0 +1,127 @@
+// Docker Client Tests
+// Runs the client and generateDocumentation against a fake Docker Engine API on a unix socket
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { DockerClient } from '../src/core/docker/docker-client.js';
+import { generateDocumentation } from '../src/core/tools/generate-documentation-tool.js';
+
+const WEB_INSPECT = {
+  Id: 'abc123def4567890',
+  Name: '/web',
+  Created: '2026-01-01T00:00:00Z',
+  RestartCount: 0,
+  State: { Status: 'running', Running: true, StartedAt: '2026-01-01T00:00:01Z' },
+  Config: { Image: 'nginx:1.27', Env: ['DB_PASSWORD=hunter2', 'PORT=80'], Cmd: ['nginx'], Labels: {} },
+  HostConfig: { RestartPolicy: { Name: 'always' } },
+  NetworkSettings: { Ports: { '80/tcp': [{ HostIp: '0.0.0.0', HostPort: '8080' }] }, Networks: { bridge: {} } },
+  Mounts: []
+};
+
+const API_INSPECT = {
+  ...WEB_INSPECT,
+  Name: '/api',
+  Config: {
+    Image: 'api:2',
+    Env: [],
+    Entrypoint: ['node'],
+    Cmd: ['server.js', '--port=8080', '--api-token=tok-123', '--db=postgres://app:dbpass@db/app', 'ADMIN_PASSWORD=s3cret'],
+    Labels: { 'com.example.version': '2026.01', 'com.example.api-key': 'lbl-key' }
+  }
+};
+
+const ROUTES = {
+  '/containers/json?all=0': [200, [{ Id: 'abc123', Names: ['/web'], State: 'running' }]],
+  '/containers/json?all=1': [200, [{ Id: 'abc123', Names: ['/web'], State: 'running' }, { Id: 'def456', Names: ['/old'], State: 'exited' }]],
+  '/containers/web/json': [200, WEB_INSPECT],
+  '/containers/api/json': [200, API_INSPECT],
+  '/containers/broken/json': [500, { message: 'daemon exploded' }]
+};
+
+function fakeDockerServer(requests) {
+  return http.createServer((request, response) => {
+    requests.push({ method: request.method, url: request.url });
+    const [status, body] = ROUTES[request.url] || [404, { message: `No such container: ${request.url}` }];
+    response.writeHead(status, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body));
+  });
+}
+
+let server;
+let dir;
+let client;
+const requests = [];
+
+beforeAll(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'docker-sock-'));
+  const socketPath = path.join(dir, 'docker.sock');
+  server = fakeDockerServer(requests);
+  await new Promise(resolve => server.listen(socketPath, resolve));
+  client = new DockerClient({ socketPath });
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('DockerClient', () => {
+  test('lists running containers, or all of them', async () => {
+    expect(await client.listContainers()).toHaveLength(1);
+    expect(await client.listContainers({ all: true })).toHaveLength(2);
+    expect(requests.slice(-2).map(request => request.url)).toEqual(['/containers/json?all=0', '/containers/json?all=1']);
+  });
+
+  test('inspects a container by name', async () => {
+    const inspect = await client.inspectContainer('web');
+    expect(inspect.Name).toBe('/web');
+    expect(requests.at(-1)).toEqual({ method: 'GET', url: '/containers/web/json' });
+  });
+
+  test('resolves a missing container to null', async () => {
+    expect(await client.inspectContainer('missing')).toBeNull();
+  });
+
+  test('rejects other API errors with the daemon message and status', async () => {
+    await expect(client.inspectContainer('broken')).rejects.toMatchObject({ message: 'daemon exploded', statusCode: 500 });
+  });
+
+  test('rejects when the socket is unreachable', async () => {
+    const unreachable = new DockerClient({ socketPath: path.join(dir, 'absent.sock') });
+    await expect(unreachable.listContainers()).rejects.toThrow(/Docker API unavailable at .*absent\.sock/);
+  });
+});
+
+describe('generateDocumentation', () => {
+  test('renders markdown from the inspect result with secrets redacted', async () => {
+    const result = await generateDocumentation({ container_name: 'web', doc_type: 'admin', include_examples: false }, client);
+    expect(result.success).toBe(true);
+    expect(result.container).toBe('web');
+    expect(result.markdown).toContain('nginx:1.27');
+    expect(result.markdown).toContain('***REDACTED***');
+    expect(result.markdown).not.toContain('hunter2');
+  });
+
+  test('redacts secret labels and command arguments', async () => {
+    const result = await generateDocumentation({ container_name: 'api', doc_type: 'admin', include_examples: false }, client);
+    expect(result.markdown).toContain('--port=8080');
+    expect(result.markdown).toContain('--db=postgres://app:***REDACTED***@db/app');
+    expect(result.markdown).toContain('2026.01');
+    for (const secret of ['s3cret', 'tok-123', 'dbpass', 'lbl-key']) {
+      expect(result.markdown).not.toContain(secret);
+    }
+  });
+
+  test('reports a missing container', async () => {
+    const result = await generateDocumentation({ container_name: 'missing', doc_type: 'admin' }, client);
+    expect(result).toEqual({ success: false, error: 'Container not found: missing' });
+  });
+
+  test('propagates an unreachable daemon', async () => {
+    const unreachable = new DockerClient({ socketPath: path.join(dir, 'absent.sock') });
+    await expect(generateDocumentation({ container_name: 'web', doc_type: 'admin' }, unreachable)).rejects.toThrow(/Docker API unavailable/);
+  });
+});
@@ -0,0 +1,23 @@
+// Docs Index Tests
+// Built-in docs roots follow the checkout; DOCS_ROOTS follows the working directory
+
+import { describe, test, expect } from '@jest/globals';
+import path from 'path';
+import { parseDocsRoots } from '../src/core/docs/docs-index.js';
+import { REPO_ROOT } from '../src/core/repo-root.js';
+
+describe('parseDocsRoots', () => {
+  test('defaults resolve against the repo root, not the working directory', () => {
+    expect(parseDocsRoots(undefined, '/somewhere/else')).toEqual([
+      { collection: 'docs', path: path.join(REPO_ROOT, 'docs') },
+      { collection: 'readme', path: path.join(REPO_ROOT, 'README.md') }
+    ]);
+  });
+
+  test('DOCS_ROOTS overrides resolve against the working directory', () => {
+    expect(parseDocsRoots('guides=./guides,/abs/notes', '/work')).toEqual([
+      { collection: 'guides', path: '/work/guides' },
+      { collection: 'notes', path: '/abs/notes' }
+    ]);
+  });
+});
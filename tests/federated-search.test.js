@@ -0,0 +1,75 @@
+// Federated Search Tests
+// Backends are merged by rank, not by their incomparable raw scores
+
+import { describe, test, expect } from '@jest/globals';
+import { FederatedSearch } from '../src/core/databases/federated-search.js';
+import { PostgresAdapter } from '../src/core/databases/postgres-adapter.js';
+
+function result(database, id, score) {
+  return { id, database, source: 'items', title: null, content: `${database} ${id}`, score, timestamp: null, metadata: {} };
+}
+
+function fakeRegistry(adapters) {
+  return {
+    names: Object.keys(adapters),
+    get: name => adapters[name]
+  };
+}
+
+describe('FederatedSearch', () => {
+  test('a keyword backend with large scores does not bury the best vector hit', async () => {
+    const search = new FederatedSearch(fakeRegistry({
+      qdrant: { search: async () => [result('qdrant', 'q1', 0.91), result('qdrant', 'q2', 0.42)] },
+      mongodb: { search: async () => [result('mongodb', 'm2', 12), result('mongodb', 'm1', 37)] }
+    }));
+
+    const response = await search.search('indexing', { limit: 5 });
+
+    expect(response.total).toBe(4);
+    expect(response.results.slice(0, 2).map(item => item.id).sort()).toEqual(['m1', 'q1']);
+    expect(response.results.slice(2).map(item => item.id).sort()).toEqual(['m2', 'q2']);
+    expect(response.results[0].provenance).toEqual([expect.objectContaining({ rank: 1 })]);
+  });
+
+  test('the same content from two backends is returned once', async () => {
+    const shared = { content: 'Shared handoff notes' };
+    const search = new FederatedSearch(fakeRegistry({
+      qdrant: { search: async () => [{ ...result('qdrant', 'q1', 0.8), ...shared }] },
+      mongodb: { search: async () => [{ ...result('mongodb', 'm1', 5), ...shared }, result('mongodb', 'm2', 3)] }
+    }));
+
+    const response = await search.search('handoff', { limit: 5 });
+
+    expect(response.results.map(item => item.id)).toEqual(['q1', 'm2']);
+    expect(response.results[0].provenance.map(entry => entry.database)).toEqual(['qdrant', 'mongodb']);
+  });
+
+  test('a failing backend is reported without failing the search', async () => {
+    const search = new FederatedSearch(fakeRegistry({
+      qdrant: { search: async () => [result('qdrant', 'q1', 0.5)] },
+      neo4j: {
+        search: async () => {
+          throw new Error('connection refused');
+        }
+      }
+    }));
+
+    const response = await search.search('anything', { databases: ['qdrant', 'neo4j', 'postgres'] });
+
+    expect(response.success).toBe(true);
+    expect(response.backends.neo4j).toMatchObject({ status: 'error', error: 'connection refused' });
+    expect(response.backends.postgres).toMatchObject({ status: 'not_configured' });
+    expect(response.results.map(item => item.id)).toEqual(['q1']);
+  });
+});
+
+describe('PostgresAdapter config', () => {
+  test('a table without columns is rejected with a clear error', () => {
+    expect(() => new PostgresAdapter({ connectionString: 'postgres://db/app', tables: [{ table: 'documents' }] }))
+      .toThrow('PostgreSQL table documents needs a non-empty columns array to search');
+  });
+
+  test('a table entry without a name is rejected', () => {
+    expect(() => new PostgresAdapter({ tables: [{ columns: ['title'] }] })).toThrow('PostgreSQL tables[0] needs a table name');
+  });
+});
@@ -0,0 +1,117 @@
+// Streamable HTTP Transport Tests
+// Session lifecycle and rate limits of the /mcp endpoint, driven through supertest
+
+import { describe, test, expect } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import MCPWebSocketServer from '../src/core/mcp-server.js';
+import { StreamableHttpTransport } from '../src/transports/http-transport.js';
+
+const INITIALIZE = {
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: { protocolVersion: '2025-06-18', capabilities: {}, clientInfo: { name: 'jest', version: '1.0.0' } }
+};
+
+function createApp(env = {}) {
+  const mcpServer = new MCPWebSocketServer({ idleTimeoutMs: 0 });
+  const app = express();
+  const transport = new StreamableHttpTransport(mcpServer, { env }).mount(app);
+  return { app, mcpServer, transport };
+}
+
+function post(app, body, sessionId) {
+  const pending = request(app).post('/mcp').set('Accept', 'application/json').send(body);
+  return sessionId ? pending.set('Mcp-Session-Id', sessionId) : pending;
+}
+
+async function openSession(app) {
+  const response = await post(app, INITIALIZE);
+  const sessionId = response.headers['mcp-session-id'];
+  await post(app, { jsonrpc: '2.0', method: 'notifications/initialized' }, sessionId);
+  return sessionId;
+}
+
+describe('Streamable HTTP sessions', () => {
+  test('initialize assigns a session id that later requests use', async () => {
+    const { app, transport } = createApp();
+    const sessionId = await openSession(app);
+
+    expect(transport.sessions.has(sessionId)).toBe(true);
+    const response = await post(app, { jsonrpc: '2.0', id: 2, method: 'tools/list' }, sessionId).expect(200);
+    expect(response.headers['mcp-session-id']).toBe(sessionId);
+    expect(response.body.result.tools.length).toBeGreaterThan(0);
+  });
+
+  test('requests without a session id, or with an unknown one, are refused', async () => {
+    const { app } = createApp();
+    await post(app, { jsonrpc: '2.0', id: 2, method: 'tools/list' }).expect(400);
+    await post(app, { jsonrpc: '2.0', id: 2, method: 'tools/list' }, 'made-up').expect(404);
+  });
+
+  test('notifications are accepted without a body', async () => {
+    const { app } = createApp();
+    const sessionId = await openSession(app);
+    const response = await post(app, { jsonrpc: '2.0', method: 'notifications/initialized' }, sessionId).expect(202);
+    expect(response.text).toBe('');
+  });
+
+  test('DELETE ends the session', async () => {
+    const { app, transport } = createApp();
+    const sessionId = await openSession(app);
+
+    await request(app).delete('/mcp').set('Mcp-Session-Id', sessionId).expect(204);
+    expect(transport.sessions.size).toBe(0);
+    await post(app, { jsonrpc: '2.0', id: 2, method: 'tools/list' }, sessionId).expect(404);
+  });
+
+  test('sessions closed by the idle reaper are dropped at once', async () => {
+    const { app, mcpServer, transport } = createApp();
+    await openSession(app);
+    mcpServer.idleTimeoutMs = 1;
+
+    mcpServer.closeIdleConnections(Date.now() + 1000);
+    expect(transport.sessions.size).toBe(0);
+  });
+
+  test('a protocol version header that differs from the negotiated one is refused', async () => {
+    const { app } = createApp();
+    const sessionId = await openSession(app);
+    await post(app, { jsonrpc: '2.0', id: 2, method: 'tools/list' }, sessionId).set('MCP-Protocol-Version', '2024-11-05').expect(400);
+  });
+});
+
+describe('Streamable HTTP rate limits', () => {
+  test('a live session is limited on its own bucket', async () => {
+    const { app } = createApp({ MCP_SESSION_RATE_LIMIT: '3' });
+    const first = await openSession(app);
+    const second = await openSession(app);
+
+    // notifications/initialized already used one request of each session's budget
+    await post(app, { jsonrpc: '2.0', id: 2, method: 'ping' }, first).expect(200);
+    await post(app, { jsonrpc: '2.0', id: 3, method: 'ping' }, first).expect(200);
+    const refused = await post(app, { jsonrpc: '2.0', id: 4, method: 'ping' }, first).expect(429);
+    expect(refused.body.error.message).toMatch(/session rate limit/);
+    await post(app, { jsonrpc: '2.0', id: 2, method: 'ping' }, second).expect(200);
+  });
+
+  test('made-up session ids share the address bucket instead of getting fresh ones', async () => {
+    const { app } = createApp({ MCP_SESSION_RATE_LIMIT: '3' });
+    const statuses = [];
+    for (let attempt = 0; attempt < 5; attempt++) {
+      statuses.push((await post(app, { jsonrpc: '2.0', id: attempt, method: 'ping' }, `random-${attempt}`)).status);
+    }
+    expect(statuses).toEqual([404, 404, 404, 429, 429]);
+  });
+
+  test('session creation is limited per address', async () => {
+    const { app, transport } = createApp({ MCP_SESSION_CREATE_LIMIT: '2' });
+    await post(app, INITIALIZE).expect(200);
+    await post(app, INITIALIZE, 'made-up').expect(200);
+    const refused = await post(app, INITIALIZE).expect(429);
+
+    expect(refused.body.error.message).toMatch(/session creation limit/);
+    expect(transport.sessions.size).toBe(2);
+  });
+});
@@ -0,0 +1,56 @@
+// MCP Prompts Tests
+// Prompt arguments are checked before any rag-state file is read
+
+import { describe, test, expect } from '@jest/globals';
+import { createRagPrompts } from '../src/core/mcp-prompts.js';
+
+function fakeServices() {
+  const reads = [];
+  return {
+    reads,
+    stateTracker: {
+      getCurrentState: async projectName => {
+        reads.push(`project:${projectName}`);
+        return { success: true, state: { projectName, lastUpdated: '2026-01-01T00:00:00Z', state: { phase: 'build' }, history: [] } };
+      }
+    },
+    contextBridge: {
+      restoreSession: async sessionId => {
+        reads.push(`session:${sessionId}`);
+        return { success: true, context: { task: 'indexing' }, metadata: {}, captureTime: '2026-01-01T00:00:00Z' };
+      },
+      getHandoff: async () => ({ success: true, handoff: { sessionId: '../projects/demo/current_state', projectName: '../../etc', status: 'handoff_initiated', createdISO: '2026-01-01T00:00:00Z' } })
+    }
+  };
+}
+
+describe('RAG prompts', () => {
+  test.each([
+    ['resume_session', { sessionId: '../projects/demo/current_state' }, /Invalid session id/],
+    ['resume_session', { sessionId: '.hidden' }, /Invalid session id/],
+    ['continue_project', { projectName: '../context_cache' }, /Invalid project name/]
+  ])('%s refuses %j without touching rag-state', async (name, args, error) => {
+    const services = fakeServices();
+    const rendered = await createRagPrompts(services).get(name).render(args);
+
+    expect(rendered).toEqual({ success: false, error: expect.stringMatching(error) });
+    expect(services.reads).toEqual([]);
+  });
+
+  test('resume_session renders a valid session', async () => {
+    const services = fakeServices();
+    const rendered = await createRagPrompts(services).get('resume_session').render({ sessionId: 'chat-2026.01_a' });
+
+    expect(rendered.success).toBe(true);
+    expect(rendered.text).toContain('"task": "indexing"');
+    expect(services.reads).toEqual(['session:chat-2026.01_a']);
+  });
+
+  test('handoff_briefing skips unsafe ids stored in a handoff record', async () => {
+    const services = fakeServices();
+    const rendered = await createRagPrompts(services).get('handoff_briefing').render({ handoffId: 'abc123' });
+
+    expect(rendered.success).toBe(true);
+    expect(services.reads).toEqual([]);
+  });
+});
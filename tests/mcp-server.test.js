@@ -0,0 +1,155 @@
+// MCP Server Tests
+// JSON-RPC batching, cancellation and the initialize gate, driven through handleMessage
+
+import { describe, test, expect } from '@jest/globals';
+import { setImmediate } from 'timers';
+import MCPWebSocketServer from '../src/core/mcp-server.js';
+
+function fakeConnection() {
+  const sent = [];
+  return { sent, send: message => sent.push(message), close: () => {} };
+}
+
+async function initialize(server, ws, protocolVersion) {
+  const response = await server.handleMessage(ws, {
+    jsonrpc: '2.0',
+    id: 0,
+    method: 'initialize',
+    params: { protocolVersion, capabilities: {}, clientInfo: { name: 'jest', version: '1.0.0' } }
+  });
+  expect(response.result.protocolVersion).toBe(protocolVersion);
+  await server.handleMessage(ws, { jsonrpc: '2.0', method: 'notifications/initialized' });
+}
+
+async function initializedServer(protocolVersion) {
+  const server = new MCPWebSocketServer({ idleTimeoutMs: 0 });
+  const ws = fakeConnection();
+  await initialize(server, ws, protocolVersion);
+  return { server, ws };
+}
+
+// Resolves only once its request is cancelled, so the test controls when it settles
+function slowTool(started) {
+  return {
+    name: 'slow_echo',
+    description: 'Waits for cancellation',
+    inputSchema: { type: 'object', properties: {} },
+    handler: (args, context) => new Promise(resolve => {
+      started.push(context.requestId);
+      context.signal.addEventListener('abort', () => resolve({ jsonrpc: '2.0', id: context.requestId, result: { content: [] } }));
+    })
+  };
+}
+
+describe('JSON-RPC batching', () => {
+  test('an empty batch is an invalid request', async () => {
+    const { server, ws } = await initializedServer('2025-03-26');
+
+    expect(await server.handleMessage(ws, [])).toEqual({
+      jsonrpc: '2.0',
+      id: null,
+      error: { code: -32600, message: 'Invalid Request: empty batch' }
+    });
+  });
+
+  test('a batch answers each request in order and skips notifications', async () => {
+    const { server, ws } = await initializedServer('2025-03-26');
+
+    const replies = await server.handleMessage(ws, [
+      { jsonrpc: '2.0', id: 'a', method: 'ping' },
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', id: 'b', method: 'no/such/method' }
+    ]);
+
+    expect(replies).toEqual([
+      { jsonrpc: '2.0', id: 'a', result: {} },
+      { jsonrpc: '2.0', id: 'b', error: { code: -32601, message: 'Method not found: no/such/method' } }
+    ]);
+  });
+
+  test('an all-notification batch gets no reply', async () => {
+    const { server, ws } = await initializedServer('2024-11-05');
+
+    expect(await server.handleMessage(ws, [
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 99 } }
+    ])).toBeUndefined();
+  });
+
+  test('batches are rejected on 2025-06-18, which dropped batching', async () => {
+    const { server, ws } = await initializedServer('2025-06-18');
+
+    expect(await server.handleMessage(ws, [{ jsonrpc: '2.0', id: 1, method: 'ping' }])).toEqual({
+      jsonrpc: '2.0',
+      id: null,
+      error: { code: -32600, message: 'Invalid Request: batching is not supported in protocol version 2025-06-18' }
+    });
+  });
+});
+
+describe('initialize gate', () => {
+  test('calls before initialize are rejected, ping is allowed', async () => {
+    const server = new MCPWebSocketServer({ idleTimeoutMs: 0 });
+    const ws = fakeConnection();
+
+    expect(await server.handleMessage(ws, { jsonrpc: '2.0', id: 1, method: 'tools/list' })).toEqual({
+      jsonrpc: '2.0',
+      id: 1,
+      error: { code: -32600, message: 'Invalid Request: server not initialized' }
+    });
+    expect(await server.handleMessage(ws, { jsonrpc: '2.0', id: 2, method: 'ping' })).toEqual({ jsonrpc: '2.0', id: 2, result: {} });
+
+    await initialize(server, ws, '2025-06-18');
+    const listed = await server.handleMessage(ws, { jsonrpc: '2.0', id: 3, method: 'tools/list' });
+    expect(listed.result.tools.length).toBeGreaterThan(0);
+  });
+
+  test('each connection initializes separately', async () => {
+    const server = new MCPWebSocketServer({ idleTimeoutMs: 0 });
+    await initialize(server, fakeConnection(), '2025-06-18');
+
+    const response = await server.handleMessage(fakeConnection(), { jsonrpc: '2.0', id: 1, method: 'tools/list' });
+    expect(response.error.code).toBe(-32600);
+  });
+});
+
+describe('cancellation', () => {
+  test('a cancelled tool call gets no response; the connection keeps working', async () => {
+    const server = new MCPWebSocketServer({ idleTimeoutMs: 0 });
+    const started = [];
+    server.tools.register(slowTool(started));
+    const ws = fakeConnection();
+    await initialize(server, ws, '2025-06-18');
+
+    const pending = server.handleMessage(ws, { jsonrpc: '2.0', id: 7, method: 'tools/call', params: { name: 'slow_echo', arguments: {} } });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(started).toEqual([7]);
+    expect(server.inFlight.hasPending(ws)).toBe(true);
+
+    await server.handleMessage(ws, { jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 7, reason: 'user aborted' } });
+
+    expect(await pending).toBeUndefined();
+    expect(server.inFlight.hasPending(ws)).toBe(false);
+    expect(await server.handleMessage(ws, { jsonrpc: '2.0', id: 8, method: 'ping' })).toEqual({ jsonrpc: '2.0', id: 8, result: {} });
+  });
+
+  test('cancelling an unknown or finished request is ignored', async () => {
+    const { server, ws } = await initializedServer('2025-06-18');
+
+    expect(await server.handleMessage(ws, { jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 'gone' } })).toBeUndefined();
+    expect(ws.sent).toEqual([]);
+  });
+
+  test('closing a connection cancels its in-flight calls', async () => {
+    const server = new MCPWebSocketServer({ idleTimeoutMs: 0 });
+    server.tools.register(slowTool([]));
+    const ws = fakeConnection();
+    await initialize(server, ws, '2025-06-18');
+
+    const pending = server.handleMessage(ws, { jsonrpc: '2.0', id: 9, method: 'tools/call', params: { name: 'slow_echo', arguments: {} } });
+    await new Promise(resolve => setImmediate(resolve));
+    server.disconnect(ws);
+
+    expect(await pending).toBeUndefined();
+  });
+});
@@ -0,0 +1,77 @@
+// Plugin Loader Tests
+// Plugin prompts follow the documented contract, and the default plugin directory follows the checkout
+
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { PluginLoader } from '../src/core/plugin-loader.js';
+import { handlePromptGet } from '../src/core/mcp-prompt-handlers.js';
+import { REPO_ROOT } from '../src/core/repo-root.js';
+
+const PLUGIN_SOURCE = `export default {
+  name: 'weekly',
+  register(api) {
+    api.registerPrompt({ name: 'plain_text', description: 'Plain text', render: async () => 'Buy milk' });
+    api.registerPrompt({ name: 'no_success', description: 'Default', render: async () => ({ text: 'Buy eggs' }) });
+    api.registerPrompt({ name: 'rejects', render: async () => ({ success: false, error: 'week must be 1-52' }) });
+  }
+};
+`;
+
+function fakeServer() {
+  return {
+    tools: { register: () => {}, unregister: () => {} },
+    resources: new Map(),
+    prompts: new Map(),
+    broadcast: () => {}
+  };
+}
+
+describe('PluginLoader', () => {
+  let pluginDir;
+  let server;
+
+  beforeAll(async () => {
+    pluginDir = await fs.mkdtemp(path.join(os.tmpdir(), 'plugins-'));
+    await fs.writeFile(path.join(pluginDir, 'weekly.mjs'), PLUGIN_SOURCE);
+    server = fakeServer();
+    const results = await new PluginLoader(server, { pluginDir, packages: [] }).loadAll();
+    expect(results).toEqual([expect.objectContaining({ success: true, name: 'weekly' })]);
+  });
+
+  afterAll(async () => {
+    await fs.rm(pluginDir, { recursive: true, force: true });
+  });
+
+  test('a prompt that returns only text renders with its own description', async () => {
+    const response = await handlePromptGet({ id: 1, params: { name: 'plain_text' } }, server.prompts);
+    expect(response.result).toEqual({
+      description: 'Plain text',
+      messages: [{ role: 'user', content: { type: 'text', text: 'Buy milk' } }]
+    });
+  });
+
+  test('a render result without success counts as success', async () => {
+    const response = await handlePromptGet({ id: 2, params: { name: 'no_success' } }, server.prompts);
+    expect(response.result.messages[0].content.text).toBe('Buy eggs');
+  });
+
+  test('success: false still rejects the arguments', async () => {
+    const response = await handlePromptGet({ id: 3, params: { name: 'rejects' } }, server.prompts);
+    expect(response.error).toEqual({ code: -32602, message: 'Invalid params: week must be 1-52' });
+  });
+
+  test('the default plugin directory is plugins/ in the repo root; overrides resolve against the working directory', () => {
+    const previous = process.env.MCP_PLUGIN_DIR;
+    delete process.env.MCP_PLUGIN_DIR;
+    try {
+      expect(new PluginLoader(fakeServer()).pluginDir).toBe(path.join(REPO_ROOT, 'plugins'));
+      expect(new PluginLoader(fakeServer(), { pluginDir: 'packs' }).pluginDir).toBe(path.resolve('packs'));
+    } finally {
+      if (previous !== undefined) {
+        process.env.MCP_PLUGIN_DIR = previous;
+      }
+    }
+  });
+});
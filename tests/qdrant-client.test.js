@@ -0,0 +1,129 @@
+// Qdrant Client Tests
+// Runs vector search and the keyword scroll fallback against a stub Qdrant REST server
+
+import { describe, test, expect, beforeAll, afterAll, beforeEach } from '@jest/globals';
+import http from 'http';
+import { QdrantClient } from '../src/core/rag-tools/qdrant-client.js';
+
+const QUERY_VECTOR = [0.6, 0.8, 0];
+const SEARCH_POINTS = [
+  { id: 1, score: 0.91, payload: { content: 'docker compose restart policy' } },
+  { id: 2, score: 0.74, payload: { content: 'qdrant collection aliases' } }
+];
+const SCROLL_POINTS = [{ id: 7, payload: { content: 'restart the docker daemon' } }];
+
+const embeddingProvider = { name: 'stub', embed: async texts => texts.map(() => QUERY_VECTOR) };
+const failingProvider = { name: 'stub', embed: async () => Promise.reject(new Error('model offline')) };
+
+function stubQdrantServer(requests) {
+  return http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => {
+      body += chunk;
+    });
+    request.on('end', () => {
+      const [, collection, action] = request.url.match(/^\/collections\/([^/]+)\/points\/(\w+)$/) || [];
+      requests.push({ collection, action, headers: request.headers, body: JSON.parse(body || '{}') });
+      const reply = (status, data) => {
+        response.writeHead(status, { 'Content-Type': 'application/json' });
+        response.end(JSON.stringify(data));
+      };
+      if (action === 'search' && collection === 'no-vectors') {
+        reply(400, { status: { error: 'Wrong input: Not existing vector name: dense' } });
+      } else if (action === 'search') {
+        reply(200, { result: SEARCH_POINTS });
+      } else if (action === 'scroll' && collection !== 'missing') {
+        reply(200, { result: { points: SCROLL_POINTS } });
+      } else {
+        reply(404, { status: { error: `Collection ${collection} not found` } });
+      }
+    });
+  });
+}
+
+let server;
+let baseUrl;
+const requests = [];
+
+beforeAll(async () => {
+  server = stubQdrantServer(requests);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests.length = 0;
+});
+
+describe('QdrantClient vector search', () => {
+  test('sends the named vector, score threshold and payload filter to /points/search', async () => {
+    const client = new QdrantClient({ baseUrl, apiKey: 'secret', collections: ['docs'], vectorName: 'dense', scoreThreshold: 0.5, embeddingProvider });
+    const result = await client.searchVectors('restart policy', 5, null, { filter: { project: 'boss', tags: ['ops', 'docker'] } });
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0]).toMatchObject({ collection: 'docs', action: 'search', headers: { 'api-key': 'secret' } });
+    expect(requests[0].body).toEqual({
+      vector: { name: 'dense', vector: QUERY_VECTOR },
+      limit: 5,
+      with_payload: true,
+      with_vector: false,
+      score_threshold: 0.5,
+      filter: { must: [{ key: 'project', match: { value: 'boss' } }, { key: 'tags', match: { any: ['ops', 'docker'] } }] }
+    });
+    expect(result).toMatchObject({ success: true, searchMode: 'vector', total: 2 });
+    expect(result.results.map(hit => [hit.id, hit.score, hit.collection])).toEqual([[1, 0.91, 'docs'], [2, 0.74, 'docs']]);
+    expect(result.fallbacks).toBeUndefined();
+  });
+
+  test('sends an unnamed vector and no threshold when none is configured', async () => {
+    const client = new QdrantClient({ baseUrl, collections: ['docs'], vectorName: null, scoreThreshold: null, embeddingProvider });
+    await client.searchVectors('restart policy', 3, null, { scoreThreshold: null });
+
+    expect(requests[0].body.vector).toEqual(QUERY_VECTOR);
+    expect(requests[0].body).not.toHaveProperty('score_threshold');
+    expect(requests[0].body).not.toHaveProperty('filter');
+  });
+});
+
+describe('QdrantClient keyword fallback', () => {
+  test('scrolls with a text match when no embedding provider is available', async () => {
+    const client = new QdrantClient({ baseUrl, collections: ['docs'], embeddingProvider: null });
+    const result = await client.searchVectors('docker restart', 5, null, { filter: { project: 'boss' } });
+
+    expect(requests[0]).toMatchObject({ collection: 'docs', action: 'scroll' });
+    expect(requests[0].body.filter.must).toEqual([{ key: 'content', match: { text: 'docker restart' } }, { key: 'project', match: { value: 'boss' } }]);
+    expect(result).toMatchObject({ success: true, searchMode: 'keyword', total: 1 });
+    expect(result.results[0].score).toBeGreaterThan(0);
+  });
+
+  test('scrolls every collection when the query cannot be embedded', async () => {
+    const client = new QdrantClient({ baseUrl, collections: ['docs', 'notes'], embeddingProvider: failingProvider });
+    const result = await client.searchVectors('docker restart', 5);
+
+    expect(requests.map(request => request.action)).toEqual(['scroll', 'scroll']);
+    expect(result.searchMode).toBe('keyword');
+    expect(result.fallbacks).toEqual([{ collection: null, error: 'Query embedding failed: model offline' }]);
+  });
+
+  test('scrolls only the collection whose vector search fails', async () => {
+    const client = new QdrantClient({ baseUrl, collections: ['docs', 'no-vectors'], vectorName: 'dense', embeddingProvider });
+    const result = await client.searchVectors('docker restart', 5);
+
+    expect(requests.filter(request => request.collection === 'no-vectors').map(request => request.action)).toEqual(['search', 'scroll']);
+    expect(result.searchMode).toBe('mixed');
+    expect(result.fallbacks).toEqual([{ collection: 'no-vectors', error: 'Vector search failed: Qdrant HTTP 400: Wrong input: Not existing vector name: dense' }]);
+    expect(result.results.map(hit => hit.collection)).toEqual(expect.arrayContaining(['docs', 'no-vectors']));
+  });
+
+  test('fails when every collection fails both ways', async () => {
+    const client = new QdrantClient({ baseUrl, collections: ['missing'], embeddingProvider: null });
+    const result = await client.searchVectors('docker restart', 5);
+
+    expect(result).toMatchObject({ success: false, searchMode: 'keyword' });
+    expect(result.error).toContain('missing: Qdrant HTTP 404');
+  });
+});
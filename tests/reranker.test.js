@@ -0,0 +1,128 @@
+// Reranker Tests
+// Top-N reranking order, failure handling and the per-call rerank switch
+
+import { describe, test, expect } from '@jest/globals';
+import { rerankResults, selectReranker, createReranker } from '../src/core/rerank/reranker.js';
+import { LexicalReranker } from '../src/core/rerank/lexical-reranker.js';
+import { MultiDatabaseSearch } from '../src/core/rag-tools/vector-search.js';
+
+// Scores each document by a fixed table, so the expected order is explicit
+function tableReranker(scores) {
+  const calls = [];
+  return {
+    name: 'table',
+    model: 'fixed',
+    calls,
+    rerank: async (query, documents) => {
+      calls.push(documents);
+      return documents.map(document => scores[document] ?? 0);
+    }
+  };
+}
+
+const ITEMS = ['a', 'b', 'c', 'd', 'e'].map((id, index) => ({ id, text: `doc ${id}`, score: 1 - index / 10 }));
+const options = { text: item => item.text, score: item => item.score };
+
+describe('rerankResults', () => {
+  test('reorders only the top N and keeps the tail in its original order', async () => {
+    const reranker = tableReranker({ 'doc a': 0.1, 'doc b': 0.9, 'doc c': 0.5 });
+
+    const { items, summary } = await rerankResults(ITEMS, 'query', reranker, { ...options, topN: 3 });
+
+    expect(items.map(item => item.id)).toEqual(['b', 'c', 'a', 'd', 'e']);
+    expect(reranker.calls).toEqual([['doc a', 'doc b', 'doc c']]);
+    expect(items[0].rerank).toEqual({ scoreBefore: 0.9, scoreAfter: 0.9, rankBefore: 2, rankAfter: 1 });
+    expect(items[3].rerank).toBeUndefined();
+    expect(summary).toEqual({ reranker: 'table', model: 'fixed', topN: 3, reranked: 3 });
+  });
+
+  test('ties keep their original relative order', async () => {
+    const { items } = await rerankResults(ITEMS, 'query', tableReranker({}), { ...options, topN: 5 });
+    expect(items.map(item => item.id)).toEqual(['a', 'b', 'c', 'd', 'e']);
+  });
+
+  test('a failing reranker leaves the order untouched and reports the error', async () => {
+    const failing = {
+      name: 'http',
+      rerank: async () => {
+        throw new Error('rerank service returned 503');
+      }
+    };
+
+    const { items, summary } = await rerankResults(ITEMS, 'query', failing, { ...options, topN: 2 });
+
+    expect(items).toBe(ITEMS);
+    expect(summary).toEqual({ reranker: 'http', model: null, topN: 2, reranked: 0, error: 'rerank service returned 503' });
+  });
+
+  test('an aborted request propagates instead of being reported', async () => {
+    const controller = new AbortController();
+    controller.abort(new Error('cancelled'));
+    const aborted = {
+      name: 'http',
+      rerank: async () => {
+        throw new Error('aborted');
+      }
+    };
+    await expect(rerankResults(ITEMS, 'query', aborted, { ...options, signal: controller.signal })).rejects.toThrow('cancelled');
+  });
+
+  test('an empty list is returned as is', async () => {
+    const reranker = tableReranker({});
+    expect(await rerankResults([], 'query', reranker, options)).toEqual({ items: [], summary: { reranker: 'table', model: 'fixed', topN: 20, reranked: 0 } });
+    expect(reranker.calls).toEqual([]);
+  });
+});
+
+describe('selecting a reranker', () => {
+  test('rerank: false skips, rerank: true falls back to lexical', () => {
+    const configured = tableReranker({});
+    expect(selectReranker(configured, false)).toBeNull();
+    expect(selectReranker(configured, undefined)).toBe(configured);
+    expect(selectReranker(null, undefined)).toBeNull();
+    expect(selectReranker(null, true)).toBeInstanceOf(LexicalReranker);
+  });
+
+  test('RERANK_PROVIDER picks the backend', () => {
+    expect(createReranker({})).toBeNull();
+    expect(createReranker({ RERANK_PROVIDER: 'Lexical' })).toBeInstanceOf(LexicalReranker);
+    expect(() => createReranker({ RERANK_PROVIDER: 'magic' })).toThrow(/^Unknown RERANK_PROVIDER 'magic'/);
+  });
+});
+
+describe('LexicalReranker', () => {
+  test('a focused passage outranks a keyword-stuffed one', async () => {
+    const stuffed = `${'rotate '.repeat(40)}${'filler words about other topics '.repeat(60)}keys`;
+    const focused = 'How to rotate API keys before a release';
+
+    const [stuffedScore, focusedScore, unrelatedScore] = await new LexicalReranker().rerank('rotate api keys', [stuffed, focused, 'Cooking pasta']);
+
+    expect(focusedScore).toBeGreaterThan(stuffedScore);
+    expect(unrelatedScore).toBe(0);
+  });
+});
+
+describe('reranking after fusion', () => {
+  test('rerank_top_n limits the pass to the best fused results', async () => {
+    // Install would win if it were reranked, but it sits below the top 2
+    const reranker = tableReranker({ 'Configure Set the env vars': 1, 'Install Run npm install': 5 });
+    const search = new MultiDatabaseSearch({
+      reranker,
+      docsIndex: {
+        search: async () => ({
+          success: true,
+          results: [['Overview', 'Read me first'], ['Configure', 'Set the env vars'], ['Install', 'Run npm install']].map(([heading, snippet], index) => ({
+            file: 'docs/setup.md', line: index + 1, collection: 'docs', heading, headingPath: [heading], snippet, score: 3 - index
+          }))
+        })
+      }
+    });
+
+    const response = await search.searchFused('setup', { databases: ['docs'], limit: 3, rerank_top_n: 2 });
+
+    expect(reranker.calls).toEqual([['Overview Read me first', 'Configure Set the env vars']]);
+    expect(response.results.map(result => result.title)).toEqual(['Configure', 'Overview', 'Install']);
+    expect(response.results[0].rerank).toMatchObject({ rankBefore: 2, rankAfter: 1 });
+    expect(response.rerank).toEqual({ reranker: 'table', model: 'fixed', topN: 2, reranked: 2 });
+  });
+});
@@ -0,0 +1,140 @@
+// Result Fusion Tests
+// RRF and weighted fusion rankings, duplicate merging, and freshness applied once after fusion
+
+import { describe, test, expect } from '@jest/globals';
+import { fuseResults, applyFreshness, contentHash, DEFAULT_RRF_K } from '../src/core/rag-tools/result-fusion.js';
+import { MultiDatabaseSearch } from '../src/core/rag-tools/vector-search.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-06-01T00:00:00Z');
+
+function item(database, id, score, extra = {}) {
+  return { id, database, source: 'items', title: id, content: `${database} passage ${id}`, score, timestamp: null, metadata: {}, ...extra };
+}
+
+function ids(results) {
+  return results.map(result => result.id);
+}
+
+describe('fuseResults with rrf', () => {
+  test('rrf scores each item by rank alone, summed across lists', () => {
+    const fused = fuseResults({
+      qdrant: [item('qdrant', 'q1', 0.93), item('qdrant', 'q2', 0.91)],
+      docs: [item('docs', 'd1', 48.2), item('docs', 'd2', 0.4), item('docs', 'd3', 0.1)]
+    });
+
+    expect(fused[0].fusedScore).toBeCloseTo(1 / (DEFAULT_RRF_K + 1), 10);
+    expect(ids(fused.slice(0, 2)).sort()).toEqual(['d1', 'q1']);
+    expect(ids(fused.slice(2, 4)).sort()).toEqual(['d2', 'q2']);
+    expect(ids(fused.slice(4))).toEqual(['d3']);
+  });
+
+  test('an item found by several sources outranks items found by one', () => {
+    const shared = { content: 'Rotate the API keys before the release' };
+    const fused = fuseResults({
+      qdrant: [item('qdrant', 'q1', 0.9), item('qdrant', 'q2', 0.8, shared)],
+      sessions: [item('context_cache', 's1', 7), item('context_cache', 's2', 5, { ...shared, timestamp: '2026-05-30T00:00:00.000Z' })]
+    });
+
+    expect(fused).toHaveLength(3);
+    expect(fused[0]).toMatchObject({ id: 'q2', timestamp: '2026-05-30T00:00:00.000Z' });
+    expect(fused[0].fusedScore).toBeCloseTo(2 / (DEFAULT_RRF_K + 2), 10);
+    expect(fused[0].provenance).toEqual([
+      { source: 'qdrant', database: 'qdrant', collection: 'items', id: 'q2', rank: 2, score: 0.8 },
+      { source: 'sessions', database: 'context_cache', collection: 'items', id: 's2', rank: 2, score: 5 }
+    ]);
+  });
+
+  test('duplicates match on whitespace- and case-normalised content', () => {
+    expect(contentHash({ content: '  Deploy  the\nAPI ' })).toBe(contentHash({ content: 'deploy the api' }));
+    expect(contentHash({ content: '', database: 'docs', source: 'readme', id: 1 })).not.toBe(contentHash({ content: '', database: 'docs', source: 'readme', id: 2 }));
+  });
+
+  test('source weights and k change the rrf order', () => {
+    const lists = { qdrant: [item('qdrant', 'q1', 0.9)], docs: [item('docs', 'd1', 3)] };
+    expect(ids(fuseResults(lists, { weights: { docs: 2 } }))).toEqual(['d1', 'q1']);
+    expect(fuseResults(lists, { k: 0 })[0].fusedScore).toBe(1);
+  });
+
+});
+
+describe('fuseResults modes', () => {
+  test('weighted mode scales each list by its own best score', () => {
+    const fused = fuseResults({
+      qdrant: [item('qdrant', 'q1', 0.8), item('qdrant', 'q2', 0.2)],
+      docs: [item('docs', 'd1', 40), item('docs', 'd2', 30)]
+    }, { mode: 'weighted', weights: { qdrant: 1.5 } });
+
+    expect(ids(fused)).toEqual(['q1', 'd1', 'd2', 'q2']);
+    expect(fused.map(result => Number(result.fusedScore.toFixed(6)))).toEqual([1.5, 1, 0.75, 0.375]);
+  });
+
+  test('unknown modes are rejected', () => {
+    expect(() => fuseResults({}, { mode: 'borda' })).toThrow(/^Unknown fusion mode 'borda' \(expected: rrf, weighted\)$/);
+  });
+});
+
+describe('applyFreshness', () => {
+  test('decay multiplies the fused score once and reorders by relevance', () => {
+    const fused = [
+      { id: 'stale', fusedScore: 0.03, timestamp: new Date(NOW - 30 * DAY_MS).toISOString() },
+      { id: 'fresh', fusedScore: 0.02, timestamp: new Date(NOW - DAY_MS).toISOString() },
+      { id: 'undated', fusedScore: 0.01, timestamp: null }
+    ];
+
+    const ranked = applyFreshness(fused, { decayFactor: 0.1, now: NOW });
+
+    expect(ids(ranked)).toEqual(['fresh', 'undated', 'stale']);
+    expect(ranked[0].relevance).toBeCloseTo(0.02 * Math.exp(-0.1), 6);
+    expect(ranked[2].relevance).toBeCloseTo(0.03 * Math.exp(-3), 6);
+    expect(ids(applyFreshness(fused, { enabled: false, decayFactor: 0.1, now: NOW }))).toEqual(['stale', 'fresh', 'undated']);
+  });
+});
+
+describe('MultiDatabaseSearch.searchFused', () => {
+  function fusedSearch() {
+    const search = new MultiDatabaseSearch({
+      reranker: null,
+      docsIndex: {
+        search: async () => ({
+          success: true,
+          results: [{ file: 'docs/deploy.md', line: 4, collection: 'docs', heading: 'Deploy', headingPath: ['Deploy'], snippet: 'Deploy with compose', score: 12 }]
+        })
+      }
+    });
+    const daysAgo = days => new Date(Date.now() - days * DAY_MS).toISOString();
+    search.qdrant = {
+      searchVectors: async () => ({
+        success: true,
+        total: 2,
+        results: [
+          { id: 'old', collection: 'notes', score: 0.95, payload: { content: 'Deploy notes from last quarter', timestamp: daysAgo(90) } },
+          { id: 'new', collection: 'notes', score: 0.6, payload: { content: 'Deploy checklist', timestamp: daysAgo(0) } }
+        ]
+      })
+    };
+    return search;
+  }
+
+  test('freshness is applied after fusion, so a stale top vector hit drops below fresh results', async () => {
+    const response = await fusedSearch().searchFused('deploy', { databases: ['qdrant', 'docs'], limit: 5 });
+
+    expect(response.success).toBe(true);
+    expect(response.fusion).toBe('rrf');
+    expect(ids(response.results)).toEqual(['docs/deploy.md#L4', 'new', 'old']);
+    expect(response.results[2].fusedScore).toBeCloseTo(1 / (DEFAULT_RRF_K + 1), 6);
+    expect(response.sources).toEqual({ qdrant: { status: 'ok', count: 2 }, docs: { status: 'ok', count: 1 } });
+  });
+
+  test('without freshness the fused rank order stands', async () => {
+    const response = await fusedSearch().searchFused('deploy', { databases: ['qdrant', 'docs'], limit: 5, freshness_boost: false });
+
+    expect(ids(response.results)).toEqual(['old', 'docs/deploy.md#L4', 'new']);
+    expect(response.results.every(result => result.relevance === result.fusedScore)).toBe(true);
+  });
+
+  test('unknown sources and modes are reported, not searched', async () => {
+    expect(await fusedSearch().searchFused('deploy', { databases: ['redis'] })).toMatchObject({ success: false, error: 'Unknown sources: redis' });
+    expect(await fusedSearch().searchFused('deploy', { fusion: 'borda' })).toMatchObject({ success: false, error: 'Unknown fusion mode: borda' });
+  });
+});
@@ -0,0 +1,29 @@
+// Service Monitor Tests
+// One failing probe must not take down the whole status report
+
+import { describe, test, expect } from '@jest/globals';
+import { ServiceMonitor } from '../src/core/services/service-monitor.js';
+
+function throwingAdapter(message) {
+  return {
+    health: async () => {
+      throw new TypeError(message);
+    }
+  };
+}
+
+describe('ServiceMonitor', () => {
+  test('a health check that throws reports that service down and keeps the others', async () => {
+    const services = new Map([
+      ['warehouse', { type: 'database', adapter: throwingAdapter('Invalid URL') }],
+      ['analytics', { type: 'database', adapter: { health: async () => ({ status: 'up', latencyMs: 2 }) } }]
+    ]);
+    const monitor = new ServiceMonitor({ services });
+
+    const results = await monitor.check();
+
+    expect(results[0]).toMatchObject({ name: 'warehouse', type: 'database', status: 'down', error: 'Invalid URL' });
+    expect(results[1]).toMatchObject({ name: 'analytics', status: 'up', latencyMs: 2 });
+    expect(await monitor.latest()).toEqual(results);
+  });
+});
@@ -0,0 +1,157 @@
+// State Search Index Tests
+// BM25 bookkeeping across add/remove/re-add, filters, and state changes before and after the first load
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { Bm25Index } from '../src/core/text/bm25.js';
+import { tokenize } from '../src/core/text/tokenize.js';
+import { StateSearchIndex } from '../src/core/rag-tools/state-search-index.js';
+import { emitSessionChanged, emitSessionRemoved, emitProjectChanged } from '../src/core/rag-tools/state-events.js';
+
+describe('Bm25Index', () => {
+  function corpus() {
+    const index = new Bm25Index();
+    index.add('a', tokenize('qdrant vector search tuning'), { project: 'atlas' });
+    index.add('b', tokenize('mongodb message archive'), { project: 'atlas' });
+    index.add('c', tokenize('vector embeddings for search'), { project: 'zephyr' });
+    return index;
+  }
+
+  test('ranks documents by the query terms they contain', () => {
+    const hits = corpus().search(tokenize('qdrant vector'));
+    expect(hits.map(hit => hit.id)).toEqual(['a', 'c']);
+    expect(hits[0].score).toBeGreaterThan(hits[1].score);
+  });
+
+  test('remove and re-add leave the same statistics as a fresh index', () => {
+    const index = corpus();
+    expect(index.remove('a')).toBe(true);
+    expect(index.remove('a')).toBe(false);
+    expect(index.search(tokenize('qdrant'))).toEqual([]);
+    expect(index.documentFrequency.has('qdrant')).toBe(false);
+
+    index.add('a', tokenize('qdrant vector search tuning'), { project: 'atlas' });
+    index.add('a', tokenize('qdrant vector search tuning'), { project: 'atlas' });
+
+    const fresh = corpus();
+    expect(index.size).toBe(3);
+    expect(index.totalLength).toBe(fresh.totalLength);
+    expect(index.documentFrequency).toEqual(fresh.documentFrequency);
+    expect(index.search(tokenize('vector search'))).toEqual(fresh.search(tokenize('vector search')));
+  });
+
+  test('re-adding an id replaces its terms', () => {
+    const index = corpus();
+    index.add('b', tokenize('neo4j graph traversal'));
+    expect(index.search(tokenize('mongodb'))).toEqual([]);
+    expect(index.search(tokenize('graph')).map(hit => hit.id)).toEqual(['b']);
+    expect(index.documentFrequency.get('mongodb')).toBeUndefined();
+  });
+
+  test('filter narrows candidates before scoring and limit caps the results', () => {
+    const index = corpus();
+    expect(index.search(tokenize('vector'), { filter: payload => payload.project === 'zephyr' }).map(hit => hit.id)).toEqual(['c']);
+    expect(index.search(tokenize('vector search'), { limit: 1 })).toHaveLength(1);
+    expect(index.search([])).toEqual([]);
+  });
+});
+
+let stateDir;
+let index;
+
+async function writeSession(sessionId, projectName, context) {
+  await fs.mkdir(path.join(stateDir, 'context_cache'), { recursive: true });
+  await fs.writeFile(path.join(stateDir, 'context_cache', `${sessionId}.json`), JSON.stringify({
+    sessionId, projectName, context, metadata: {}, captureTime: '2026-05-01T00:00:00.000Z'
+  }));
+}
+
+async function writeProject(projectName, state) {
+  await fs.mkdir(path.join(stateDir, 'projects', projectName), { recursive: true });
+  await fs.writeFile(path.join(stateDir, 'projects', projectName, 'current_state.json'), JSON.stringify({
+    projectName, state, lastUpdated: '2026-05-02T00:00:00.000Z'
+  }));
+}
+
+async function matchedIds(query, options) {
+  return (await index.match(query, options)).map(match => `${match.type}:${match.id}`);
+}
+
+// A fresh state directory and index per test; StateSearchIndex.open would share one across tests
+function withStateDir() {
+  beforeEach(async () => {
+    stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'state-index-'));
+    await writeSession('s1', 'atlas', { task: 'tune qdrant recall' });
+    await writeSession('s2', 'zephyr', { task: 'qdrant snapshot restore' });
+    await writeSession('handoff_s1', 'atlas', { task: 'qdrant handoff notes' });
+    await writeProject('atlas', { phase: 'qdrant migration' });
+    index = new StateSearchIndex({ stateDir });
+  });
+
+  afterEach(async () => {
+    index.close();
+    await fs.rm(stateDir, { recursive: true, force: true });
+  });
+}
+
+describe('StateSearchIndex matching', () => {
+  withStateDir();
+
+  test('indexes sessions and project states, leaving handoff records out', async () => {
+    expect((await matchedIds('qdrant')).sort()).toEqual(['project:atlas', 'session:s1', 'session:s2']);
+    expect(index.index.size).toBe(3);
+  });
+
+  test('projectName and types narrow the matches', async () => {
+    expect((await matchedIds('qdrant', { projectName: 'atlas' })).sort()).toEqual(['project:atlas', 'session:s1']);
+    expect(await matchedIds('qdrant', { types: ['project'] })).toEqual(['project:atlas']);
+    expect(await matchedIds('qdrant', { projectName: 'zephyr', types: ['project'] })).toEqual([]);
+    expect(await index.search('qdrant', { types: ['handoff'] })).toMatchObject({ success: false, error: 'Unknown types: handoff' });
+  });
+});
+
+describe('StateSearchIndex updates', () => {
+  withStateDir();
+
+  test('changes published before the first load are picked up by the load', async () => {
+    await writeSession('s3', 'atlas', { task: 'rebuild hnsw graph' });
+    emitSessionChanged('s3', true);
+    await writeSession('s1', 'atlas', { task: 'rotate api keys' });
+    emitSessionChanged('s1');
+
+    expect(await matchedIds('hnsw')).toEqual(['session:s3']);
+    expect(await matchedIds('rotate')).toEqual(['session:s1']);
+    expect(await matchedIds('recall')).toEqual([]);
+  });
+
+  test('changes published after the first load re-index only that document', async () => {
+    await index.load();
+
+    await writeSession('s3', 'atlas', { task: 'rebuild hnsw graph' });
+    emitSessionChanged('s3', true);
+    await writeSession('s1', 'atlas', { task: 'rotate api keys' });
+    emitSessionChanged('s1');
+    await writeProject('atlas', { phase: 'release freeze' });
+    emitProjectChanged('atlas');
+    await fs.unlink(path.join(stateDir, 'context_cache', 's2.json'));
+    emitSessionRemoved('s2');
+
+    expect(await matchedIds('hnsw')).toEqual(['session:s3']);
+    expect(await matchedIds('rotate')).toEqual(['session:s1']);
+    expect(await matchedIds('freeze')).toEqual(['project:atlas']);
+    expect(await matchedIds('qdrant')).toEqual([]);
+    expect(index.index.size).toBe(3);
+  });
+
+  test('a session removed and captured again is indexed with its new content', async () => {
+    await index.load();
+    emitSessionRemoved('s1');
+    await writeSession('s1', 'atlas', { task: 'write release notes' });
+    emitSessionChanged('s1', true);
+
+    expect(await matchedIds('release notes')).toEqual(['session:s1']);
+    expect(await matchedIds('recall')).toEqual([]);
+  });
+});
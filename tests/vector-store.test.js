@@ -0,0 +1,188 @@
+// Local Vector Store Tests
+// HNSW recall against brute force, payload filters and atomic collection files
+
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { dot, normalize } from '../src/core/embeddings/vector-math.js';
+import { HnswIndex } from '../src/core/vector-store/hnsw-index.js';
+import { VectorCollection } from '../src/core/vector-store/vector-collection.js';
+import { compileFilter } from '../src/core/vector-store/payload-filter.js';
+import { LocalVectorStore } from '../src/core/vector-store/local-vector-store.js';
+
+const DIMENSIONS = 16;
+
+// mulberry32: deterministic vectors and HNSW levels, so recall does not flake
+function seededRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomVectors(count, random) {
+  return Array.from({ length: count }, () => normalize(Array.from({ length: DIMENSIONS }, () => random() * 2 - 1)));
+}
+
+function bruteForceTop(vectors, query, k) {
+  return vectors
+    .map((vector, key) => ({ key, score: dot(query, vector) }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k)
+    .map(hit => hit.key);
+}
+
+describe('HnswIndex', () => {
+  test('recall@10 against brute force stays above 0.9', () => {
+    const random = seededRandom(7);
+    const vectors = randomVectors(600, random);
+    const index = new HnswIndex({ similarity: dot, random });
+    vectors.forEach((vector, key) => index.add(key, vector));
+
+    const queries = randomVectors(25, random);
+    const found = queries.reduce((total, query) => {
+      const expected = new Set(bruteForceTop(vectors, query, 10));
+      return total + index.search(query, 10).filter(hit => expected.has(hit.key)).length;
+    }, 0);
+
+    expect(found / (queries.length * 10)).toBeGreaterThan(0.9);
+  });
+
+  test('returns results best first and honours accept', () => {
+    const random = seededRandom(11);
+    const vectors = randomVectors(200, random);
+    const index = new HnswIndex({ similarity: dot, random });
+    vectors.forEach((vector, key) => index.add(key, vector));
+
+    const hits = index.search(vectors[5], 5, { ef: 100, accept: key => key % 2 === 1 });
+    expect(hits).toHaveLength(5);
+    expect(hits.every(hit => hit.key % 2 === 1)).toBe(true);
+    expect(hits.map(hit => hit.score)).toEqual([...hits.map(hit => hit.score)].sort((a, b) => b - a));
+    expect(new HnswIndex({ similarity: dot }).search(vectors[0], 3)).toEqual([]);
+  });
+});
+
+describe('VectorCollection', () => {
+  function collectionOf(count, options = { annThreshold: 50 }) {
+    const vectors = randomVectors(count, seededRandom(23));
+    const points = vectors.map((vector, index) => ({ id: index, vector, payload: { shard: index % 20, tag: index % 2 === 0 ? 'even' : 'odd' } }));
+    return { vectors, collection: new VectorCollection({ name: 'notes', dimensions: DIMENSIONS, points }, options) };
+  }
+
+  test('approximate search finds the exact nearest point above the ANN threshold', () => {
+    const { vectors, collection } = collectionOf(300);
+    const approximate = collection.search(vectors[42], { limit: 5 });
+    expect(collection.info().indexed).toBe(true);
+    expect(approximate[0]).toMatchObject({ id: 42 });
+    expect(approximate[0].score).toBeCloseTo(1, 6);
+    expect(collection.search(vectors[42], { limit: 5, exact: true })[0].id).toBe(42);
+  });
+
+  test('filters apply on both the indexed and the brute-force path', () => {
+    const { vectors, collection } = collectionOf(300);
+    const broad = collection.search(vectors[3], { limit: 10, filter: { tag: 'odd' } });
+    expect(broad).toHaveLength(10);
+    expect(broad.every(hit => hit.payload.tag === 'odd')).toBe(true);
+
+    // shard 3 is 5% of the points, under the share where the index is used
+    const narrow = collection.search(vectors[3], { limit: 20, filter: { shard: 3 } });
+    expect(narrow.map(hit => hit.id).sort((a, b) => a - b)).toEqual(Array.from({ length: 15 }, (unused, index) => 3 + index * 20));
+  });
+
+  test('overwritten and deleted points never come back from the index', () => {
+    const { vectors, collection } = collectionOf(300);
+    collection.search(vectors[0], { limit: 1 });
+    collection.delete({ ids: [42] });
+    collection.upsert([{ id: 7, vector: vectors[8], payload: { moved: true } }]);
+
+    expect(collection.search(vectors[42], { limit: 10 }).map(hit => hit.id)).not.toContain(42);
+    const nearEight = collection.search(vectors[8], { limit: 2 });
+    expect(nearEight.map(hit => hit.id).sort()).toEqual([7, 8]);
+    expect(collection.get(7).payload).toEqual({ moved: true });
+  });
+
+  test('rejects vectors of the wrong dimension', () => {
+    const { collection } = collectionOf(5);
+    expect(() => collection.upsert([{ id: 'x', vector: [1, 0] }])).toThrow('expects 16-dimensional vectors, got 2');
+  });
+});
+
+describe('compileFilter', () => {
+  const point = {
+    id: 12,
+    payload: { project: 'atlas', tags: ['rag', 'search'], priority: 3, owner: null, notes: [], metadata: { stage: 'Build Phase' } }
+  };
+
+  test.each([
+    ['a plain map', { project: 'atlas' }, true],
+    ['a plain map with a list', { project: ['zephyr', 'atlas'] }, true],
+    ['match value on an array field', { must: [{ key: 'tags', match: { value: 'search' } }] }, true],
+    ['match except', { must: [{ key: 'project', match: { except: ['atlas'] } }] }, false],
+    ['match text, case-insensitive, on a nested key', { must: [{ key: 'metadata.stage', match: { text: 'build' } }] }, true],
+    ['range', { must: [{ key: 'priority', range: { gt: 2, lte: 3 } }] }, true],
+    ['range outside', { must: [{ key: 'priority', range: { gte: 4 } }] }, false],
+    ['has_id', { must: [{ has_id: ['12'] }] }, true],
+    ['is_empty', { must: [{ is_empty: { key: 'notes' } }, { is_empty: { key: 'missing' } }] }, true],
+    ['is_null', { must: [{ is_null: { key: 'owner' } }] }, true],
+    ['should with one match', { should: [{ key: 'project', match: { value: 'zephyr' } }, { key: 'priority', range: { lt: 5 } }] }, true],
+    ['must_not', { must_not: [{ key: 'tags', match: { any: ['rag'] } }] }, false],
+    ['a nested filter', { must: [{ should: [{ key: 'project', match: { value: 'zephyr' } }] }] }, false]
+  ])('%s', (label, filter, expected) => {
+    expect(compileFilter(filter)(point)).toBe(expected);
+  });
+
+  test('no filter matches everything; unknown conditions are rejected', () => {
+    expect(compileFilter(undefined)(point)).toBe(true);
+    expect(compileFilter({})(point)).toBe(true);
+    expect(() => compileFilter({ must: [{ key: 'project', geo: {} }] })(point)).toThrow('Unsupported filter condition');
+  });
+});
+
+describe('LocalVectorStore persistence', () => {
+  let dir;
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vector-store-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('collections survive a reload from disk and leave no temporary files', async () => {
+    const store = new LocalVectorStore({ dir });
+    await store.createCollection('notes', { dimensions: 3 });
+    await Promise.all([
+      store.upsert('notes', [{ id: 'a', vector: [1, 0, 0], payload: { title: 'alpha' } }]),
+      store.upsert('notes', [{ id: 'b', vector: [0, 1, 0], payload: { title: 'beta' } }]),
+      store.upsert('notes', [{ id: 'c', vector: [0, 0, 1], payload: { title: 'gamma' } }])
+    ]);
+    await store.delete('notes', { ids: ['c'] });
+
+    expect(await fs.readdir(dir)).toEqual(['notes.json']);
+    const reloaded = new LocalVectorStore({ dir });
+    expect(await reloaded.listCollections()).toEqual(['notes']);
+    expect(await reloaded.search('notes', [0.9, 0.1, 0], { limit: 5 })).toEqual([
+      { id: 'a', payload: { title: 'alpha' }, score: expect.any(Number) },
+      { id: 'b', payload: { title: 'beta' }, score: expect.any(Number) }
+    ]);
+  });
+
+  test('open shares one instance per directory', () => {
+    expect(LocalVectorStore.open(dir)).toBe(LocalVectorStore.open(`${dir}/`));
+  });
+
+  test('missing collections, duplicates and unsafe names are rejected', async () => {
+    const store = new LocalVectorStore({ dir });
+    await expect(store.search('absent', [1, 0, 0])).rejects.toThrow('Collection not found: absent');
+    await store.createCollection('notes', { dimensions: 3 });
+    await expect(store.createCollection('notes', { dimensions: 3 })).rejects.toThrow('Collection already exists: notes');
+    await expect(store.getCollection('../escape')).rejects.toThrow('Invalid collection name: ../escape');
+    await store.deleteCollection('notes');
+    expect(await store.listCollections()).toEqual([]);
+  });
+});